@@ -2,6 +2,10 @@
  * 小棋盘编辑器
  */
 
+import { Board } from './src/core/Board.js';
+import { BoardValidator } from './src/utils/BoardValidator.js';
+import { Encoder } from './src/utils/Encoder.js';
+
 class BoardEditor {
   constructor() {
     this.size = 8;
@@ -144,13 +148,21 @@ class BoardEditor {
     
     // 基本信息
     document.getElementById('boardId').addEventListener('change', (e) => {
-      this.boardData.id = parseInt(e.target.value);
+      const id = parseInt(e.target.value);
+      // 长棋盘码每块小棋盘3位十六进制（11位编号 + 1位面），编号超出范围的小棋盘无法写进游戏编码
+      if (!Number.isInteger(id) || id < 0 || id > Encoder.MAX_BOARD_ID) {
+        alert(`小棋盘编号必须是 0-${Encoder.MAX_BOARD_ID} 的整数：游戏编码中每块小棋盘最多用3位十六进制（11位编号 + 1位面），更大的编号无法编码`);
+        e.target.value = this.boardData.id;
+        return;
+      }
+      this.boardData.id = id;
       this.updateJSON();
     });
     
     document.getElementById('boardColor').addEventListener('change', (e) => {
       this.boardData.color = e.target.value;
       this.updateJSON();
+      this.updateTargetWarnings();
     });
     
     // 导出按钮
@@ -490,6 +502,48 @@ class BoardEditor {
     document.getElementById('wallCount').textContent = wallCount;
     document.getElementById('prismCount').textContent = face.prisms.length;
     document.getElementById('targetCount').textContent = face.targets.length;
+    
+    this.updateTargetWarnings();
+  }
+  
+  /**
+   * 检查当前面的终点是否能被棋子停下（见 Board.findUnreachableTargetsOnSmallBoard）
+   * @returns {Array<{target, reason, colors, x, y}>} x、y 为编辑器中的坐标
+   */
+  findUnreachableTargets() {
+    const face = this.boardData.faces[this.currentFace];
+    if (face.targets.length === 0) return [];
+    
+    return Board.findUnreachableTargetsOnSmallBoard(this.boardData, face.id);
+  }
+  
+  updateTargetWarnings() {
+    const container = document.getElementById('targetWarnings');
+    
+    let problems;
+    try {
+      problems = this.findUnreachableTargets();
+    } catch (error) {
+      container.innerHTML = `⚠️ 无法检查终点：${error.message}`;
+      container.style.display = 'block';
+      return;
+    }
+    
+    if (problems.length === 0) {
+      container.style.display = 'none';
+      container.innerHTML = '';
+      return;
+    }
+    
+    container.innerHTML = `
+      ⚠️ ${problems.length} 个终点可能无法到达（相邻小棋盘按空白计算）：
+      <ul>
+        ${problems.map(({ target, reason, x, y }) => `
+          <li>${this.getShapeEmoji(target.shape)} ${target.color} (${x},${y})：${Board.REACHABILITY_REASONS[reason]}</li>
+        `).join('')}
+      </ul>
+    `;
+    container.style.display = 'block';
   }
   
   updateJSON() {
@@ -497,7 +551,22 @@ class BoardEditor {
     document.getElementById('jsonOutput').textContent = json;
   }
   
+  /**
+   * 导出前检查数据，有问题时列出所有问题（面、坐标和字段）
+   * @returns {boolean} 是否可以导出
+   */
+  checkBeforeExport() {
+    const { valid, problems } = BoardValidator.validate(this.boardData);
+    if (!valid) {
+      const lines = problems.map(problem => BoardValidator.formatProblem(problem));
+      alert(`小棋盘数据有${problems.length}个问题，请修改后再导出：\n${lines.join('\n')}`);
+    }
+    return valid;
+  }
+  
   exportJSON() {
+    if (!this.checkBeforeExport()) return;
+    
     const json = JSON.stringify(this.boardData, null, 2);
     const blob = new Blob([json], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
@@ -507,10 +576,14 @@ class BoardEditor {
     a.click();
     URL.revokeObjectURL(url);
     
-    alert('JSON文件已导出！');
+    // 新的小棋盘需要登记到清单中，编号发布后不要再改
+    const file = `board-${this.boardData.id}.json`;
+    alert(`JSON文件已导出！新的小棋盘请在 data/manifest.json 的 boards 中加入 { "id": ${this.boardData.id}, "file": "${file}" }`);
   }
   
   copyJSON() {
+    if (!this.checkBeforeExport()) return;
+    
     const json = JSON.stringify(this.boardData, null, 2);
     navigator.clipboard.writeText(json).then(() => {
       alert('JSON已复制到剪贴板！');
@@ -4,12 +4,14 @@
  */
 
 import { Encoder } from './src/utils/Encoder.js';
+import { BoardSetLoader } from './src/utils/BoardSetLoader.js';
 import { SmallBoard } from './src/core/SmallBoard.js';
 import { BoardRenderer } from './src/ui/BoardRenderer.js';
 import { Board } from './src/core/Board.js';
 
-class InteractiveGameConfigurator {
+export class InteractiveGameConfigurator {
   constructor() {
+    this.boardSets = new BoardSetLoader('./');
     this.smallBoards = [];
     this.config = [null, null, null, null]; // topLeft, topRight, bottomLeft, bottomRight
     this.robotPositions = { red: null, yellow: null, blue: null, green: null };
@@ -100,25 +102,27 @@ class InteractiveGameConfigurator {
   }
   
   async loadSmallBoards() {
-    const boardFiles = [
-      './data/board-0.json',
-      './data/board-1.json',
-      './data/board-2.json',
-      './data/board-3.json',
-      './data/board-4.json',
-      './data/board-5.json',
-      './data/board-6.json',
-      './data/board-7.json'
-    ];
-    
-    for (let i = 0; i < boardFiles.length; i++) {
-      try {
-        const response = await fetch(boardFiles[i]);
-        const data = await response.json();
-        this.smallBoards.push(data);
-      } catch (error) {
-        console.error(`加载 ${boardFiles[i]} 失败:`, error);
-      }
+    // 加载上次选择的小棋盘库（数组下标即小棋盘编号）
+    try {
+      this.smallBoards = await this.boardSets.load(await this.boardSets.init());
+    } catch (error) {
+      console.error('加载小棋盘失败:', error);
+    }
+  }
+  
+  /**
+   * 切换小棋盘库并重新配置（生成的编码带库前缀）
+   * @param {string} name - 库名称
+   */
+  async selectBoardSet(name) {
+    const select = document.getElementById('boardSetSelect');
+    try {
+      this.smallBoards = await this.boardSets.load(name);
+      this.reset();
+    } catch (error) {
+      console.error('加载小棋盘失败:', error);
+      select.value = this.boardSets.current;
+      alert('切换小棋盘库失败: ' + error.message);
     }
   }
   
@@ -139,6 +143,13 @@ class InteractiveGameConfigurator {
       }
     });
     
+    // 小棋盘库
+    const boardSetSelect = document.getElementById('boardSetSelect');
+    this.boardSets.renderOptions(boardSetSelect);
+    boardSetSelect.addEventListener('change', () => {
+      this.selectBoardSet(boardSetSelect.value);
+    });
+    
     // 模态框关闭按钮
     document.getElementById('closeColorModal').addEventListener('click', () => {
       this.closeModal('colorModal');
@@ -156,7 +167,7 @@ class InteractiveGameConfigurator {
     // 结果面板按钮
     document.getElementById('playGameBtn').addEventListener('click', () => {
       const code = document.getElementById('gameCode').textContent;
-      window.location.href = `./index.html?code=${code}`;
+      window.location.href = `./index.html?code=${encodeURIComponent(code)}`;
     });
     
     document.getElementById('copyCodeBtn').addEventListener('click', () => {
@@ -484,10 +495,7 @@ class InteractiveGameConfigurator {
         ctx.lineCap = 'round';
         
         // 旋转方向
-        let direction = prism.direction;
-        if (rotation === 90 || rotation === 270) {
-          direction = direction === '\\' ? '/' : '\\';
-        }
+        const direction = this.rotatePrismDirection(prism.direction, rotation);
         
         ctx.beginPath();
         if (direction === '\\') {
@@ -537,6 +545,14 @@ class InteractiveGameConfigurator {
     return { x: rotated.x, y: rotated.y, sides: newSides };
   }
   
+  rotatePrismDirection(direction, angle) {
+    // 旋转90度或270度时 \ 和 / 互换
+    if (angle === 90 || angle === 270) {
+      return direction === '\\' ? '/' : '\\';
+    }
+    return direction;
+  }
+  
   getWallCoordinates(x, y, side, cellSize) {
     switch(side) {
       case 'top':
@@ -573,6 +589,8 @@ class InteractiveGameConfigurator {
     
     // 检查是否完成所有棋盘选择
     if (this.config.every(c => c !== null)) {
+      this.updateTargetWarning();
+      
       // 开始设置棋子位置
       setTimeout(() => {
         this.startRobotPositioning();
@@ -580,6 +598,30 @@ class InteractiveGameConfigurator {
     }
   }
   
+  /**
+   * 提示棋子无法停下的终点（Board.findUnreachableTargets）
+   */
+  updateTargetWarning() {
+    const warning = document.getElementById('targetWarning');
+    const problems = this.board ? this.board.findUnreachableTargets() : [];
+    
+    if (problems.length === 0) {
+      warning.style.display = 'none';
+      warning.innerHTML = '';
+      return;
+    }
+    
+    warning.innerHTML = `
+      ⚠️ 以下终点可能无法到达：
+      <ul>
+        ${problems.map(({ target, reason }) => `
+          <li>${target.getEmoji()} ${target.id} (${target.x}, ${target.y})：${Board.REACHABILITY_REASONS[reason]}</li>
+        `).join('')}
+      </ul>
+    `;
+    warning.style.display = 'block';
+  }
+  
   startRobotPositioning() {
     // 更新说明文字
     document.getElementById('instruction').innerHTML = 
@@ -647,7 +689,10 @@ class InteractiveGameConfigurator {
     try {
       // 生成编码
       const boardCode = Encoder.encodeBoardConfig(this.config);
-      const gameCode = Encoder.encodeGame(boardCode, this.robotPositions);
+      const gameCode = Encoder.encodeGame(boardCode, this.robotPositions, {
+        checkCharacter: true,
+        boardSet: this.boardSets.current
+      });
             
       // 显示结果
       document.getElementById('gameCode').textContent = gameCode;
@@ -832,6 +877,7 @@ class InteractiveGameConfigurator {
     this.boardRenderer = null;
     
     document.getElementById('resultPanel').style.display = 'none';
+    document.getElementById('targetWarning').style.display = 'none';
     document.getElementById('robotPanel').classList.remove('active');
     document.getElementById('robotList').style.display = 'block';
     document.getElementById('instruction').innerHTML = 
@@ -842,10 +888,15 @@ class InteractiveGameConfigurator {
   }
 }
 
-// 全局实例
-window.configurator = null;
+export default InteractiveGameConfigurator;
+
+// 只在浏览器中启动（Node测试只导入类）
+if (typeof document !== 'undefined') {
+  // 全局实例
+  window.configurator = null;
 
-// 初始化
-document.addEventListener('DOMContentLoaded', () => {
-  window.configurator = new InteractiveGameConfigurator();
-});
+  // 初始化
+  document.addEventListener('DOMContentLoaded', () => {
+    window.configurator = new InteractiveGameConfigurator();
+  });
+}
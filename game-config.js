@@ -4,10 +4,14 @@
  */
 
 import { Encoder } from './src/utils/Encoder.js';
+import { BoardSetLoader } from './src/utils/BoardSetLoader.js';
+import { Board } from './src/core/Board.js';
+import { SmallBoard } from './src/core/SmallBoard.js';
 
 class GameConfigurator {
   constructor() {
-    this.smallBoards = []; // 可用的小棋盘
+    this.boardSets = new BoardSetLoader('./');
+    this.smallBoards = []; // 当前小棋盘库中可用的小棋盘
     this.boardConfig = {
       topLeft: null,
       topRight: null,
@@ -32,26 +36,31 @@ class GameConfigurator {
   }
 
   async loadSmallBoards() {
-    
-    const boardFiles = [
-      './data/board-0.json',
-      './data/board-1.json',
-      './data/board-2.json',
-      './data/board-3.json',
-      './data/board-4.json',
-      './data/board-5.json',
-      './data/board-6.json',
-      './data/board-7.json'
-    ];
-
+    // 加载上次选择的小棋盘库（数组下标即小棋盘编号）
     try {
-      const promises = boardFiles.map(file => fetch(file).then(r => r.json()));
-      this.smallBoards = await Promise.all(promises);
+      this.smallBoards = await this.boardSets.load(await this.boardSets.init());
     } catch (error) {
       this.showMessage('加载棋盘数据失败: ' + error.message, 'error');
     }
   }
 
+  /**
+   * 切换小棋盘库：清除当前配置并重新显示棋盘库
+   * @param {string} name - 库名称
+   */
+  async selectBoardSet(name) {
+    try {
+      const boardsData = await this.boardSets.load(name);
+      this.reset();
+      this.smallBoards = boardsData;
+      this.renderBoardLibrary();
+      this.showMessage(`已切换到小棋盘库：${this.boardSets.getSet(name).label}`, 'success');
+    } catch (error) {
+      document.getElementById('boardSetSelect').value = this.boardSets.current;
+      this.showMessage('切换小棋盘库失败: ' + error.message, 'error');
+    }
+  }
+
   renderBoardLibrary() {
     const container = document.getElementById('boardLibrary');
     
@@ -546,6 +555,11 @@ class GameConfigurator {
       zone.addEventListener('drop', (e) => this.handleDrop(e));
     });
 
+    // 小棋盘库
+    const boardSetSelect = document.getElementById('boardSetSelect');
+    this.boardSets.renderOptions(boardSetSelect);
+    boardSetSelect.addEventListener('change', () => this.selectBoardSet(boardSetSelect.value));
+
     // 按钮事件
     document.getElementById('generateBtn').addEventListener('click', () => this.generateGameCode());
     document.getElementById('randomBtn').addEventListener('click', () => this.randomConfig());
@@ -765,12 +779,22 @@ class GameConfigurator {
       const boardCode = Encoder.encodeBoardConfig(configArray);
       
       // 再生成完整编码
-      const gameCode = Encoder.encodeGame(boardCode, this.robotPositions);
+      const gameCode = Encoder.encodeGame(boardCode, this.robotPositions, {
+        checkCharacter: true,
+        boardSet: this.boardSets.current
+      });
       
       // 显示结果
       document.getElementById('gameCodeDisplay').textContent = gameCode;
       document.getElementById('resultPanel').classList.add('show');
-      this.showMessage('游戏编码生成成功！', 'success');
+
+      const problems = this.findUnreachableTargets(configArray);
+      if (problems.length > 0) {
+        const list = problems.map(({ target }) => `${target.id}(${target.x},${target.y})`).join('、');
+        this.showMessage(`游戏编码已生成，但以下终点无法仅靠墙壁停下：${list}`, 'warning');
+      } else {
+        this.showMessage('游戏编码生成成功！', 'success');
+      }
 
       // 保存到localStorage
       localStorage.setItem('lastGameCode', gameCode);
@@ -781,6 +805,19 @@ class GameConfigurator {
     }
   }
 
+  /**
+   * 静态检查棋子无法停下的终点（Board.findUnreachableTargets）
+   * @param {Array<{boardId, faceId}>} configArray - [左上, 右上, 左下, 右下]
+   * @returns {Array<{target, reason, colors}>}
+   */
+  findUnreachableTargets(configArray) {
+    const smallBoards = [];
+    this.smallBoards.forEach(data => {
+      smallBoards[data.id] = SmallBoard.fromJSON(data);
+    });
+    return new Board(configArray, smallBoards).findUnreachableTargets();
+  }
+
   randomConfig() {
 
     // 重置
@@ -871,7 +908,7 @@ class GameConfigurator {
 
   playGame() {
     const code = document.getElementById('gameCodeDisplay').textContent;
-    window.location.href = `./index.html?code=${code}`;
+    window.location.href = `./index.html?code=${encodeURIComponent(code)}`;
   }
 
   showMessage(message, type = 'info') {
@@ -7,20 +7,81 @@ import { SmallBoard } from './src/core/SmallBoard.js';
 import { Board } from './src/core/Board.js';
 import { Robot } from './src/core/Robot.js';
 import { Game } from './src/core/Game.js';
-import { PathFinder } from './src/algorithm/PathFinder.js';
+import { RuleSet } from './src/core/RuleSet.js';
+import { AsyncPathFinder } from './src/algorithm/AsyncPathFinder.js';
+import { HintProvider } from './src/algorithm/HintProvider.js';
+import { DifficultyRater } from './src/algorithm/DifficultyRater.js';
 import { BoardRenderer } from './src/ui/BoardRenderer.js';
 import { Encoder } from './src/utils/Encoder.js';
+import { BoardSetLoader } from './src/utils/BoardSetLoader.js';
 import { CONSTANTS } from './src/utils/Constants.js';
 
+// 游戏编码各段的名称（Encoder.validateGameCode 返回的 segments）
+const CODE_SEGMENT_NAMES = {
+  boardSet: '棋盘库',
+  board: '棋盘码',
+  red: '红色棋子位置',
+  yellow: '黄色棋子位置',
+  blue: '蓝色棋子位置',
+  green: '绿色棋子位置',
+  check: '校验字符',
+  checksum: '分享编码校验'
+};
+
 class RicochetRobotsApp {
   constructor() {
     this.game = null;
     this.boardRenderer = null;
     this.pathFinder = null;
-    this.smallBoards = [];
+    this.hintPathFinder = null; // 提示使用独立的Worker，不取消正在进行的解题
+    this.hintProvider = null;
+    this.hintLevel = 0; // 当前局面已透露的提示级别
+    this.ratingPathFinder = null; // 难度评估使用独立的Worker，不与解题互相取消
+    this.targetSort = 'default'; // 终点列表排序：default | difficulty-asc | difficulty-desc
+    this.ratingLimited = null; // 本次评估中搜索超限的终点 {positionsKey, targetIds}，不写入Game的缓存
+    this.reachability = null; // 可达性热力图 {positionsKey, cells}，棋子移动后不再显示
+    this.reachPathFinder = null; // 热力图使用独立的Worker，不取消正在进行的解题
+    this.puzzlePathFinder = null; // 谜题生成使用独立的Worker，与当前局面无关
+    this.boardSets = new BoardSetLoader('./');
+    this.smallBoards = []; // 当前小棋盘库（this.boardSets.current）中的小棋盘
     this.selectedTarget = null;
     this.currentSolution = null;
     
+    // 解法浏览器：当前终点的所有最优解及更长解
+    this.solutionBrowser = {
+      solutions: [],
+      index: -1,
+      extraDepth: 0,
+      searching: false
+    };
+    
+    // 手动模式：玩家逐步移动棋子，完成后与最优解比较
+    this.manualPlay = {
+      active: false,
+      target: null,
+      selectedColor: null,
+      moves: [],      // [{robotColor, direction, from, to}]
+      redoStack: [],
+      startPositions: null,
+      optimal: null,  // 进入手动模式时开始的最优解搜索（Promise）
+      finished: false
+    };
+    
+    // 全局规划：完成所有终点的轮次顺序（在独立的Worker中搜索）
+    this.gamePlan = {
+      pathFinder: null,
+      result: null,
+      startRound: 0,   // 规划开始时已完成的轮数
+      searching: false
+    };
+    
+    // 多人竞价：倒计时和当前玩家输入的移动
+    this.bidding = {
+      timerId: null,
+      robotColor: 'red',
+      moves: []
+    };
+    
     this.init();
   }
   
@@ -43,36 +104,8 @@ class RicochetRobotsApp {
   async loadSmallBoards() {
     
     try {
-      // 加载所有4个棋盘数据文件
-      const boardFiles = [
-        './data/board-0.json',
-        './data/board-1.json',
-        './data/board-2.json',
-        './data/board-3.json',
-        './data/board-4.json',
-        './data/board-5.json',
-        './data/board-6.json',
-        './data/board-7.json'
-      ];
-      
-      
-      for (let i = 0; i < boardFiles.length; i++) {
-        try {
-          const response = await fetch(boardFiles[i]);
-          
-          if (!response.ok) {
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-          }
-          
-          const data = await response.json();
-          
-          const smallBoard = new SmallBoard(data);
-          this.smallBoards.push(smallBoard);
-        } catch (error) {
-          console.error(`[App] 加载 ${boardFiles[i]} 失败:`, error);
-          throw error;
-        }
-      }
+      // 加载上次选择的小棋盘库
+      await this.selectBoardSet(await this.boardSets.init());
       
     } catch (error) {
       console.error('[App] 加载小棋盘失败:', error);
@@ -80,28 +113,81 @@ class RicochetRobotsApp {
     }
   }
   
+  /**
+   * 切换小棋盘库，之后的随机游戏、谜题和编码检查都使用此库
+   * @param {string} name - 库名称
+   */
+  async selectBoardSet(name) {
+    const boardsData = await this.boardSets.load(name);
+    // 数组下标即小棋盘编号
+    this.smallBoards = boardsData.map(data => new SmallBoard(data));
+    if (this.elements) {
+      this.elements.boardSetSelect.value = name;
+    }
+  }
+  
   initUI() {
     // 获取UI元素
     this.elements = {
+      boardSetSelect: document.getElementById('boardSetSelect'),
       gameCode: document.getElementById('gameCode'),
       loadGameBtn: document.getElementById('loadGameBtn'),
+      codeSuggestions: document.getElementById('codeSuggestions'),
       randomGameBtn: document.getElementById('randomGameBtn'),
       targetList: document.getElementById('targetList'),
       historyList: document.getElementById('historyList'),
       solveBtn: document.getElementById('solveBtn'),
+      cancelSolveBtn: document.getElementById('cancelSolveBtn'),
       resetBtn: document.getElementById('resetBtn'),
+      shareGameBtn: document.getElementById('shareGameBtn'),
       statusMessage: document.getElementById('statusMessage'),
       canvas: document.getElementById('gameBoard'),
       solutionPanel: document.getElementById('solutionPanel'),
       simpleSolution: document.getElementById('simpleSolution'),
       detailedSolution: document.getElementById('detailedSolution'),
+      alternativeSolutions: document.getElementById('alternativeSolutions'),
       playAnimationBtn: document.getElementById('playAnimationBtn'),
       pauseAnimationBtn: document.getElementById('pauseAnimationBtn'),
       replayAnimationBtn: document.getElementById('replayAnimationBtn'),
       applyMoveBtn: document.getElementById('applyMoveBtn'),
-      animationProgress: document.getElementById('animationProgress')
+      animationProgress: document.getElementById('animationProgress'),
+      playerNameInput: document.getElementById('playerNameInput'),
+      addPlayerBtn: document.getElementById('addPlayerBtn'),
+      playerList: document.getElementById('playerList'),
+      bidDuration: document.getElementById('bidDuration'),
+      startBiddingBtn: document.getElementById('startBiddingBtn'),
+      biddingPanel: document.getElementById('biddingPanel'),
+      biddingTimer: document.getElementById('biddingTimer'),
+      bidPlayer: document.getElementById('bidPlayer'),
+      bidMoves: document.getElementById('bidMoves'),
+      placeBidBtn: document.getElementById('placeBidBtn'),
+      closeBiddingBtn: document.getElementById('closeBiddingBtn'),
+      bidList: document.getElementById('bidList'),
+      verifyPanel: document.getElementById('verifyPanel'),
+      moveEntry: document.getElementById('moveEntry'),
+      submitMovesBtn: document.getElementById('submitMovesBtn'),
+      clearMovesBtn: document.getElementById('clearMovesBtn'),
+      manualPlayBtn: document.getElementById('manualPlayBtn'),
+      manualPanel: document.getElementById('manualPanel'),
+      manualMoveCounter: document.getElementById('manualMoveCounter'),
+      manualControls: document.getElementById('manualControls'),
+      manualResult: document.getElementById('manualResult'),
+      hintBtn: document.getElementById('hintBtn'),
+      hintPanel: document.getElementById('hintPanel'),
+      puzzleSteps: document.getElementById('puzzleSteps'),
+      puzzleRequirePrism: document.getElementById('puzzleRequirePrism'),
+      puzzleRequireMultiRobot: document.getElementById('puzzleRequireMultiRobot'),
+      generatePuzzleBtn: document.getElementById('generatePuzzleBtn'),
+      rateTargetsBtn: document.getElementById('rateTargetsBtn'),
+      targetSort: document.getElementById('targetSort'),
+      planGameBtn: document.getElementById('planGameBtn'),
+      planPanel: document.getElementById('planPanel'),
+      reachRobot: document.getElementById('reachRobot'),
+      reachHelpers: document.getElementById('reachHelpers')
     };
     
+    this.boardSets.renderOptions(this.elements.boardSetSelect);
+    
     // 初始化canvas
     this.initCanvas();
     
@@ -126,16 +212,175 @@ class RicochetRobotsApp {
   }
   
   bindEvents() {
+    this.elements.boardSetSelect.addEventListener('change', async (e) => {
+      try {
+        await this.selectBoardSet(e.target.value);
+        this.showMessage(`已切换到小棋盘库：${this.boardSets.getSet(e.target.value).label}`, 'success');
+      } catch (error) {
+        this.elements.boardSetSelect.value = this.boardSets.current;
+        this.showMessage(`切换小棋盘库失败: ${error.message}`, 'error');
+      }
+    });
     this.elements.loadGameBtn.addEventListener('click', () => this.loadGame());
+    this.elements.codeSuggestions.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-code]');
+      if (!button) return;
+      this.elements.gameCode.value = button.dataset.code;
+      this.loadGame();
+    });
     this.elements.randomGameBtn.addEventListener('click', () => this.loadRandomGame());
+    this.elements.generatePuzzleBtn.addEventListener('click', () => this.generatePuzzle());
+    this.elements.rateTargetsBtn.addEventListener('click', () => this.rateTargets());
+    this.elements.targetSort.addEventListener('change', () => {
+      this.targetSort = this.elements.targetSort.value;
+      this.updateTargetList();
+    });
     this.elements.solveBtn.addEventListener('click', () => this.solveForTarget());
+    this.elements.cancelSolveBtn.addEventListener('click', () => {
+      this.cancelSolve();
+      if (this.puzzlePathFinder) {
+        this.puzzlePathFinder.cancel();
+      }
+    });
     this.elements.resetBtn.addEventListener('click', () => this.resetGame());
+    this.elements.shareGameBtn.addEventListener('click', () => this.shareGame());
     
     // 动画控制
     this.elements.playAnimationBtn.addEventListener('click', () => this.playAnimation());
     this.elements.pauseAnimationBtn.addEventListener('click', () => this.pauseAnimation());
     this.elements.replayAnimationBtn.addEventListener('click', () => this.replayAnimation());
     this.elements.applyMoveBtn.addEventListener('click', () => this.applyMove());
+    
+    // 解法浏览器（内容动态生成，使用事件委托）
+    this.elements.alternativeSolutions.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action]');
+      if (!button || button.disabled) return;
+      
+      switch (button.dataset.action) {
+        case 'find-all':
+          this.findAllSolutions();
+          break;
+        case 'prev':
+          this.selectAlternative(this.solutionBrowser.index - 1);
+          break;
+        case 'next':
+          this.selectAlternative(this.solutionBrowser.index + 1);
+          break;
+        case 'select':
+          this.selectAlternative(parseInt(button.dataset.index, 10));
+          break;
+      }
+    });
+    this.elements.alternativeSolutions.addEventListener('change', (e) => {
+      if (e.target.dataset.action === 'extra-depth') {
+        this.solutionBrowser.extraDepth = parseInt(e.target.value, 10);
+      }
+    });
+    
+    // 渐进式提示
+    this.elements.hintBtn.addEventListener('click', () => this.showNextHint());
+    
+    // 可达性热力图
+    this.elements.reachRobot.addEventListener('change', () => this.updateReachability());
+    this.elements.reachHelpers.addEventListener('change', () => this.updateReachability());
+    
+    // 全局规划
+    this.elements.planGameBtn.addEventListener('click', () => this.planGame());
+    this.elements.planPanel.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action]');
+      if (!button || button.disabled) return;
+      
+      switch (button.dataset.action) {
+        case 'cancel-plan':
+          this.gamePlan.pathFinder.cancel();
+          break;
+        case 'next-round':
+          this.showPlannedRound();
+          break;
+      }
+    });
+    
+    // 手动模式
+    this.elements.manualPlayBtn.addEventListener('click', () => this.startManualPlay());
+    this.elements.canvas.addEventListener('click', (e) => this.handleCanvasClick(e));
+    document.addEventListener('keydown', (e) => this.handleManualKeydown(e));
+    [this.elements.manualControls, this.elements.manualResult].forEach(container => {
+      container.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-action]');
+        if (!button || button.disabled) return;
+        
+        switch (button.dataset.action) {
+          case 'move':
+            this.manualMove(button.dataset.direction);
+            break;
+          case 'undo':
+            this.undoManualMove();
+            break;
+          case 'redo':
+            this.redoManualMove();
+            break;
+          case 'exit':
+            this.exitManualPlay();
+            break;
+          case 'apply':
+            this.applyManualSolution();
+            break;
+        }
+      });
+    });
+    
+    // 历史记录：点击轮次回到该轮结束时，撤销/重做按钮逐轮移动
+    this.elements.historyList.addEventListener('click', (e) => {
+      if (!this.game) return;
+      const button = e.target.closest('[data-action]');
+      if (button) {
+        if (button.disabled) return;
+        const offset = button.dataset.action === 'undo-round' ? -1 : 1;
+        this.restoreToRound(this.game.rounds.length + offset);
+        return;
+      }
+      
+      const item = e.target.closest('[data-round]');
+      if (item) this.restoreToRound(parseInt(item.dataset.round, 10));
+    });
+    
+    // 多人竞价
+    this.elements.addPlayerBtn.addEventListener('click', () => this.addPlayer());
+    this.elements.playerNameInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this.addPlayer();
+    });
+    this.elements.playerList.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-remove-player]');
+      if (button) this.removePlayer(button.dataset.removePlayer);
+    });
+    this.elements.startBiddingBtn.addEventListener('click', () => this.startBidding());
+    this.elements.placeBidBtn.addEventListener('click', () => this.placeBid());
+    this.elements.closeBiddingBtn.addEventListener('click', () => this.closeBidding());
+    this.elements.submitMovesBtn.addEventListener('click', () => this.submitBidMoves());
+    this.elements.clearMovesBtn.addEventListener('click', () => {
+      this.bidding.moves = [];
+      this.renderMoveEntry();
+    });
+    this.elements.moveEntry.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action]');
+      if (!button) return;
+      
+      switch (button.dataset.action) {
+        case 'robot':
+          this.bidding.robotColor = button.dataset.color;
+          break;
+        case 'direction':
+          this.bidding.moves.push({
+            robotColor: this.bidding.robotColor,
+            direction: button.dataset.direction
+          });
+          break;
+        case 'undo':
+          this.bidding.moves.pop();
+          break;
+      }
+      this.renderMoveEntry();
+    });
   }
   
   bindSolutionTabs() {
@@ -151,7 +396,12 @@ class RicochetRobotsApp {
         document.querySelectorAll('.solution-tab-content').forEach(content => {
           content.classList.remove('active');
         });
-        document.getElementById(tab === 'simple' ? 'simpleSolution' : 'detailedSolution')
+        const contentIds = {
+          simple: 'simpleSolution',
+          detailed: 'detailedSolution',
+          alternatives: 'alternativeSolutions'
+        };
+        document.getElementById(contentIds[tab] || 'simpleSolution')
           .classList.add('active');
       });
     });
@@ -171,7 +421,7 @@ class RicochetRobotsApp {
     }
   }
   
-  loadGame() {
+  async loadGame() {
     const code = this.elements.gameCode.value.trim();
     
     if (!code) {
@@ -179,22 +429,67 @@ class RicochetRobotsApp {
       return;
     }
     
-    if (code.length !== 12) {
-      this.showMessage('游戏编码必须是12位十六进制数', 'error');
+    // 编码使用其他小棋盘库时先切换（编码无法解析时由下面的检查报告）
+    const boardSet = Encoder.getBoardSet(code);
+    if (boardSet && boardSet !== this.boardSets.current) {
+      try {
+        await this.selectBoardSet(boardSet);
+      } catch (error) {
+        this.showMessage(`加载失败: ${error.message}`, 'error');
+        return;
+      }
+    }
+    
+    // 检查编码，指出出错的编码段并给出最接近的有效编码
+    const validation = Encoder.validateGameCode(code, this.smallBoards);
+    this.renderCodeSuggestions(validation.suggestions);
+    if (!validation.valid) {
+      const segments = validation.segments.map(segment => CODE_SEGMENT_NAMES[segment] || segment).join('、');
+      this.showMessage(`编码有误${segments ? `（${segments}）` : ''}: ${validation.errors.join('; ')}`, 'error');
       return;
     }
     
     try {
       
-      // 解码游戏
-      const decoded = Encoder.decodeGame(code);
+      // 创建游戏（扩展编码会重放其中的轮次；保留上一局的玩家和积分）
+      const game = Game.fromCode(code, this.smallBoards);
+      const previousPlayers = this.game ? this.game.players : [];
+      this.stopBiddingTimer();
+      this.exitManualPlay();
+      this.game = game;
+      this.game.players = previousPlayers;
+      
+      // 创建PathFinder（在Worker中搜索）
+      if (this.pathFinder) {
+        this.pathFinder.dispose();
+      }
+      this.pathFinder = new AsyncPathFinder(this.game.board, this.game.robots, this.game.ruleSet);
+      
+      if (this.hintPathFinder) {
+        this.hintPathFinder.dispose();
+      }
+      this.hintPathFinder = new AsyncPathFinder(this.game.board, this.game.robots, this.game.ruleSet);
+      this.hintProvider = new HintProvider(this.hintPathFinder);
+      this.resetHints();
+      
+      if (this.reachPathFinder) {
+        this.reachPathFinder.dispose();
+      }
+      this.reachPathFinder = new AsyncPathFinder(this.game.board, this.game.robots, this.game.ruleSet);
       
-      // 创建游戏
-      this.game = new Game(code, this.smallBoards);
-      this.game.start();
+      if (this.ratingPathFinder) {
+        this.ratingPathFinder.dispose();
+      }
+      this.ratingPathFinder = new AsyncPathFinder(this.game.board, this.game.robots, this.game.ruleSet);
+      this.elements.rateTargetsBtn.disabled = false;
       
-      // 创建PathFinder
-      this.pathFinder = new PathFinder(this.game.board, this.game.robots);
+      if (this.gamePlan.pathFinder) {
+        this.gamePlan.pathFinder.dispose();
+      }
+      this.gamePlan.pathFinder = new AsyncPathFinder(this.game.board, this.game.robots, this.game.ruleSet);
+      this.gamePlan.result = null;
+      this.gamePlan.searching = false;
+      this.elements.planGameBtn.disabled = false;
       
       // 更新BoardRenderer
       this.boardRenderer.setBoard(this.game.board);
@@ -205,10 +500,12 @@ class RicochetRobotsApp {
       // 更新UI
       this.updateGameState();
       
-      this.showMessage('游戏加载成功！', 'success');
+      const restored = this.game.rounds.length;
+      this.showMessage(restored > 0 ? `游戏加载成功！已恢复${restored}轮` : '游戏加载成功！', 'success');
       
       // 启用按钮
       this.elements.resetBtn.disabled = false;
+      this.elements.shareGameBtn.disabled = false;
       
     } catch (error) {
       console.error('[App] 加载游戏失败:', error);
@@ -216,11 +513,47 @@ class RicochetRobotsApp {
     }
   }
   
+  /**
+   * 显示可能正确的编码（点击后加载）
+   * @param {Array<string>} suggestions
+   */
+  renderCodeSuggestions(suggestions) {
+    if (suggestions.length === 0) {
+      this.elements.codeSuggestions.innerHTML = '';
+      return;
+    }
+    
+    this.elements.codeSuggestions.innerHTML = `
+      <div class="code-suggestions-title">您是不是要输入：</div>
+      ${suggestions.map(code => `
+        <button class="btn-small" data-code="${code}">${code}</button>
+      `).join('')}
+    `;
+  }
+  
+  /**
+   * 生成包含当前进度和规则的分享编码，写入输入框并复制分享链接
+   */
+  async shareGame() {
+    if (!this.game) return;
+    
+    const code = this.game.toExtendedCode();
+    const url = `${window.location.origin}${window.location.pathname}?code=${code}`;
+    this.elements.gameCode.value = code;
+    
+    try {
+      await navigator.clipboard.writeText(url);
+      this.showMessage('分享链接已复制', 'success');
+    } catch (error) {
+      this.showMessage(`分享链接: ${url}`, 'info');
+    }
+  }
+  
   loadRandomGame() {
     try {
       
-      // 生成随机游戏编码
-      const randomCode = Encoder.generateRandomGame();
+      // 生成随机游戏编码（4个小棋盘颜色互不相同）
+      const randomCode = Encoder.withBoardSet(Game.createRandom(this.smallBoards).gameCode, this.boardSets.current);
       
       // 设置到输入框
       this.elements.gameCode.value = randomCode;
@@ -234,14 +567,108 @@ class RicochetRobotsApp {
     }
   }
   
+  async generatePuzzle() {
+    const steps = parseInt(this.elements.puzzleSteps.value, 10);
+    const requirePrism = this.elements.puzzleRequirePrism.checked;
+    const requireMultiRobot = this.elements.puzzleRequireMultiRobot.checked;
+    
+    const ruleSet = RuleSet.prism();
+    if (!Number.isInteger(steps) || steps < ruleSet.minSolutionSteps) {
+      this.showMessage(`生成失败: 步数至少为${ruleSet.minSolutionSteps}`, 'error');
+      return;
+    }
+    
+    if (!this.puzzlePathFinder) {
+      this.puzzlePathFinder = new AsyncPathFinder(null, [], ruleSet);
+    }
+    
+    // 生成过程中切换小棋盘库不影响结果所属的库
+    const boardSet = this.boardSets.current;
+    this.elements.generatePuzzleBtn.disabled = true;
+    this.elements.cancelSolveBtn.style.display = 'block';
+    this.showMessage(`正在生成${steps}步谜题...`, 'info');
+    
+    const result = await this.puzzlePathFinder.generatePuzzle(this.smallBoards, {
+      steps,
+      requirePrism,
+      requireMultiRobot,
+      onProgress: ({ attempts, targetsTried }) => {
+        this.showMessage(`正在生成${steps}步谜题... 已尝试${attempts}个局面、${targetsTried}个终点`, 'info');
+      }
+    });
+    
+    this.elements.generatePuzzleBtn.disabled = false;
+    this.elements.cancelSolveBtn.style.display = 'none';
+    
+    if (result.cancelled) {
+      this.showMessage('谜题生成已取消', 'info');
+      return;
+    }
+    if (!result.success) {
+      this.showMessage(result.attempts
+        ? `未能生成谜题（尝试了${result.attempts}个局面），请放宽条件后重试`
+        : `生成失败: ${result.message}`, 'error');
+      return;
+    }
+    
+    this.elements.gameCode.value = Encoder.withBoardSet(result.gameCode, boardSet);
+    await this.loadGame();
+    this.selectTarget(result.targetId);
+    this.showMessage(
+      `已生成谜题：${this.selectedTarget.getDisplayName()}，最优解${result.steps}步（尝试了${result.attempts}个局面）`,
+      'success'
+    );
+  }
+  
   render() {
     if (!this.game) return;
     
+    if (this.manualPlay.active) {
+      const { target, selectedColor, finished } = this.manualPlay;
+      this.boardRenderer.render(this.game.robots, {
+        highlightCells: [{ x: target.x, y: target.y }],
+        moveOptionsFor: finished ? null : selectedColor,
+        ruleSet: this.game.ruleSet,
+        showCoordinates: false
+      });
+      return;
+    }
+    
+    const reachability = this.reachability &&
+      this.reachability.positionsKey === this.game.getPositionsKey() ? this.reachability.cells : null;
+    
     this.boardRenderer.render(this.game.robots, {
+      reachability,
       showCoordinates: false
     });
   }
   
+  async updateReachability() {
+    const color = this.elements.reachRobot.value;
+    
+    if (!color || !this.game || !this.reachPathFinder) {
+      this.reachability = null;
+      this.render();
+      return;
+    }
+    
+    const positionsKey = this.game.getPositionsKey();
+    const result = await this.reachPathFinder.computeReachability(color, {
+      useHelpers: this.elements.reachHelpers.checked
+    });
+    if (result.cancelled || !this.game || positionsKey !== this.game.getPositionsKey()) return;
+    
+    this.reachability = result.success ? { positionsKey, cells: result.cells } : null;
+    this.render();
+    
+    if (result.success) {
+      this.showMessage(
+        `${color}棋子可到达${result.cells.length}个格子，最多${result.maxMoves}步${result.truncated ? '（只计算到该步数）' : ''}`,
+        'info'
+      );
+    }
+  }
+  
   updateGameState() {
     if (!this.game) return;
     
@@ -252,11 +679,67 @@ class RicochetRobotsApp {
     
     // 更新历史
     this.updateHistory(state);
+    
+    // 更新玩家和竞价面板
+    this.updatePlayerList();
+    this.updateBiddingPanel();
+    
+    // 更新规划面板（局面改变后标记为过期）
+    this.renderPlan();
+    
+    // 按新局面重新计算热力图
+    if (this.elements.reachRobot.value) {
+      this.updateReachability();
+    }
+  }
+  
+  async rateTargets() {
+    if (!this.game || !this.ratingPathFinder) return;
+    
+    const game = this.game;
+    const rater = new DifficultyRater(this.ratingPathFinder);
+    const total = game.getAvailableTargets().filter(entry => !entry.difficulty).length;
+    let done = 0;
+    
+    this.ratingLimited = { positionsKey: game.getPositionsKey(), targetIds: new Set() };
+    const limited = this.ratingLimited.targetIds;
+    this.elements.rateTargetsBtn.disabled = true;
+    this.showMessage(`正在评估终点难度 (0/${total})...`, 'info');
+    
+    const rated = await game.rateAvailableTargets(rater, (targetId, rating) => {
+      done++;
+      if (rating.limitReached) limited.add(targetId);
+      if (game !== this.game) return;
+      this.updateTargetList();
+      this.showMessage(`正在评估终点难度 (${done}/${total})...`, 'info');
+    });
+    
+    if (game !== this.game) return;
+    this.elements.rateTargetsBtn.disabled = false;
+    if (rated !== total) {
+      this.showMessage('难度评估已中断（局面已改变）', 'info');
+    } else if (limited.size > 0) {
+      this.showMessage(`终点难度评估完成，${limited.size}个终点超出搜索上限，可再次评估重试`, 'info');
+    } else {
+      this.showMessage('终点难度评估完成', 'success');
+    }
   }
   
   updateTargetList() {
     const targets = this.game.getAvailableTargets();
     
+    // 按难度排序时，未评估的终点排在最后
+    if (this.targetSort !== 'default') {
+      const direction = this.targetSort === 'difficulty-desc' ? -1 : 1;
+      const scoreOf = ({ difficulty }) => (difficulty && difficulty.success ? difficulty.score : null);
+      targets.sort((a, b) => {
+        const scoreA = scoreOf(a);
+        const scoreB = scoreOf(b);
+        if (scoreA === null || scoreB === null) return (scoreA === null) - (scoreB === null);
+        return (scoreA - scoreB) * direction;
+      });
+    }
+    
     if (targets.length === 0) {
       this.elements.targetList.innerHTML = '<div class="loading">没有可用终点</div>';
       return;
@@ -285,12 +768,29 @@ class RicochetRobotsApp {
       return `color: ${colors[color] || '#666'};`;
     };
     
-    const html = targets.map(({target, position}) => {
+    // 难度标记：星级 + 分数 + 最优步数
+    const limited = this.ratingLimited && this.ratingLimited.positionsKey === this.game.getPositionsKey()
+      ? this.ratingLimited.targetIds : new Set();
+    const getDifficultyBadge = (difficulty, targetId) => {
+      if (!difficulty) {
+        return limited.has(targetId) ? '<div class="target-difficulty" title="搜索超出上限，未能评估">超限</div>' : '';
+      }
+      if (!difficulty.success) return '<div class="target-difficulty">无解</div>';
+      const stars = '★'.repeat(difficulty.level) + '☆'.repeat(5 - difficulty.level);
+      return `
+        <div class="target-difficulty" title="${difficulty.steps}步 · ${difficulty.robots}个棋子 · ${difficulty.refractions}次折射 · ${difficulty.solutionCount}${difficulty.truncated ? '+' : ''}个最优解">
+          ${stars} ${difficulty.score}
+        </div>
+      `;
+    };
+    
+    const html = targets.map(({target, position, difficulty}) => {
       const boardPos = getBoardPosition(position.x, position.y);
       return `
-        <div class="target-item" data-target-id="${target.id}">
+        <div class="target-item ${this.selectedTarget && this.selectedTarget.id === target.id ? 'selected' : ''}" data-target-id="${target.id}">
           <span class="target-shape" style="${getColorStyle(target.color)}">${target.getEmoji()}</span>
           <div class="target-info">${boardPos}</div>
+          ${getDifficultyBadge(difficulty, target.id)}
         </div>
       `;
     }).join('');
@@ -304,6 +804,8 @@ class RicochetRobotsApp {
   }
   
   selectTarget(targetId) {
+    this.exitManualPlay();
+    
     // 更新选中状态
     this.elements.targetList.querySelectorAll('.target-item').forEach(item => {
       item.classList.toggle('selected', item.dataset.targetId === targetId);
@@ -313,6 +815,9 @@ class RicochetRobotsApp {
     
     // 启用解题按钮
     this.elements.solveBtn.disabled = false;
+    this.elements.manualPlayBtn.disabled = false;
+    this.resetHints();
+    this.updateBiddingPanel();
     
     this.showMessage(`已选择终点: ${this.selectedTarget.getDisplayName()}`, 'info');
   }
@@ -323,8 +828,12 @@ class RicochetRobotsApp {
       return;
     }
     
+    // 搜索基于当前棋子位置，先退出手动模式
+    this.exitManualPlay();
+    
     this.showMessage('正在搜索路径...', 'info');
     this.elements.solveBtn.disabled = true;
+    this.elements.cancelSolveBtn.style.display = 'block';
     
     // 找到可以到达此终点的棋子
     const eligibleRobots = this.game.robots.filter(r => 
@@ -334,31 +843,37 @@ class RicochetRobotsApp {
     if (eligibleRobots.length === 0) {
       this.showMessage('没有棋子可以到达此终点', 'error');
       this.elements.solveBtn.disabled = false;
+      this.elements.cancelSolveBtn.style.display = 'none';
       return;
     }
     
-    // 尝试为每个合格的棋子寻找路径
-    let bestSolution = null;
-    let bestSteps = Infinity;
-    
-    for (const robot of eligibleRobots) {
-      
-      const result = this.pathFinder.findPath(
-        robot.color,
-        { x: this.selectedTarget.x, y: this.selectedTarget.y },
-        true // 启用调试
-      );
-      
-      if (result.success && result.steps < bestSteps) {
-        bestSolution = {
-          robot: robot,
-          result: result
-        };
-        bestSteps = result.steps;
+    // 一次搜索所有合格的棋子，返回全局最优解
+    const result = await this.pathFinder.findBestPath(
+      eligibleRobots.map(r => r.color),
+      { x: this.selectedTarget.x, y: this.selectedTarget.y },
+      {
+        debug: true, // 启用调试
+        onProgress: ({ statesExplored, depth }) => {
+          this.showMessage(
+            `正在搜索路径... 已探索${statesExplored}个状态，深度${depth}`,
+            'info'
+          );
+        }
       }
-    }
+    );
+    
+    const cancelled = !!result.cancelled;
+    const bestSolution = result.success ? {
+      robot: this.game.robots.find(r => r.color === result.robotColor),
+      result: result
+    } : null;
+    const bestSteps = result.steps;
+    
+    this.elements.cancelSolveBtn.style.display = 'none';
     
-    if (bestSolution) {
+    if (cancelled) {
+      this.showMessage('搜索已取消', 'info');
+    } else if (bestSolution) {
       this.currentSolution = bestSolution;
       this.currentTarget = this.selectedTarget; // 保存目标
       this.showMessage(
@@ -372,6 +887,11 @@ class RicochetRobotsApp {
       // 重置动画状态
       this.resetAnimation();
       
+      // 重置解法浏览器
+      this.solutionBrowser.solutions = [];
+      this.solutionBrowser.index = -1;
+      this.renderAlternatives();
+      
     } else {
       this.showMessage('未找到路径，请尝试其他终点', 'error');
     }
@@ -379,8 +899,155 @@ class RicochetRobotsApp {
     this.elements.solveBtn.disabled = false;
   }
   
+  cancelSolve() {
+    if (this.pathFinder) {
+      this.pathFinder.cancel();
+    }
+  }
+  
+  // ========== 解法浏览器 ==========
+  
+  async findAllSolutions() {
+    if (!this.currentTarget || this.solutionBrowser.searching) return;
+    
+    const eligibleColors = this.game.robots
+      .filter(r => this.currentTarget.canAccept(r.color))
+      .map(r => r.color);
+    
+    // 搜索前恢复初始位置（可能正在播放动画）
+    this.stopAnimation();
+    
+    this.solutionBrowser.searching = true;
+    this.renderAlternatives();
+    this.elements.cancelSolveBtn.style.display = 'block';
+    
+    const result = await this.pathFinder.findAllSolutions(
+      eligibleColors,
+      { x: this.currentTarget.x, y: this.currentTarget.y },
+      {
+        maxSolutions: 50,
+        extraDepth: this.solutionBrowser.extraDepth,
+        onProgress: ({ statesExplored, depth }) => {
+          this.showMessage(`正在枚举${depth}步的解... 已探索${statesExplored}个状态`, 'info');
+        }
+      }
+    );
+    
+    this.solutionBrowser.searching = false;
+    this.elements.cancelSolveBtn.style.display = 'none';
+    
+    if (result.cancelled) {
+      this.showMessage('搜索已取消', 'info');
+    } else if (result.success) {
+      this.solutionBrowser.solutions = result.solutions;
+      this.solutionBrowser.index = -1;
+      this.showMessage(
+        `找到${result.solutions.length}个解（最优${result.optimalSteps}步）${result.truncated ? '，已达到数量上限' : ''}`,
+        'success'
+      );
+    } else {
+      this.showMessage(`枚举失败: ${result.message}`, 'error');
+    }
+    
+    this.renderAlternatives();
+  }
+  
+  selectAlternative(index) {
+    const { solutions } = this.solutionBrowser;
+    if (index < 0 || index >= solutions.length) return;
+    
+    // 切换前把棋子恢复到初始位置
+    this.stopAnimation();
+    
+    const solution = solutions[index];
+    this.solutionBrowser.index = index;
+    this.currentSolution = {
+      robot: this.game.robots.find(r => r.color === solution.robotColor),
+      result: {
+        success: true,
+        steps: solution.steps,
+        path: solution.path
+      }
+    };
+    
+    this.displaySimpleSolution(this.currentSolution.robot, solution.path);
+    this.displayDetailedSolution(this.currentSolution.robot, solution.path);
+    this.resetAnimation();
+    this.renderAlternatives();
+  }
+  
+  renderAlternatives() {
+    const { solutions, index, extraDepth, searching } = this.solutionBrowser;
+    
+    const directionArrows = {
+      'up': '↑',
+      'down': '↓',
+      'left': '←',
+      'right': '→'
+    };
+    
+    const colorNames = {
+      'red': '红色',
+      'yellow': '黄色',
+      'blue': '蓝色',
+      'green': '绿色'
+    };
+    
+    const html = `
+      <div class="solution-summary">
+        ${solutions.length > 0
+          ? `共 ${solutions.length} 个解${index >= 0 ? `，当前第 ${index + 1} 个` : ''}`
+          : '列出此终点的所有最优解'}
+      </div>
+      <div class="alternatives-controls">
+        <label>额外步数
+          <select data-action="extra-depth" ${searching ? 'disabled' : ''}>
+            ${[0, 1, 2].map(n => `<option value="${n}" ${n === extraDepth ? 'selected' : ''}>+${n}</option>`).join('')}
+          </select>
+        </label>
+        <button class="btn" data-action="find-all" ${searching ? 'disabled' : ''}>
+          ${searching ? '🔍 搜索中...' : '🔍 查找所有解'}
+        </button>
+      </div>
+      ${solutions.length > 0 ? `
+        <div class="alternatives-nav">
+          <button class="btn" data-action="prev" ${index <= 0 ? 'disabled' : ''}>◀ 上一个</button>
+          <button class="btn" data-action="next" ${index >= solutions.length - 1 ? 'disabled' : ''}>下一个 ▶</button>
+        </div>
+        <div class="alternatives-list">
+          ${solutions.map((solution, i) => `
+            <button class="alternative-item ${i === index ? 'active' : ''}" data-action="select" data-index="${i}">
+              <span class="alternative-header">#${i + 1} ${colorNames[solution.robotColor]}棋子 ${solution.steps}步</span>
+              <span class="solution-simple">
+                ${solution.path.map(move => `
+                  <span class="arrow-step ${move.robotColor}">${directionArrows[move.direction] || '?'}</span>
+                `).join('')}
+              </span>
+            </button>
+          `).join('')}
+        </div>
+      ` : ''}
+    `;
+    
+    this.elements.alternativeSolutions.innerHTML = html;
+  }
+  
   // ========== 动画控制方法 ==========
   
+  stopAnimation() {
+    this.animationState.isPlaying = false;
+    this.animationState.isPaused = false;
+    
+    if (this.animationState.animationId) {
+      cancelAnimationFrame(this.animationState.animationId);
+      this.animationState.animationId = null;
+    }
+    
+    this.restoreRobotPositions();
+    this.animationState.currentStep = 0;
+    this.render();
+  }
+  
   resetAnimation() {
     // 保存当前棋子位置
     this.animationState.savedRobotPositions = this.game.robots.map(r => ({
@@ -486,6 +1153,9 @@ class RicochetRobotsApp {
     // 执行动画移动
     await this.animateMove(robot, move);
     
+    // 移动中途被暂停或停止：不计入已完成步数，继续播放时从当前位置补完这一步
+    if (!this.animationState.isPlaying) return;
+    
     // 下一步
     this.animationState.currentStep++;
     
@@ -580,8 +1250,11 @@ class RicochetRobotsApp {
     this.selectedTarget = null;
     this.currentSolution = null;
     this.currentTarget = null;
+    this.solutionBrowser.solutions = [];
+    this.solutionBrowser.index = -1;
     this.elements.solutionPanel.style.display = 'none';
     this.elements.solveBtn.disabled = true;
+    this.resetHints();
     
     this.showMessage('移动已应用！', 'success');
   }
@@ -679,35 +1352,761 @@ class RicochetRobotsApp {
     this.elements.detailedSolution.innerHTML = html;
   }
   
+  // ========== 渐进式提示 ==========
+  
+  resetHints() {
+    this.hintLevel = 0;
+    this.elements.hintPanel.innerHTML = '';
+    this.elements.hintBtn.disabled = !this.selectedTarget;
+    this.elements.hintBtn.textContent = '💡 提示';
+  }
+  
+  async showNextHint() {
+    // 手动模式下基于玩家当前的局面给出提示
+    const target = this.manualPlay.active ? this.manualPlay.target : this.selectedTarget;
+    if (!target || !this.hintProvider) return;
+    
+    const level = Math.min(this.hintLevel + 1, HintProvider.LEVELS.length);
+    const eligibleColors = this.game.robots
+      .filter(r => target.canAccept(r.color))
+      .map(r => r.color);
+    
+    this.elements.hintBtn.disabled = true;
+    this.elements.hintPanel.innerHTML = '<div class="loading">正在计算提示...</div>';
+    
+    const hint = await this.hintProvider.getHint(eligibleColors, { x: target.x, y: target.y }, level);
+    
+    if (!hint.success) {
+      this.elements.hintPanel.innerHTML = `<div class="loading">${hint.cancelled ? '提示已取消' : '没有找到解，无法提示'}</div>`;
+      this.elements.hintBtn.disabled = false;
+      return;
+    }
+    
+    this.hintLevel = level;
+    this.renderHint(hint);
+    
+    const exhausted = level >= HintProvider.LEVELS.length;
+    this.elements.hintBtn.disabled = exhausted;
+    this.elements.hintBtn.textContent = exhausted ? '💡 已显示全部提示' : '💡 更多提示';
+  }
+  
+  renderHint(hint) {
+    const colorNames = { red: '红色', yellow: '黄色', blue: '蓝色', green: '绿色' };
+    const directionNames = { up: '向上', down: '向下', left: '向左', right: '向右' };
+    const lines = [`最优解需要 <strong>${hint.steps}</strong> 步`];
+    
+    if (hint.firstRobot) {
+      lines.push(`第一步移动 <span class="${hint.firstRobot}">${colorNames[hint.firstRobot]}</span>棋子`);
+    }
+    
+    if (hint.robots) {
+      lines.push(`涉及棋子：${hint.robots.map(c => `<span class="${c}">${colorNames[c]}</span>`).join('、')}`);
+    }
+    
+    if (hint.nextMove) {
+      const { robotColor, direction, to } = hint.nextMove;
+      lines.push(`下一步：${colorNames[robotColor]}棋子${directionNames[direction]}，停在 (${to.x}, ${to.y})`);
+    }
+    
+    this.elements.hintPanel.innerHTML = lines
+      .map(line => `<div class="hint-line">${line}</div>`)
+      .join('');
+  }
+  
+  // ========== 全局规划 ==========
+  
+  async planGame() {
+    if (!this.game || !this.gamePlan.pathFinder || this.gamePlan.searching) return;
+    
+    const game = this.game;
+    const startRound = game.rounds.length;
+    
+    this.gamePlan.searching = true;
+    this.gamePlan.result = null;
+    this.elements.planGameBtn.disabled = true;
+    this.renderPlan();
+    
+    const result = await this.gamePlan.pathFinder.planGame({
+      usedTargetIds: game.rounds.map(round => round.targetInfo.id),
+      onProgress: ({ round, solves }) => {
+        this.showMessage(`正在规划... 已规划${round}轮，求解${solves}次`, 'info');
+      }
+    });
+    
+    if (game !== this.game) return;
+    this.gamePlan.searching = false;
+    this.elements.planGameBtn.disabled = false;
+    
+    if (!result.success) {
+      this.showMessage(result.cancelled ? '规划已取消' : `规划失败: ${result.message}`, result.cancelled ? 'info' : 'error');
+      this.renderPlan();
+      return;
+    }
+    
+    this.gamePlan.result = result;
+    this.gamePlan.startRound = startRound;
+    this.renderPlan();
+    this.showMessage(
+      `规划完成：${result.completedTargets}/${result.totalTargets}个终点，共${result.totalSteps}步（${(result.time / 1000).toFixed(1)}秒）`,
+      'success'
+    );
+  }
+  
+  /**
+   * 规划中的下一轮；局面与规划不一致（未按规划执行）时返回null
+   * @returns {Object|null}
+   */
+  getNextPlannedRound() {
+    const { result, startRound } = this.gamePlan;
+    if (!result) return null;
+    
+    const index = this.game.rounds.length - startRound;
+    const round = result.rounds[index];
+    if (!round) return null;
+    
+    const playedAsPlanned = this.game.rounds.slice(startRound).every((played, i) =>
+      played.targetInfo.id === result.rounds[i].targetId
+    );
+    const positionsMatch = this.game.getPositionsKey() === Encoder.encodeRobotPositions(round.startPositions);
+    
+    return playedAsPlanned && positionsMatch ? round : null;
+  }
+  
+  showPlannedRound() {
+    const round = this.getNextPlannedRound();
+    if (!round) return;
+    
+    this.selectTarget(round.targetId);
+    this.currentSolution = {
+      robot: this.game.robots.find(r => r.color === round.robotColor),
+      result: {
+        success: true,
+        steps: round.steps,
+        path: round.path
+      }
+    };
+    this.currentTarget = this.selectedTarget;
+    this.solutionBrowser.solutions = [];
+    this.solutionBrowser.index = -1;
+    this.renderAlternatives();
+    
+    this.displaySolution(this.currentSolution);
+    this.resetAnimation();
+    this.playAnimation();
+  }
+  
+  renderPlan() {
+    const { result, startRound, searching } = this.gamePlan;
+    
+    if (searching) {
+      this.elements.planPanel.innerHTML = `
+        <div class="loading">正在规划所有终点的完成顺序...</div>
+        <button class="btn" data-action="cancel-plan">⏹ 取消</button>
+      `;
+      return;
+    }
+    
+    if (!result || !this.game) {
+      this.elements.planPanel.innerHTML = '';
+      return;
+    }
+    
+    const colorNames = { red: '红色', yellow: '黄色', blue: '蓝色', green: '绿色' };
+    const nextRound = this.getNextPlannedRound();
+    const done = this.game.rounds.length - startRound;
+    const finished = done >= result.rounds.length;
+    const stale = !nextRound && !finished;
+    
+    this.elements.planPanel.innerHTML = `
+      <div class="solution-summary">
+        规划：${result.completedTargets}/${result.totalTargets}个终点，共 <strong>${result.totalSteps}</strong> 步
+        ${stale ? '（局面已改变，请重新规划）' : ''}
+      </div>
+      <div class="plan-list">
+        ${result.rounds.map((round, i) => `
+          <div class="plan-item ${i < done && !stale ? 'done' : ''} ${round === nextRound ? 'active' : ''}">
+            #${startRound + i + 1} ${round.targetInfo.shape} ${round.targetInfo.color} - ${colorNames[round.robotColor]}棋子 ${round.steps}步
+          </div>
+        `).join('')}
+      </div>
+      <button class="btn" data-action="next-round" ${nextRound ? '' : 'disabled'}>▶ 演示下一轮</button>
+    `;
+  }
+  
+  // ========== 手动模式 ==========
+  
+  startManualPlay() {
+    if (!this.game || !this.selectedTarget) {
+      this.showMessage('请先选择一个终点', 'error');
+      return;
+    }
+    
+    if (this.manualPlay.active) {
+      this.exitManualPlay();
+    }
+    
+    if (this.animationState.isPlaying || this.animationState.isPaused) {
+      this.stopAnimation();
+    }
+    
+    const target = this.selectedTarget;
+    const eligibleColors = this.game.robots
+      .filter(r => target.canAccept(r.color))
+      .map(r => r.color);
+    
+    this.manualPlay = {
+      active: true,
+      target,
+      selectedColor: eligibleColors[0] || null,
+      moves: [],
+      redoStack: [],
+      startPositions: this.game.robots.map(r => ({ color: r.color, x: r.x, y: r.y })),
+      // 棋子位置在发起搜索时已复制，之后手动移动不影响搜索结果
+      optimal: this.pathFinder.findBestPath(eligibleColors, { x: target.x, y: target.y }),
+      finished: false
+    };
+    
+    this.elements.manualPanel.style.display = 'block';
+    this.elements.manualResult.innerHTML = '';
+    this.updateManualPanel();
+    this.render();
+    
+    this.showMessage('手动模式：点击棋子选择，方向键或按钮移动，Ctrl+Z撤销，Ctrl+Y重做', 'info');
+  }
+  
+  exitManualPlay() {
+    if (!this.manualPlay.active) return;
+    
+    this.restoreManualStart();
+    this.manualPlay.active = false;
+    this.elements.manualPanel.style.display = 'none';
+    this.resetHints();
+    this.render();
+  }
+  
+  restoreManualStart() {
+    this.manualPlay.startPositions.forEach(pos => {
+      const robot = this.game.robots.find(r => r.color === pos.color);
+      if (robot) robot.moveTo(pos.x, pos.y);
+    });
+  }
+  
+  handleCanvasClick(e) {
+    if (!this.manualPlay.active || !this.game) return;
+    
+    const canvas = this.elements.canvas;
+    const rect = canvas.getBoundingClientRect();
+    const cell = this.boardRenderer.pixelToCell(
+      (e.clientX - rect.left) * canvas.width / rect.width,
+      (e.clientY - rect.top) * canvas.height / rect.height
+    );
+    if (!cell) return;
+    
+    const robot = this.game.robots.find(r => r.isAt(cell.x, cell.y));
+    if (robot) {
+      this.selectManualRobot(robot.color);
+    }
+  }
+  
+  handleManualKeydown(e) {
+    if (!this.manualPlay.active) return;
+    if (e.target.closest && e.target.closest('input, textarea, select')) return;
+    
+    const key = e.key.toLowerCase();
+    const directionKeys = {
+      arrowup: 'up', w: 'up',
+      arrowdown: 'down', s: 'down',
+      arrowleft: 'left', a: 'left',
+      arrowright: 'right', d: 'right'
+    };
+    
+    if ((e.ctrlKey || e.metaKey) && key === 'z') {
+      if (e.shiftKey) {
+        this.redoManualMove();
+      } else {
+        this.undoManualMove();
+      }
+    } else if ((e.ctrlKey || e.metaKey) && key === 'y') {
+      this.redoManualMove();
+    } else if (directionKeys[key] && !e.ctrlKey && !e.metaKey) {
+      this.manualMove(directionKeys[key]);
+    } else if (['1', '2', '3', '4'].includes(key)) {
+      // 数字键按 红、黄、蓝、绿 选择棋子
+      const robot = this.game.robots[parseInt(key, 10) - 1];
+      if (robot) this.selectManualRobot(robot.color);
+    } else if (key === 'escape') {
+      this.exitManualPlay();
+    } else {
+      return;
+    }
+    
+    e.preventDefault();
+  }
+  
+  selectManualRobot(color) {
+    this.manualPlay.selectedColor = color;
+    this.updateManualPanel();
+    this.render();
+  }
+  
+  manualMove(direction) {
+    const { selectedColor, finished } = this.manualPlay;
+    if (finished) return;
+    
+    const robot = this.game.robots.find(r => r.color === selectedColor);
+    if (!robot) {
+      this.showMessage('请先点击选择一个棋子', 'error');
+      return;
+    }
+    
+    // 与PathFinder.simulateMove相同的移动表
+    const result = this.game.board.getMoveTable(this.game.ruleSet)
+      .simulate(robot, direction, this.game.robots);
+    if (!result.moved) {
+      this.showMessage('该方向无法移动', 'info');
+      return;
+    }
+    
+    this.manualPlay.moves.push({
+      robotColor: robot.color,
+      direction,
+      from: { x: robot.x, y: robot.y },
+      to: { x: result.finalX, y: result.finalY },
+      segments: result.segments
+    });
+    this.manualPlay.redoStack = [];
+    robot.moveTo(result.finalX, result.finalY);
+    
+    this.afterManualChange();
+  }
+  
+  undoManualMove() {
+    const move = this.manualPlay.moves.pop();
+    if (!move) return;
+    
+    this.game.robots.find(r => r.color === move.robotColor).moveTo(move.from.x, move.from.y);
+    this.manualPlay.redoStack.push(move);
+    this.manualPlay.selectedColor = move.robotColor;
+    this.manualPlay.finished = false;
+    this.elements.manualResult.innerHTML = '';
+    
+    this.afterManualChange();
+  }
+  
+  redoManualMove() {
+    if (this.manualPlay.finished) return;
+    
+    const move = this.manualPlay.redoStack.pop();
+    if (!move) return;
+    
+    this.game.robots.find(r => r.color === move.robotColor).moveTo(move.to.x, move.to.y);
+    this.manualPlay.moves.push(move);
+    this.manualPlay.selectedColor = move.robotColor;
+    
+    this.afterManualChange();
+  }
+  
+  afterManualChange() {
+    const { target, moves } = this.manualPlay;
+    
+    // 局面变化后提示需要从第一级重新开始
+    this.resetHints();
+    this.elements.hintBtn.disabled = false;
+    const last = moves[moves.length - 1];
+    
+    if (last && last.to.x === target.x && last.to.y === target.y && target.canAccept(last.robotColor)) {
+      this.manualPlay.finished = true;
+      this.showManualResult();
+    }
+    
+    this.updateManualPanel();
+    this.render();
+  }
+  
+  async showManualResult() {
+    const steps = this.manualPlay.moves.length;
+    const minSteps = this.game.ruleSet.minSolutionSteps;
+    this.elements.manualResult.innerHTML = `<div class="loading">到达终点！用了${steps}步，正在计算最优解...</div>`;
+    
+    const optimal = await this.manualPlay.optimal;
+    if (!this.manualPlay.active || !this.manualPlay.finished) return;
+    
+    let verdict;
+    if (steps < minSteps) {
+      verdict = `不符合规则：至少需要${minSteps}步`;
+    } else if (!optimal.success) {
+      verdict = '求解器未找到解，无法比较';
+    } else if (steps === optimal.steps) {
+      verdict = `🎉 与最优解相同（${optimal.steps}步）`;
+    } else if (steps < optimal.steps) {
+      verdict = `比求解器的${optimal.steps}步更少，请检查规则设置`;
+    } else {
+      verdict = `最优解为${optimal.steps}步，多用了${steps - optimal.steps}步`;
+    }
+    
+    this.elements.manualResult.innerHTML = `
+      <div class="solution-summary">到达终点！共 ${steps} 步</div>
+      <div class="manual-verdict">${verdict}</div>
+      <button class="btn" data-action="apply" ${steps < minSteps ? 'disabled' : ''}>✅ 应用本轮</button>
+    `;
+  }
+  
+  applyManualSolution() {
+    const { target, moves } = this.manualPlay;
+    const last = moves[moves.length - 1];
+    
+    // 与求解器路径一致：记录整条路径，只把到达终点的棋子移到终点
+    this.restoreManualStart();
+    try {
+      this.game.executeRound(target.id, last.robotColor, [...moves], moves.length);
+    } catch (error) {
+      this.showMessage(`应用失败: ${error.message}`, 'error');
+      this.exitManualPlay();
+      return;
+    }
+    
+    this.manualPlay.active = false;
+    this.elements.manualPanel.style.display = 'none';
+    this.selectedTarget = null;
+    this.elements.solveBtn.disabled = true;
+    this.elements.manualPlayBtn.disabled = true;
+    this.resetHints();
+    
+    this.render();
+    this.updateGameState();
+    this.showMessage(`手动解已应用：${moves.length}步`, 'success');
+  }
+  
+  updateManualPanel() {
+    const { moves, redoStack, selectedColor, finished } = this.manualPlay;
+    const colorNames = { red: '红色', yellow: '黄色', blue: '蓝色', green: '绿色' };
+    const directionArrows = { up: '↑', down: '↓', left: '←', right: '→' };
+    
+    this.elements.manualMoveCounter.textContent = `${moves.length}步`;
+    this.elements.manualControls.innerHTML = `
+      <div class="solution-summary">
+        当前棋子：<strong>${selectedColor ? colorNames[selectedColor] : '未选择'}</strong>
+      </div>
+      <div class="move-entry-directions">
+        ${Object.entries(directionArrows).map(([direction, arrow]) => `
+          <button class="btn-small" data-action="move" data-direction="${direction}" ${finished ? 'disabled' : ''}>${arrow}</button>
+        `).join('')}
+      </div>
+      <div class="manual-history">
+        <button class="btn-small" data-action="undo" ${moves.length === 0 ? 'disabled' : ''}>↶ 撤销</button>
+        <button class="btn-small" data-action="redo" ${redoStack.length === 0 || finished ? 'disabled' : ''}>↷ 重做</button>
+        <button class="btn-small" data-action="exit">退出</button>
+      </div>
+      <div class="solution-simple">
+        ${moves.map(move => `
+          <div class="arrow-step ${move.robotColor}">${directionArrows[move.direction]}</div>
+        `).join('')}
+      </div>
+    `;
+  }
+  
+  // ========== 多人竞价 ==========
+  
+  addPlayer() {
+    if (!this.game) {
+      this.showMessage('请先加载游戏', 'error');
+      return;
+    }
+    
+    try {
+      const player = this.game.addPlayer(this.elements.playerNameInput.value);
+      this.elements.playerNameInput.value = '';
+      this.updatePlayerList();
+      this.updateBiddingPanel();
+      this.showMessage(`已添加玩家: ${player.name}`, 'success');
+    } catch (error) {
+      this.showMessage(`添加玩家失败: ${error.message}`, 'error');
+    }
+  }
+  
+  removePlayer(name) {
+    try {
+      this.game.removePlayer(name);
+      this.updatePlayerList();
+      this.updateBiddingPanel();
+    } catch (error) {
+      this.showMessage(`移除玩家失败: ${error.message}`, 'error');
+    }
+  }
+  
+  updatePlayerList() {
+    const players = this.game ? this.game.players : [];
+    
+    if (players.length === 0) {
+      this.elements.playerList.innerHTML = '<div class="loading">暂无玩家</div>';
+    } else {
+      const ranked = [...players].sort((a, b) => b.score - a.score);
+      this.elements.playerList.innerHTML = ranked.map(player => `
+        <div class="player-item">
+          <span class="player-name">${player.name}</span>
+          <span class="player-score">${player.score}分${player.failures ? ` / 失败${player.failures}次` : ''}</span>
+          <button class="btn-small" data-remove-player="${player.name}" ${this.game.biddingRound ? 'disabled' : ''}>移除</button>
+        </div>
+      `).join('');
+    }
+    
+    this.elements.bidPlayer.innerHTML = players
+      .map(player => `<option value="${player.name}">${player.name}</option>`)
+      .join('');
+  }
+  
+  startBidding() {
+    if (!this.game || !this.selectedTarget) {
+      this.showMessage('请先选择一个终点', 'error');
+      return;
+    }
+    
+    const seconds = parseInt(this.elements.bidDuration.value, 10) || 60;
+    
+    try {
+      this.game.startBiddingRound(this.selectedTarget.id, { duration: seconds * 1000 });
+    } catch (error) {
+      this.showMessage(`无法开始竞价: ${error.message}`, 'error');
+      return;
+    }
+    
+    this.bidding.moves = [];
+    this.bidding.timerId = setInterval(() => this.tickBiddingTimer(), 250);
+    this.updateBiddingPanel();
+    this.showMessage(`开始竞价：${this.selectedTarget.getDisplayName()}，第一次报价后开始倒计时`, 'info');
+  }
+  
+  placeBid() {
+    const playerName = this.elements.bidPlayer.value;
+    const moves = parseInt(this.elements.bidMoves.value, 10);
+    
+    try {
+      this.game.placeBid(playerName, moves);
+      this.elements.bidMoves.value = '';
+      this.updateBiddingPanel();
+    } catch (error) {
+      this.showMessage(`报价失败: ${error.message}`, 'error');
+    }
+  }
+  
+  tickBiddingTimer() {
+    const round = this.game && this.game.biddingRound;
+    if (!round || round.status !== 'bidding') {
+      this.stopBiddingTimer();
+      return;
+    }
+    
+    if (round.isExpired()) {
+      this.closeBidding();
+      return;
+    }
+    
+    this.elements.biddingTimer.textContent = `${Math.ceil(round.getRemainingTime() / 1000)}秒`;
+  }
+  
+  stopBiddingTimer() {
+    if (this.bidding.timerId !== null) {
+      clearInterval(this.bidding.timerId);
+      this.bidding.timerId = null;
+    }
+  }
+  
+  closeBidding() {
+    this.stopBiddingTimer();
+    
+    const round = this.game && this.game.biddingRound;
+    if (!round) return;
+    
+    if (round.bids.length === 0) {
+      this.game.abandonBiddingRound();
+      this.updateBiddingPanel();
+      this.showMessage('没有玩家报价，本轮取消', 'info');
+      return;
+    }
+    
+    const bid = this.game.closeBidding();
+    this.bidding.moves = [];
+    this.updateBiddingPanel();
+    this.showMessage(`时间到！请 ${bid.player} 演示 ${bid.moves} 步以内的移动`, 'info');
+  }
+  
+  submitBidMoves() {
+    let result;
+    try {
+      result = this.game.submitBidSolution(this.bidding.moves);
+    } catch (error) {
+      this.showMessage(`验证失败: ${error.message}`, 'error');
+      return;
+    }
+    
+    this.bidding.moves = [];
+    
+    if (result.success) {
+      this.selectedTarget = null;
+      this.elements.solveBtn.disabled = true;
+      this.resetHints();
+      this.render();
+      this.updateGameState();
+      this.showMessage(`${result.player} 用 ${result.roundData.steps} 步完成（报价${result.bid}步），得1分！`, 'success');
+      return;
+    }
+    
+    this.updateGameState();
+    if (result.nextBid) {
+      this.showMessage(`${result.player} 验证失败（${result.message}），请 ${result.nextBid.player} 演示 ${result.nextBid.moves} 步以内的移动`, 'error');
+    } else {
+      this.showMessage(`${result.player} 验证失败（${result.message}），本轮无人得分`, 'error');
+    }
+  }
+  
+  updateBiddingPanel() {
+    const round = this.game && this.game.biddingRound;
+    const hasPlayers = !!this.game && this.game.players.length > 0;
+    
+    this.elements.startBiddingBtn.disabled = !hasPlayers || !this.selectedTarget || !!round;
+    this.elements.biddingPanel.style.display = round && round.status === 'bidding' ? 'block' : 'none';
+    this.elements.verifyPanel.style.display = round && round.status === 'verifying' ? 'block' : 'none';
+    
+    if (!round) return;
+    
+    const currentBid = round.getCurrentBid();
+    this.elements.bidList.innerHTML = round.getVerificationOrder().map(bid => {
+      const attempt = round.attempts.find(a => a.player === bid.player);
+      const status = attempt ? '（失败）' : (currentBid === bid ? '（演示中）' : '');
+      return `<div class="bid-item">${bid.player}: ${bid.moves}步${status}</div>`;
+    }).join('') || '<div class="loading">等待第一次报价</div>';
+    
+    this.elements.biddingTimer.textContent = round.deadline === null
+      ? '未开始'
+      : `${Math.ceil(round.getRemainingTime() / 1000)}秒`;
+    
+    this.renderMoveEntry();
+  }
+  
+  renderMoveEntry() {
+    const round = this.game && this.game.biddingRound;
+    const bid = round ? round.getCurrentBid() : null;
+    if (!bid) {
+      this.elements.moveEntry.innerHTML = '';
+      this.elements.submitMovesBtn.disabled = true;
+      return;
+    }
+    
+    const directionArrows = { up: '↑', down: '↓', left: '←', right: '→' };
+    const colorNames = { red: '红色', yellow: '黄色', blue: '蓝色', green: '绿色' };
+    const moves = this.bidding.moves;
+    
+    this.elements.moveEntry.innerHTML = `
+      <div class="solution-summary">
+        <strong>${bid.player}</strong> 报价 ${bid.moves} 步，已输入 ${moves.length} 步
+      </div>
+      <div class="move-entry-robots">
+        ${this.game.robots.map(robot => `
+          <button class="btn-small ${robot.color} ${robot.color === this.bidding.robotColor ? 'active' : ''}"
+                  data-action="robot" data-color="${robot.color}">${colorNames[robot.color]}</button>
+        `).join('')}
+      </div>
+      <div class="move-entry-directions">
+        ${Object.entries(directionArrows).map(([direction, arrow]) => `
+          <button class="btn-small" data-action="direction" data-direction="${direction}">${arrow}</button>
+        `).join('')}
+        <button class="btn-small" data-action="undo" ${moves.length === 0 ? 'disabled' : ''}>撤销</button>
+      </div>
+      <div class="solution-simple">
+        ${moves.map(move => `
+          <div class="arrow-step ${move.robotColor}">${directionArrows[move.direction]}</div>
+        `).join('')}
+      </div>
+    `;
+    
+    this.elements.submitMovesBtn.disabled = moves.length === 0;
+  }
+  
   // updateStats 方法已移除，因为统计面板已被隐藏
   
   updateHistory(state) {
-    if (state.rounds.length === 0) {
+    if (state.rounds.length === 0 && state.undoneRounds.length === 0) {
       this.elements.historyList.innerHTML = '<div class="loading">暂无历史记录</div>';
       return;
     }
     
-    const html = state.rounds.map(round => `
-      <div class="history-item">
+    // 已撤销的轮次按轮次顺序显示在后面，点击可重做到该轮
+    const undone = [...state.undoneRounds].reverse();
+    const locked = Boolean(state.biddingRound);
+    const renderRound = (round, isUndone) => `
+      <div class="history-item ${isUndone ? 'undone' : ''}" data-round="${round.roundNumber}" title="回到第${round.roundNumber}轮结束时">
         <div class="history-round">
-          第${round.roundNumber}轮 - ${round.steps}步
+          第${round.roundNumber}轮 - ${round.steps}步${round.playerName ? ` - ${round.playerName}` : ''}${isUndone ? '（已撤销）' : ''}
         </div>
         <div class="history-detail">
           ${round.robotColor}棋子: (${round.startPosition.x},${round.startPosition.y}) → (${round.endPosition.x},${round.endPosition.y})<br>
           终点: ${round.targetInfo.shape} ${round.targetInfo.color}
         </div>
       </div>
-    `).join('');
+    `;
+    
+    this.elements.historyList.innerHTML = `
+      <div class="history-controls">
+        <button class="btn-small" data-action="undo-round" ${locked || state.rounds.length === 0 ? 'disabled' : ''}>↶ 撤销</button>
+        <button class="btn-small" data-action="redo-round" ${locked || undone.length === 0 ? 'disabled' : ''}>↷ 重做</button>
+      </div>
+      <div class="history-item" data-round="0" title="回到第一轮之前">
+        <div class="history-round">开局</div>
+      </div>
+      ${state.rounds.map(round => renderRound(round, false)).join('')}
+      ${undone.map(round => renderRound(round, true)).join('')}
+    `;
+  }
+  
+  /**
+   * 回到第n轮结束时的局面（0为开局），已撤销的轮次可以重做
+   * @param {number} roundNumber
+   */
+  restoreToRound(roundNumber) {
+    if (!this.game) return;
+    if (this.game.biddingRound) {
+      this.showMessage('竞价进行中，不能回退轮次', 'error');
+      return;
+    }
     
-    this.elements.historyList.innerHTML = html;
+    try {
+      this.game.restoreToRound(roundNumber);
+    } catch (error) {
+      this.showMessage(`回退失败: ${error.message}`, 'error');
+      return;
+    }
+    
+    this.cancelSolve();
+    this.exitManualPlay();
+    this.selectedTarget = null;
+    this.currentSolution = null;
+    this.currentTarget = null;
+    this.solutionBrowser.solutions = [];
+    this.solutionBrowser.index = -1;
+    this.elements.solutionPanel.style.display = 'none';
+    this.elements.solveBtn.disabled = true;
+    this.resetHints();
+    
+    this.render();
+    this.updateGameState();
+    
+    this.showMessage(roundNumber === 0 ? '已回到开局' : `已回到第${roundNumber}轮结束时`, 'info');
   }
   
   resetGame() {
     if (!this.game) return;
     
+    this.cancelSolve();
+    if (this.gamePlan.pathFinder) {
+      this.gamePlan.pathFinder.cancel();
+    }
+    this.stopBiddingTimer();
+    this.exitManualPlay();
     this.game.reset();
     this.selectedTarget = null;
     this.currentSolution = null;
+    this.gamePlan.result = null;
+    this.resetHints();
     
     this.render();
     this.updateGameState();
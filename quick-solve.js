@@ -3,16 +3,19 @@
  */
 
 import { Encoder } from './src/utils/Encoder.js';
+import { BoardSetLoader } from './src/utils/BoardSetLoader.js';
 import { SmallBoard } from './src/core/SmallBoard.js';
 import { BoardRenderer } from './src/ui/BoardRenderer.js';
 import { Board } from './src/core/Board.js';
 import { Game } from './src/core/Game.js';
-import { PathFinder } from './src/algorithm/PathFinder.js';
+import { AsyncPathFinder } from './src/algorithm/AsyncPathFinder.js';
+import { HintProvider } from './src/algorithm/HintProvider.js';
 import { Robot } from './src/core/Robot.js';
 import { Rotator } from './src/utils/Rotator.js';
 
 class QuickSolveApp {
   constructor() {
+    this.boardSets = new BoardSetLoader('./');
     this.smallBoards = [];
     this.config = [null, null, null, null];
     this.robotPositions = { red: null, yellow: null, blue: null, green: null };
@@ -29,6 +32,11 @@ class QuickSolveApp {
     this.boardRenderer = null;
     this.game = null;
     this.pathFinder = null;
+    this.hintPathFinder = null; // 提示使用独立的Worker，不取消正在进行的解题
+    this.hintProvider = null;
+    this.hintLevel = 0;
+    this.reachPathFinder = null; // 热力图使用独立的Worker，不取消正在进行的解题
+    this.reachability = null; // 可达性热力图 {positionsKey, cells}，棋子移动后不再显示
     this.currentSolution = null;
     
     this.animationState = {
@@ -59,25 +67,27 @@ class QuickSolveApp {
   }
   
   async loadSmallBoards() {
-    const boardFiles = [
-      './data/board-0.json',
-      './data/board-1.json',
-      './data/board-2.json',
-      './data/board-3.json',
-      './data/board-4.json',
-      './data/board-5.json',
-      './data/board-6.json',
-      './data/board-7.json'
-    ];
-    
-    for (let i = 0; i < boardFiles.length; i++) {
-      try {
-        const response = await fetch(boardFiles[i]);
-        const data = await response.json();
-        this.smallBoards.push(data);
-      } catch (error) {
-        console.error(`加载 ${boardFiles[i]} 失败:`, error);
-      }
+    // 加载上次选择的小棋盘库（数组下标即小棋盘编号）
+    try {
+      this.smallBoards = await this.boardSets.load(await this.boardSets.init());
+    } catch (error) {
+      console.error('加载小棋盘失败:', error);
+    }
+  }
+  
+  /**
+   * 切换小棋盘库并重新配置棋盘
+   * @param {string} name - 库名称
+   */
+  async selectBoardSet(name) {
+    const select = document.getElementById('boardSetSelect');
+    try {
+      this.smallBoards = await this.boardSets.load(name);
+      this.reset();
+    } catch (error) {
+      console.error('加载小棋盘失败:', error);
+      select.value = this.boardSets.current;
+      alert('切换小棋盘库失败: ' + error.message);
     }
   }
   
@@ -127,6 +137,13 @@ class QuickSolveApp {
       }
     });
     
+    // 小棋盘库
+    const boardSetSelect = document.getElementById('boardSetSelect');
+    this.boardSets.renderOptions(boardSetSelect);
+    boardSetSelect.addEventListener('change', () => {
+      this.selectBoardSet(boardSetSelect.value);
+    });
+    
     // 模态框
     document.getElementById('closeColorModal').addEventListener('click', () => {
       this.closeModal('colorModal');
@@ -145,6 +162,22 @@ class QuickSolveApp {
       this.solvePath();
     });
     
+    document.getElementById('cancelSolveBtn').addEventListener('click', () => {
+      this.cancelSolve();
+    });
+    
+    document.getElementById('hintBtn').addEventListener('click', () => {
+      this.showNextHint();
+    });
+    
+    document.getElementById('reachRobot').addEventListener('change', () => {
+      this.updateReachability();
+    });
+    
+    document.getElementById('reachHelpers').addEventListener('change', () => {
+      this.updateReachability();
+    });
+    
     document.getElementById('playBtn').addEventListener('click', () => {
       this.playAnimation();
     });
@@ -666,8 +699,11 @@ class QuickSolveApp {
     }, this.smallBoards.map(data => new SmallBoard(data)));
     this.game.start();
     
-    // 创建PathFinder，传入board和robots
-    this.pathFinder = new PathFinder(this.board, this.game.robots);
+    // 创建PathFinder，传入board和robots（在Worker中搜索）
+    this.pathFinder = new AsyncPathFinder(this.board, this.game.robots, this.game.ruleSet);
+    this.hintPathFinder = new AsyncPathFinder(this.board, this.game.robots, this.game.ruleSet);
+    this.hintProvider = new HintProvider(this.hintPathFinder);
+    this.reachPathFinder = new AsyncPathFinder(this.board, this.game.robots, this.game.ruleSet);
     
     document.getElementById('currentPhase').textContent = '选择终点';
     document.getElementById('robotPhase').classList.remove('active');
@@ -675,6 +711,11 @@ class QuickSolveApp {
     
     this.updateTargetList();
     this.renderMainBoard();
+    
+    // 按新局面重新计算热力图
+    if (document.getElementById('reachRobot').value) {
+      this.updateReachability();
+    }
   }
   
   updateTargetList() {
@@ -724,13 +765,91 @@ class QuickSolveApp {
     
     this.selectedTarget = this.game.board.getTargetById(targetId);
     document.getElementById('solveBtn').disabled = false;
+    this.resetHints();
+  }
+  
+  resetHints() {
+    this.hintLevel = 0;
+    const hintBtn = document.getElementById('hintBtn');
+    hintBtn.disabled = !this.selectedTarget;
+    hintBtn.textContent = '💡 提示';
+    document.getElementById('hintPanel').innerHTML = '';
+  }
+  
+  async updateReachability() {
+    const color = document.getElementById('reachRobot').value;
+    const useHelpers = document.getElementById('reachHelpers').checked;
+    
+    if (!color || !this.reachPathFinder) {
+      this.reachability = null;
+      this.renderMainBoard();
+      return;
+    }
+    
+    const positionsKey = this.game.getPositionsKey();
+    const result = await this.reachPathFinder.computeReachability(color, { useHelpers });
+    if (result.cancelled || !this.game || positionsKey !== this.game.getPositionsKey()) return;
+    
+    this.reachability = result.success ? { positionsKey, cells: result.cells } : null;
+    this.renderMainBoard();
+  }
+  
+  async showNextHint() {
+    if (!this.selectedTarget || !this.hintProvider) return;
+    
+    const hintBtn = document.getElementById('hintBtn');
+    const hintPanel = document.getElementById('hintPanel');
+    const level = Math.min(this.hintLevel + 1, HintProvider.LEVELS.length);
+    const eligibleColors = this.game.robots
+      .filter(r => this.selectedTarget.canAccept(r.color))
+      .map(r => r.color);
+    
+    hintBtn.disabled = true;
+    hintPanel.innerHTML = '<div class="loading">正在计算提示...</div>';
+    
+    const hint = await this.hintProvider.getHint(
+      eligibleColors,
+      { x: this.selectedTarget.x, y: this.selectedTarget.y },
+      level
+    );
+    
+    if (!hint.success) {
+      hintPanel.innerHTML = `<div class="loading">${hint.cancelled ? '提示已取消' : '没有找到解，无法提示'}</div>`;
+      hintBtn.disabled = false;
+      return;
+    }
+    
+    this.hintLevel = level;
+    
+    const colorNames = { red: '红色', yellow: '黄色', blue: '蓝色', green: '绿色' };
+    const directionNames = { up: '向上', down: '向下', left: '向左', right: '向右' };
+    const lines = [`最优解需要 <strong>${hint.steps}</strong> 步`];
+    if (hint.firstRobot) {
+      lines.push(`第一步移动 <span class="${hint.firstRobot}">${colorNames[hint.firstRobot]}</span>棋子`);
+    }
+    if (hint.robots) {
+      lines.push(`涉及棋子：${hint.robots.map(c => `<span class="${c}">${colorNames[c]}</span>`).join('、')}`);
+    }
+    if (hint.nextMove) {
+      const { robotColor, direction, to } = hint.nextMove;
+      lines.push(`下一步：${colorNames[robotColor]}棋子${directionNames[direction]}，停在 (${to.x}, ${to.y})`);
+    }
+    hintPanel.innerHTML = lines.map(line => `<div class="hint-line">${line}</div>`).join('');
+    
+    const exhausted = level >= HintProvider.LEVELS.length;
+    hintBtn.disabled = exhausted;
+    hintBtn.textContent = exhausted ? '💡 已显示全部提示' : '💡 更多提示';
   }
   
   async solvePath() {
     if (!this.selectedTarget) return;
     
-    document.getElementById('solveBtn').disabled = true;
-    document.getElementById('solveBtn').textContent = '🔍 搜索中...';
+    const solveBtn = document.getElementById('solveBtn');
+    const cancelBtn = document.getElementById('cancelSolveBtn');
+    
+    solveBtn.disabled = true;
+    solveBtn.textContent = '🔍 搜索中...';
+    cancelBtn.style.display = 'block';
     
     const eligibleRobots = this.game.robots.filter(r => 
       this.selectedTarget.canAccept(r.color)
@@ -738,38 +857,55 @@ class QuickSolveApp {
     
     if (eligibleRobots.length === 0) {
       alert('没有棋子可以到达此终点');
-      document.getElementById('solveBtn').disabled = false;
-      document.getElementById('solveBtn').textContent = '🔍 寻找路径';
+      this.resetSolveButtons();
       return;
     }
     
-    let bestSolution = null;
-    
-    for (const robot of eligibleRobots) {
-      // findPath参数: (robotColor, targetPos, debug)
-      const result = this.pathFinder.findPath(
-        robot.color,
-        { x: this.selectedTarget.x, y: this.selectedTarget.y },
-        true // 开启调试信息
-      );
-      
-      if (result.success) {
-        if (!bestSolution || result.steps < bestSolution.result.steps) {
-          bestSolution = { robot, result };
+    // 一次搜索所有合格的棋子，返回全局最优解
+    const result = await this.pathFinder.findBestPath(
+      eligibleRobots.map(r => r.color),
+      { x: this.selectedTarget.x, y: this.selectedTarget.y },
+      {
+        debug: true, // 开启调试信息
+        onProgress: ({ statesExplored, depth }) => {
+          solveBtn.textContent = `🔍 搜索中... ${statesExplored}状态 / 深度${depth}`;
         }
       }
+    );
+    
+    if (result.cancelled) {
+      this.resetSolveButtons();
+      return;
     }
     
+    const bestSolution = result.success ? {
+      robot: this.game.robots.find(r => r.color === result.robotColor),
+      result
+    } : null;
+    
     if (bestSolution) {
+      this.resetSolveButtons();
       this.currentSolution = bestSolution;
       this.showSolution(bestSolution);
     } else {
       alert('未找到路径');
-      document.getElementById('solveBtn').disabled = false;
-      document.getElementById('solveBtn').textContent = '🔍 寻找路径';
+      this.resetSolveButtons();
     }
   }
   
+  cancelSolve() {
+    if (this.pathFinder) {
+      this.pathFinder.cancel();
+    }
+  }
+  
+  resetSolveButtons() {
+    const solveBtn = document.getElementById('solveBtn');
+    solveBtn.disabled = false;
+    solveBtn.textContent = '🔍 寻找路径';
+    document.getElementById('cancelSolveBtn').style.display = 'none';
+  }
+  
   showSolution(solution) {
     this.phase = 'solution';
     
@@ -918,7 +1054,14 @@ class QuickSolveApp {
         });
       }
       
-      this.boardRenderer.render(robots, { showCoordinates: false });
+      // 热力图只在计算时的棋子位置下显示
+      const reachability = this.phase === 'target' && this.reachability &&
+        this.reachability.positionsKey === this.game.getPositionsKey() ? this.reachability.cells : null;
+      
+      this.boardRenderer.render(robots, {
+        reachability,
+        showCoordinates: false
+      });
     } else {
       // 绘制配置界面
       this.renderConfigBoard(ctx);
@@ -1013,7 +1156,22 @@ class QuickSolveApp {
     this.board = null;
     this.boardRenderer = null;
     this.game = null;
+    if (this.pathFinder) {
+      this.pathFinder.dispose();
+    }
+    if (this.hintPathFinder) {
+      this.hintPathFinder.dispose();
+    }
+    if (this.reachPathFinder) {
+      this.reachPathFinder.dispose();
+    }
     this.pathFinder = null;
+    this.hintPathFinder = null;
+    this.reachPathFinder = null;
+    this.hintProvider = null;
+    this.hintLevel = 0;
+    this.reachability = null;
+    document.getElementById('reachRobot').value = '';
     this.currentSolution = null;
     this.animationState = {
       playing: false,
@@ -1021,6 +1179,8 @@ class QuickSolveApp {
       savedPositions: null
     };
     
+    this.resetHints();
+    
     document.getElementById('currentPhase').textContent = '配置棋盘';
     document.getElementById('solutionInfo').style.display = 'none';
     
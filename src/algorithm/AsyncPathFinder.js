@@ -0,0 +1,272 @@
+/**
+ * AsyncPathFinder 异步路径搜索类
+ * 将PathFinder的搜索放到Web Worker中执行，支持进度回调和取消
+ * 返回结果与 PathFinder.findPath 完全相同
+ */
+
+import { Board } from '../core/Board.js';
+import { Robot } from '../core/Robot.js';
+import { PathFinder } from './PathFinder.js';
+import { GamePlanner } from './GamePlanner.js';
+import { PuzzleGenerator } from './PuzzleGenerator.js';
+import { RuleSet } from '../core/RuleSet.js';
+
+export class AsyncPathFinder {
+  /**
+   * @param {Board} board - 棋盘对象
+   * @param {Array<Robot>} robots - 棋子数组（搜索时读取当前位置）
+   * @param {RuleSet} ruleSet - 规则集（默认分光镜变体）
+   */
+  constructor(board, robots, ruleSet = RuleSet.prism()) {
+    this.board = board;
+    this.robots = robots;
+    this.ruleSet = ruleSet;
+    this.worker = null;
+    this.nextRequestId = 1;
+    this.pending = null; // 当前进行中的搜索 {id, resolve, onProgress}
+  }
+
+  /**
+   * 当前环境是否支持Worker
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof Worker !== 'undefined';
+  }
+
+  /**
+   * 获取（必要时创建）Worker
+   * @returns {Worker}
+   */
+  getWorker() {
+    if (!this.worker) {
+      this.worker = new Worker(new URL('./PathFinderWorker.js', import.meta.url), { type: 'module' });
+      this.worker.addEventListener('message', (event) => this.handleMessage(event.data));
+      this.worker.addEventListener('error', (event) => {
+        this.finish({
+          success: false,
+          message: `Worker error: ${event.message || 'unknown error'}`
+        });
+        this.destroyWorker();
+      });
+    }
+    return this.worker;
+  }
+
+  /**
+   * 处理Worker消息
+   * @param {Object} data
+   */
+  handleMessage(data) {
+    if (!this.pending || data.id !== this.pending.id) return;
+
+    switch (data.type) {
+      case 'progress':
+        if (this.pending.onProgress) {
+          this.pending.onProgress(data.progress);
+        }
+        break;
+      case 'result':
+        this.finish(data.result);
+        break;
+      case 'error':
+        this.finish({ success: false, message: data.message });
+        break;
+    }
+  }
+
+  /**
+   * 结束当前搜索并返回结果
+   * @param {Object} result
+   */
+  finish(result) {
+    if (!this.pending) return;
+    const { resolve } = this.pending;
+    this.pending = null;
+    resolve(result);
+  }
+
+  /**
+   * 查找路径（异步）
+   * @param {string} robotColor - 棋子颜色
+   * @param {Object} targetPos - 目标位置 {x, y}
+   * @param {Object} options - 同 findBestPath
+   * @returns {Promise<Object>} 与 PathFinder.findPath 相同的结果
+   */
+  findPath(robotColor, targetPos, options = {}) {
+    return this.findBestPath([robotColor], targetPos, options);
+  }
+  
+  /**
+   * 在一次搜索中为多个可接受的棋子查找全局最优路径（异步）
+   * @param {Array<string>} robotColors - 可以到达终点的棋子颜色
+   * @param {Object} targetPos - 目标位置 {x, y}
+   * @param {Object} options - 选项
+   * @param {Function} options.onProgress - 进度回调 ({statesExplored, depth, queueSize})
+   * @returns {Promise<Object>} 与 PathFinder.findBestPath 相同的结果
+   */
+  findBestPath(robotColors, targetPos, options = {}) {
+    return this.request('solve', robotColors, targetPos, options);
+  }
+  
+  /**
+   * 枚举所有最优解及可选的更长解（异步）
+   * @param {string|Array<string>} robotColor - 棋子颜色或颜色数组
+   * @param {Object} targetPos - 目标位置 {x, y}
+   * @param {Object} options - 同 PathFinder.findAllSolutions
+   * @returns {Promise<Object>} 与 PathFinder.findAllSolutions 相同的结果
+   */
+  findAllSolutions(robotColor, targetPos, options = {}) {
+    const robotColors = Array.isArray(robotColor) ? robotColor : [robotColor];
+    return this.request('solveAll', robotColors, targetPos, options);
+  }
+  
+  /**
+   * 计算棋子到达每个格子的最少移动次数（异步）
+   * @param {string} robotColor - 棋子颜色
+   * @param {Object} options - 同 PathFinder.computeReachability
+   * @returns {Promise<Object>} 与 PathFinder.computeReachability 相同的结果
+   */
+  computeReachability(robotColor, options = {}) {
+    return this.request('reach', [robotColor], null, options);
+  }
+  
+  /**
+   * 规划剩余所有终点的完成顺序（异步）
+   * @param {Object} options - 同 GamePlanner.plan（onProgress 在主线程调用）
+   * @returns {Promise<Object>} 与 GamePlanner.plan 相同的结果
+   */
+  planGame(options = {}) {
+    return this.request('plan', [], null, options);
+  }
+  
+  /**
+   * 生成谜题（异步）
+   * 不使用构造时的棋盘和棋子（可以传 null 和 []），只使用规则集
+   * @param {Array<SmallBoard>} smallBoards - 小棋盘数组（下标即编号）
+   * @param {Object} options - 同 PuzzleGenerator.generate（onProgress 在主线程调用）
+   * @returns {Promise<Object>} 与 PuzzleGenerator.generate 相同的结果，但没有 game 和 target（用 gameCode 和 targetId）
+   */
+  generatePuzzle(smallBoards, options = {}) {
+    const { onProgress = null, ...generateOptions } = options;
+    
+    return this.send('generate', {
+      smallBoards: smallBoards.map(b => b.toJSON()),
+      ruleSet: this.ruleSet.toJSON(),
+      options: generateOptions
+    }, onProgress, () => PuzzleGenerator.toTransferable(
+      new PuzzleGenerator(smallBoards, { ruleSet: this.ruleSet }).generate({ ...generateOptions, onProgress })
+    ));
+  }
+  
+  /**
+   * 发送搜索请求
+   * @param {string} type - 消息类型：'solve'、'solveAll'、'reach' 或 'plan'
+   * @param {Array<string>} robotColors - 可以到达终点的棋子颜色（reach 为要计算的棋子）
+   * @param {Object|null} targetPos - 目标位置 {x, y}（reach 和 plan 为 null）
+   * @param {Object} options - 搜索选项（onProgress 在主线程调用）
+   * @returns {Promise<Object>}
+   */
+  request(type, robotColors, targetPos, options) {
+    const { onProgress = null, ...searchOptions } = options;
+    
+    return this.send(type, {
+      boardConfig: this.board.config,
+      smallBoards: this.board.smallBoards.map(b => b.toJSON()),
+      robots: this.robots.map(r => ({ color: r.color, x: r.x, y: r.y })),
+      ruleSet: this.ruleSet.toJSON(),
+      robotColors: [...robotColors],
+      targetPos: targetPos ? { x: targetPos.x, y: targetPos.y } : null,
+      options: searchOptions
+    }, onProgress, () => {
+      const pathFinder = new PathFinder(this.board, this.robots, this.ruleSet);
+      const syncOptions = { ...searchOptions, onProgress };
+      if (type === 'plan') {
+        return new GamePlanner(this.board, this.robots, this.ruleSet).plan(syncOptions);
+      }
+      if (type === 'reach') {
+        return pathFinder.computeReachability(robotColors[0], syncOptions);
+      }
+      return type === 'solveAll'
+        ? pathFinder.findAllSolutions(robotColors, targetPos, syncOptions)
+        : pathFinder.findBestPath(robotColors, targetPos, syncOptions);
+    });
+  }
+  
+  /**
+   * 把请求发给Worker
+   * 同一时间只进行一次请求，开始新请求会取消上一次
+   * @param {string} type - 消息类型
+   * @param {Object} payload - 消息内容（见 PathFinderWorker）
+   * @param {Function|null} onProgress - 进度回调（在主线程调用）
+   * @param {Function} runSync - 不支持Worker时在主线程同步执行，返回结果
+   * @returns {Promise<Object>}
+   */
+  send(type, payload, onProgress, runSync) {
+    if (this.pending) {
+      this.cancel();
+    }
+    
+    // 不支持Worker时退回主线程同步搜索
+    if (!AsyncPathFinder.isSupported()) {
+      return Promise.resolve(runSync());
+    }
+    
+    const id = this.nextRequestId++;
+    
+    return new Promise(resolve => {
+      this.pending = { id, resolve, onProgress };
+      
+      try {
+        this.getWorker().postMessage({ id, type, payload });
+      } catch (error) {
+        this.finish({ success: false, message: error.message });
+      }
+    });
+  }
+  
+  /**
+   * 取消当前搜索
+   * Worker中的搜索是同步循环，无法响应消息，因此直接终止Worker
+   * @returns {boolean} 是否有搜索被取消
+   */
+  cancel() {
+    if (!this.pending) return false;
+
+    this.destroyWorker();
+    this.finish({
+      success: false,
+      cancelled: true,
+      message: 'Search cancelled'
+    });
+    return true;
+  }
+
+  /**
+   * 是否有搜索正在进行
+   * @returns {boolean}
+   */
+  isBusy() {
+    return this.pending !== null;
+  }
+
+  /**
+   * 终止Worker
+   */
+  destroyWorker() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+  }
+
+  /**
+   * 释放资源
+   */
+  dispose() {
+    this.cancel();
+    this.destroyWorker();
+  }
+}
+
+export default AsyncPathFinder;
@@ -0,0 +1,54 @@
+/**
+ * DeadEndTable 死路表
+ * 枚举所有解时使用的固定大小有损哈希表，记录"从某状态出发恰好再走r步无解"
+ * 每个槽位保存一个状态和一个位掩码（第r位表示剩余r步无解），冲突时直接覆盖
+ * 丢失记录只会导致重复搜索，不影响结果正确性
+ */
+
+export class DeadEndTable {
+  /**
+   * @param {number} bits - 容量为 2^bits 个槽位
+   */
+  constructor(bits = 20) {
+    this.shift = 32 - bits;
+    this.keys = new Uint32Array(1 << bits);
+    this.masks = new Uint32Array(1 << bits);
+  }
+
+  /**
+   * 计算槽位
+   * @param {number} key
+   * @returns {number}
+   */
+  slot(key) {
+    return Math.imul(key, 0x9E3779B1) >>> this.shift;
+  }
+
+  /**
+   * 是否已知无解
+   * @param {number} key - 压缩状态（非0）
+   * @param {number} remaining - 剩余步数（1~31）
+   * @returns {boolean}
+   */
+  has(key, remaining) {
+    const i = this.slot(key);
+    return this.keys[i] === key && (this.masks[i] & (1 << remaining)) !== 0;
+  }
+
+  /**
+   * 记录无解
+   * @param {number} key - 压缩状态（非0）
+   * @param {number} remaining - 剩余步数（1~31）
+   */
+  add(key, remaining) {
+    const i = this.slot(key);
+    if (this.keys[i] === key) {
+      this.masks[i] |= 1 << remaining;
+    } else {
+      this.keys[i] = key;
+      this.masks[i] = 1 << remaining;
+    }
+  }
+}
+
+export default DeadEndTable;
@@ -0,0 +1,97 @@
+/**
+ * DifficultyRater 终点难度评估
+ * 根据求解结果为一个终点打分：最优步数、需要的棋子数、必须的折射次数、最优解的数量
+ * 可使用 PathFinder（同步）或 AsyncPathFinder（Worker中搜索）
+ */
+
+// 难度等级（1~5星）的分数上限
+const LEVEL_THRESHOLDS = [5, 7, 9, 11];
+
+export class DifficultyRater {
+  /**
+   * @param {PathFinder|AsyncPathFinder} pathFinder - 路径搜索器
+   * @param {Object} options - 选项
+   * @param {number} options.maxSolutions - 最多枚举的最优解数量（超过时按该数量计算）
+   */
+  constructor(pathFinder, options = {}) {
+    this.pathFinder = pathFinder;
+    this.maxSolutions = options.maxSolutions || 100;
+  }
+
+  /**
+   * 评估一个终点的难度
+   * @param {Array<string>} robotColors - 可以到达终点的棋子颜色
+   * @param {Object} targetPos - 目标位置 {x, y}
+   * @returns {Promise<Object>} {success, score, level, steps, robots, refractions, solutionCount, truncated}
+   *          失败时为 {success: false, cancelled, limitReached, message}，limitReached 表示搜索超限而非无解
+   */
+  async rate(robotColors, targetPos) {
+    const result = await this.pathFinder.findAllSolutions(robotColors, targetPos, {
+      maxSolutions: this.maxSolutions
+    });
+
+    if (!result.success || result.solutions.length === 0) {
+      return {
+        success: false,
+        cancelled: !!result.cancelled,
+        limitReached: !!result.limitReached,
+        message: result.message || 'No solution found'
+      };
+    }
+
+    // 取所有最优解中的最小值：表示解题时必须用到的棋子和折射
+    const optimal = result.solutions.filter(s => s.steps === result.optimalSteps);
+    const robots = Math.min(...optimal.map(s => new Set(s.path.map(m => m.robotColor)).size));
+    const refractions = Math.min(...optimal.map(s => DifficultyRater.countRefractions(s.path)));
+
+    const stats = {
+      steps: result.optimalSteps,
+      robots,
+      refractions,
+      solutionCount: optimal.length,
+      truncated: !!result.truncated
+    };
+    const score = DifficultyRater.score(stats);
+
+    return {
+      success: true,
+      score,
+      level: DifficultyRater.level(score),
+      ...stats
+    };
+  }
+
+  /**
+   * 计算难度分数
+   * 以最优步数为基础；每多一个棋子 +1.5，每次折射 +0.5，
+   * 最优解越少越难（唯一解 +2，两个解 +1，四个及以上不加分）
+   * @param {Object} stats - {steps, robots, refractions, solutionCount}
+   * @returns {number} 保留一位小数
+   */
+  static score({ steps, robots, refractions, solutionCount }) {
+    const scarcity = Math.max(0, 2 - Math.log2(Math.max(1, solutionCount)));
+    const raw = steps + 1.5 * (robots - 1) + 0.5 * refractions + scarcity;
+    return Math.round(raw * 10) / 10;
+  }
+
+  /**
+   * 分数对应的难度等级
+   * @param {number} score
+   * @returns {number} 1~5
+   */
+  static level(score) {
+    const index = LEVEL_THRESHOLDS.findIndex(limit => score <= limit);
+    return index === -1 ? LEVEL_THRESHOLDS.length + 1 : index + 1;
+  }
+
+  /**
+   * 统计路径中的折射次数
+   * @param {Array} path - 路径（每步带 segments）
+   * @returns {number}
+   */
+  static countRefractions(path) {
+    return path.reduce((sum, move) => sum + Math.max(0, (move.segments || []).length - 1), 0);
+  }
+}
+
+export default DifficultyRater;
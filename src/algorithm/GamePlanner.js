@@ -0,0 +1,193 @@
+/**
+ * GamePlanner 全局规划
+ * 搜索终点的完成顺序，使完成所有终点的总步数最少（游戏目标）
+ * 每轮只有到达终点的棋子留在终点上，其他棋子回到本轮开始时的位置（同 Game.executeRound），
+ * 所以一轮之后的局面只取决于哪个棋子到达了终点：每个可以到达的棋子各求一次最优解，分别作为下一轮的局面
+ * （彩色终点的非最优轮次也在其中）。
+ * 使用束搜索：每一轮只保留总步数最少的若干个局面，束宽为 Infinity 时为精确搜索
+ */
+
+import { Robot } from '../core/Robot.js';
+import { RuleSet } from '../core/RuleSet.js';
+import { Encoder } from '../utils/Encoder.js';
+import { PathFinder } from './PathFinder.js';
+
+export class GamePlanner {
+  /**
+   * @param {Board} board - 棋盘对象
+   * @param {Array<Robot>} robots - 棋子数组（从当前位置开始规划）
+   * @param {RuleSet} ruleSet - 规则集（默认分光镜变体）
+   */
+  constructor(board, robots, ruleSet = RuleSet.prism()) {
+    this.board = board;
+    this.robots = robots;
+    this.ruleSet = ruleSet;
+    this.solveCache = new Map(); // "位置编码|终点ID|棋子颜色" → 单轮最优解
+  }
+
+  /**
+   * 规划剩余所有终点的完成顺序
+   * 完成的终点数量优先（有些终点可能被棋子占据而无法完成），其次总步数最少
+   * @param {Object} options - 选项
+   * @param {Array<string>} options.usedTargetIds - 已经完成的终点ID
+   * @param {number} options.beamWidth - 束宽（每轮保留的局面数，默认4）
+   * @param {string} options.algorithm - 单轮搜索算法：'idastar'（默认，大量短搜索时更快）或 'bfs'
+   * @param {Function} options.onProgress - 进度回调 ({round, beamSize, solves})
+   * @returns {Object} {success, rounds, totalSteps, completedTargets, totalTargets, solves, time}
+   */
+  plan(options = {}) {
+    const {
+      usedTargetIds = [],
+      beamWidth = 4,
+      algorithm = 'idastar',
+      onProgress = null
+    } = options;
+
+    const startTime = performance.now();
+    this.solves = 0;
+
+    const start = {
+      positions: this.robots.map(r => ({ color: r.color, x: r.x, y: r.y })),
+      used: new Set(usedTargetIds),
+      rounds: [],
+      totalSteps: 0
+    };
+    const totalTargets = this.board.getAllTargets().filter(t => !start.used.has(t.id)).length;
+
+    let best = start;
+    let beam = [start];
+
+    while (beam.length > 0) {
+      const children = new Map(); // 同一局面（位置 + 已完成终点）只保留步数最少的
+
+      beam.forEach(state => {
+        this.getAvailableTargets(state).forEach(target => {
+          state.positions.filter(p => target.canAccept(p.color)).forEach(({ color }) => {
+            const result = this.solve(state.positions, target, color, algorithm);
+            if (!result.success) return;
+
+            const child = this.applyRound(state, target, result);
+            const key = `${Encoder.encodeRobotPositions(this.toPositionMap(child.positions))}|${[...child.used].sort().join(',')}`;
+            const existing = children.get(key);
+            if (!existing || child.totalSteps < existing.totalSteps) {
+              children.set(key, child);
+            }
+          });
+        });
+      });
+
+      beam = [...children.values()]
+        .sort((a, b) => a.totalSteps - b.totalSteps)
+        .slice(0, beamWidth);
+
+      if (beam.length > 0 && GamePlanner.isBetter(beam[0], best)) {
+        best = beam[0];
+      }
+
+      if (onProgress) {
+        onProgress({ round: best.rounds.length, beamSize: beam.length, solves: this.solves });
+      }
+    }
+
+    return {
+      success: true,
+      rounds: best.rounds,
+      totalSteps: best.totalSteps,
+      completedTargets: best.rounds.length,
+      totalTargets,
+      solves: this.solves,
+      time: performance.now() - startTime
+    };
+  }
+
+  /**
+   * 局面a是否优于局面b：完成的终点更多，或数量相同时总步数更少
+   * @param {Object} a
+   * @param {Object} b
+   * @returns {boolean}
+   */
+  static isBetter(a, b) {
+    if (a.rounds.length !== b.rounds.length) {
+      return a.rounds.length > b.rounds.length;
+    }
+    return a.totalSteps < b.totalSteps;
+  }
+
+  /**
+   * 获取局面中可以选择的终点（未完成、未被棋子占据、有棋子可以到达）
+   * @param {Object} state
+   * @returns {Array<Target>}
+   */
+  getAvailableTargets(state) {
+    const occupied = new Set(state.positions.map(p => `${p.x},${p.y}`));
+
+    return this.board.getAllTargets().filter(target =>
+      !state.used.has(target.id) &&
+      !occupied.has(`${target.x},${target.y}`) &&
+      state.positions.some(p => target.canAccept(p.color))
+    );
+  }
+
+  /**
+   * 求解指定棋子到达终点的单轮最优解（按局面缓存）
+   * @param {Array<Object>} positions - 棋子位置 [{color, x, y}]
+   * @param {Target} target
+   * @param {string} robotColor - 到达终点的棋子
+   * @param {string} algorithm
+   * @returns {Object} findBestPath 的结果
+   */
+  solve(positions, target, robotColor, algorithm) {
+    const key = `${Encoder.encodeRobotPositions(this.toPositionMap(positions))}|${target.id}|${robotColor}`;
+    if (this.solveCache.has(key)) return this.solveCache.get(key);
+
+    const robots = positions.map(p => new Robot(p.color, p.x, p.y));
+    const result = new PathFinder(this.board, robots, this.ruleSet)
+      .findBestPath([robotColor], { x: target.x, y: target.y }, { algorithm });
+
+    this.solves++;
+    this.solveCache.set(key, result);
+    return result;
+  }
+
+  /**
+   * 执行一轮，返回新局面
+   * @param {Object} state
+   * @param {Target} target
+   * @param {Object} result - 单轮最优解
+   * @returns {Object}
+   */
+  applyRound(state, target, result) {
+    const positions = state.positions.map(p =>
+      p.color === result.robotColor ? { color: p.color, x: target.x, y: target.y } : { ...p }
+    );
+
+    return {
+      positions,
+      used: new Set([...state.used, target.id]),
+      rounds: [...state.rounds, {
+        targetId: target.id,
+        targetInfo: target.toJSON(),
+        robotColor: result.robotColor,
+        steps: result.steps,
+        path: result.path,
+        startPositions: this.toPositionMap(state.positions)
+      }],
+      totalSteps: state.totalSteps + result.steps
+    };
+  }
+
+  /**
+   * 位置数组转换为 {color: {x, y}}
+   * @param {Array<Object>} positions
+   * @returns {Object}
+   */
+  toPositionMap(positions) {
+    const map = {};
+    positions.forEach(p => {
+      map[p.color] = { x: p.x, y: p.y };
+    });
+    return map;
+  }
+}
+
+export default GamePlanner;
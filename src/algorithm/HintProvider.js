@@ -0,0 +1,118 @@
+/**
+ * HintProvider 渐进式提示
+ * 在 PathFinder / AsyncPathFinder 之上按级别逐步透露最优解：
+ * 1. 最优步数  2. 第一步移动哪个棋子  3. 解中涉及哪些棋子  4. 下一步移动
+ * 提示总是基于棋子的当前位置，同一局面的搜索结果会被缓存
+ */
+
+// 提示级别（按透露程度递增）
+const LEVELS = ['steps', 'firstRobot', 'robots', 'nextMove'];
+
+export class HintProvider {
+  /**
+   * @param {PathFinder|AsyncPathFinder} pathFinder - 路径搜索器（同步或异步均可）
+   */
+  constructor(pathFinder) {
+    this.pathFinder = pathFinder;
+    this.cacheKey = null;
+    this.cachedResult = null;
+  }
+
+  /**
+   * 提示级别（按透露程度递增）
+   * @returns {Array<string>}
+   */
+  static get LEVELS() {
+    return LEVELS;
+  }
+
+  /**
+   * 获取提示
+   * @param {Array<string>} robotColors - 可以到达终点的棋子颜色
+   * @param {Object} targetPos - 目标位置 {x, y}
+   * @param {number} level - 提示级别（1 ~ LEVELS.length），包含所有更低级别的信息
+   * @returns {Promise<Object>} {success, level, steps, firstRobot, robots, nextMove, message}
+   */
+  async getHint(robotColors, targetPos, level = 1) {
+    if (!Number.isInteger(level) || level < 1 || level > LEVELS.length) {
+      throw new Error(`Invalid hint level: ${level}`);
+    }
+
+    const result = await this.solve(robotColors, targetPos);
+    if (!result.success) {
+      return {
+        success: false,
+        level,
+        cancelled: !!result.cancelled,
+        message: result.message || 'No solution found'
+      };
+    }
+
+    const hint = { success: true, level, steps: result.steps };
+
+    if (level >= 2) {
+      hint.firstRobot = result.path.length > 0 ? result.path[0].robotColor : result.robotColor;
+    }
+
+    if (level >= 3) {
+      // 按首次移动的顺序列出
+      hint.robots = [...new Set(result.path.map(move => move.robotColor))];
+    }
+
+    if (level >= 4) {
+      const move = result.path[0];
+      hint.nextMove = move ? {
+        robotColor: move.robotColor,
+        direction: move.direction,
+        from: { ...move.from },
+        to: { ...move.to }
+      } : null;
+    }
+
+    return hint;
+  }
+
+  /**
+   * 搜索当前局面的最优解（同一局面只搜索一次）
+   * @param {Array<string>} robotColors
+   * @param {Object} targetPos
+   * @returns {Promise<Object>} findBestPath 的结果
+   */
+  async solve(robotColors, targetPos) {
+    const key = this.getCacheKey(robotColors, targetPos);
+    if (key === this.cacheKey) {
+      return this.cachedResult;
+    }
+
+    const result = await this.pathFinder.findBestPath(robotColors, targetPos);
+
+    // 取消或失败的搜索不缓存，下次重新搜索
+    if (result.success) {
+      this.cacheKey = key;
+      this.cachedResult = result;
+    }
+
+    return result;
+  }
+
+  /**
+   * 局面缓存键：所有棋子位置 + 终点 + 候选棋子
+   * @param {Array<string>} robotColors
+   * @param {Object} targetPos
+   * @returns {string}
+   */
+  getCacheKey(robotColors, targetPos) {
+    const positions = this.pathFinder.robots.map(r => `${r.color}${r.x},${r.y}`).join(';');
+    return `${positions}|${targetPos.x},${targetPos.y}|${robotColors.join(',')}`;
+  }
+
+  /**
+   * 清除缓存（规则或棋盘变化时调用）
+   */
+  clear() {
+    this.cacheKey = null;
+    this.cachedResult = null;
+  }
+}
+
+export default HintProvider;
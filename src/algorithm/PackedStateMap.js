@@ -0,0 +1,147 @@
+/**
+ * PackedStateMap 压缩状态哈希表
+ * 以32位整数状态为键的开放寻址哈希表，用于BFS去重
+ * 每个状态同时记录父状态和到达它的移动，用于回溯路径
+ *
+ * 状态编码：4个棋子各占8位（高4位x，低4位y，同 Encoder.encodePosition）
+ * 4个棋子位置互不相同，因此状态值不可能为0，0用作空槽标记
+ */
+
+export class PackedStateMap {
+  /**
+   * @param {number} initialCapacity - 初始容量（会向上取整为2的幂）
+   */
+  constructor(initialCapacity = 1 << 16) {
+    let capacity = 16;
+    while (capacity < initialCapacity) capacity <<= 1;
+
+    this.allocate(capacity);
+    this.size = 0;
+  }
+
+  /**
+   * 分配存储空间
+   * @param {number} capacity - 容量（2的幂）
+   */
+  allocate(capacity) {
+    this.capacity = capacity;
+    this.mask = capacity - 1;
+    this.shift = 32 - Math.log2(capacity);
+    this.keys = new Uint32Array(capacity);
+    this.parents = new Uint32Array(capacity);
+    this.moves = new Uint8Array(capacity);
+  }
+
+  /**
+   * 计算槽位
+   * @param {number} key
+   * @returns {number}
+   */
+  slot(key) {
+    // 乘法散列取高位：低位只取决于最后几个棋子的位置，会产生大量冲突
+    return Math.imul(key, 0x9E3779B1) >>> this.shift;
+  }
+
+  /**
+   * 检查状态是否存在
+   * @param {number} key
+   * @returns {boolean}
+   */
+  has(key) {
+    let i = this.slot(key);
+    while (true) {
+      const k = this.keys[i];
+      if (k === key) return true;
+      if (k === 0) return false;
+      i = (i + 1) & this.mask;
+    }
+  }
+
+  /**
+   * 添加状态（已存在则不修改）
+   * @param {number} key - 状态
+   * @param {number} parent - 父状态
+   * @param {number} move - 移动编码（棋子索引*4+方向索引，根状态为0xFF）
+   * @returns {boolean} 是否为新状态
+   */
+  add(key, parent, move) {
+    if ((this.size + 1) * 2 > this.capacity) {
+      this.grow();
+    }
+
+    let i = this.slot(key);
+    while (true) {
+      const k = this.keys[i];
+      if (k === key) return false;
+      if (k === 0) break;
+      i = (i + 1) & this.mask;
+    }
+
+    this.keys[i] = key;
+    this.parents[i] = parent;
+    this.moves[i] = move;
+    this.size++;
+    return true;
+  }
+
+  /**
+   * 查找状态所在槽位
+   * @param {number} key
+   * @returns {number} 槽位，不存在返回-1
+   */
+  find(key) {
+    let i = this.slot(key);
+    while (true) {
+      const k = this.keys[i];
+      if (k === key) return i;
+      if (k === 0) return -1;
+      i = (i + 1) & this.mask;
+    }
+  }
+
+  /**
+   * 获取父状态
+   * @param {number} key
+   * @returns {number|null}
+   */
+  getParent(key) {
+    const i = this.find(key);
+    return i === -1 ? null : this.parents[i];
+  }
+
+  /**
+   * 获取到达该状态的移动编码
+   * @param {number} key
+   * @returns {number|null}
+   */
+  getMove(key) {
+    const i = this.find(key);
+    return i === -1 ? null : this.moves[i];
+  }
+
+  /**
+   * 扩容为两倍并重新散列
+   */
+  grow() {
+    const oldKeys = this.keys;
+    const oldParents = this.parents;
+    const oldMoves = this.moves;
+
+    this.allocate(this.capacity * 2);
+
+    for (let j = 0; j < oldKeys.length; j++) {
+      const key = oldKeys[j];
+      if (key === 0) continue;
+
+      let i = this.slot(key);
+      while (this.keys[i] !== 0) {
+        i = (i + 1) & this.mask;
+      }
+      this.keys[i] = key;
+      this.parents[i] = oldParents[j];
+      this.moves[i] = oldMoves[j];
+    }
+  }
+}
+
+export default PackedStateMap;
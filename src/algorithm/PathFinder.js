@@ -1,41 +1,87 @@
 /**
  * PathFinder 路径搜索类
- * 实现带分光镜折射的BFS路径搜索算法
+ * 实现带分光镜折射的路径搜索算法：BFS（默认）和IDA*
+ * 搜索状态压缩为32位整数（每个棋子8位）
  */
 
 import { Board } from '../core/Board.js';
 import { Robot } from '../core/Robot.js';
+import { PackedStateMap } from './PackedStateMap.js';
+import { StateQueue } from './StateQueue.js';
+import { TranspositionTable } from './TranspositionTable.js';
+import { DeadEndTable } from './DeadEndTable.js';
+import { MoveTable } from '../core/MoveTable.js';
+import { RuleSet } from '../core/RuleSet.js';
 import CONSTANTS from '../utils/Constants.js';
 
+// 方向索引顺序（也是BFS展开顺序）
+const DIRECTIONS = ['up', 'down', 'left', 'right'];
+
+// 根状态的移动标记
+const ROOT_MOVE = 0xFF;
+
 export class PathFinder {
   /**
    * @param {Board} board - 棋盘对象
    * @param {Array<Robot>} robots - 棋子数组
+   * @param {RuleSet} ruleSet - 规则集（默认分光镜变体）
    */
-  constructor(board, robots) {
+  constructor(board, robots, ruleSet = RuleSet.prism()) {
     this.board = board;
     this.robots = robots;
-    this.maxIterations = 1000000; // 防止无限循环
+    this.ruleSet = ruleSet;
+    this.maxIterations = 5000000; // 防止无限循环
+    this.maxDepth = 30; // IDA*最大搜索深度
+    this.moveTable = board.getMoveTable(ruleSet); // 墙壁、中央区域和折射链的预计算结果
+    this.progressInterval = 5000; // 每探索多少个状态报告一次进度
+    this.onProgress = null;
   }
   
   /**
    * 查找从当前位置到目标位置的最优路径
    * @param {string} robotColor - 棋子颜色
    * @param {Object} targetPos - 目标位置 {x, y}
-   * @param {boolean} debug - 是否输出调试信息
+   * @param {boolean|Object} options - 调试开关，或选项对象
+   * @param {boolean} options.debug - 是否输出调试信息
+   * @param {string} options.algorithm - 搜索算法：'bfs'（默认）或 'idastar'
+   * @param {Function} options.onProgress - 进度回调 ({statesExplored, depth, queueSize})
+   * @returns {Object} 搜索结果；未找到路径时 limitReached 表示搜索因超出展开数或深度上限而停止（不代表无解）
+   */
+  findPath(robotColor, targetPos, options = false) {
+    if (!this.robots.some(r => r.color === robotColor)) {
+      return {
+        success: false,
+        message: `Robot ${robotColor} not found`
+      };
+    }
+    
+    return this.findBestPath([robotColor], targetPos, options);
+  }
+  
+  /**
+   * 在一次搜索中为多个可接受的棋子查找全局最优路径
+   * 结果的 robotColor 为到达终点的棋子。多个解步数相同时：
+   * 1. 优先选择在棋子数组中靠前的棋子（即 COLOR_ORDER：红、黄、蓝、绿）；
+   * 2. 同一棋子的多个最优解中，BFS返回按层序最先发现的解，
+   *    IDA*返回深度优先顺序中最先发现的解；两者展开顺序均为棋子数组顺序、方向 上/下/左/右
+   * @param {Array<string>} robotColors - 可以到达终点的棋子颜色
+   * @param {Object} targetPos - 目标位置 {x, y}
+   * @param {boolean|Object} options - 同 findPath
    * @returns {Object} 搜索结果
    */
-  findPath(robotColor, targetPos, debug = false) {
+  findBestPath(robotColors, targetPos, options = false) {
     const startTime = performance.now();
     
-    this.debug = debug;
+    const opts = typeof options === 'object' && options !== null ? options : { debug: options };
+    this.debug = !!opts.debug;
+    this.onProgress = opts.onProgress || null;
     
-    // 找到目标棋子
-    const targetRobot = this.robots.find(r => r.color === robotColor);
-    if (!targetRobot) {
+    // 找到可接受的棋子（按棋子数组顺序）
+    const targetIndices = this.getTargetIndices(robotColors);
+    if (targetIndices.length === 0) {
       return {
         success: false,
-        message: `Robot ${robotColor} not found`
+        message: `No robot found for colors: ${robotColors.join(', ')}`
       };
     }
     
@@ -48,9 +94,13 @@ export class PathFinder {
     }
     
     // 检查起始位置是否就是目标
-    if (targetRobot.x === targetPos.x && targetRobot.y === targetPos.y) {
+    const robotAtTarget = targetIndices
+      .map(i => this.robots[i])
+      .find(r => r.x === targetPos.x && r.y === targetPos.y);
+    if (robotAtTarget) {
       return {
         success: true,
+        robotColor: robotAtTarget.color,
         steps: 0,
         path: [],
         statesExplored: 0,
@@ -58,119 +108,157 @@ export class PathFinder {
       };
     }
     
-    // BFS搜索
-    return this.bfsSearch(targetRobot, targetPos, startTime);
+    const search = opts.algorithm === 'idastar' ? this.idaStarSearch : this.bfsSearch;
+    
+    if (!this.ruleSet.requireSingleRobot) {
+      return search.call(this, targetIndices, targetPos, startTime, null);
+    }
+    
+    // 规则要求只移动一个棋子：逐个棋子单独搜索（状态空间很小），
+    // 取步数最少的解，步数相同时取棋子数组中靠前的
+    let best = null;
+    let failure = null;
+    let statesExplored = 0;
+    
+    targetIndices.forEach(index => {
+      const result = search.call(this, [index], targetPos, startTime, [index]);
+      statesExplored += result.statesExplored;
+      if (result.success) {
+        if (!best || result.steps < best.steps) best = result;
+      } else if (!failure || !failure.limitReached) {
+        // 任一棋子的搜索超限时，整体结果不能算作无解
+        failure = result;
+      }
+    });
+    
+    return {
+      ...(best || failure),
+      statesExplored,
+      time: performance.now() - startTime
+    };
   }
   
   /**
-   * BFS搜索算法
-   * @param {Robot} targetRobot - 目标棋子
+   * BFS搜索算法（压缩状态）
+   * 每个状态是一个32位整数，队列为Uint32Array环形队列，
+   * 去重表同时记录父状态和移动，找到解后回溯重建路径
+   * @param {Array<number>} targetIndices - 可接受棋子的索引（升序）
    * @param {Object} targetPos - 目标位置
    * @param {number} startTime - 开始时间
+   * @param {Array<number>|null} movableIndices - 允许移动的棋子索引，null表示全部
    * @returns {Object}
    */
-  bfsSearch(targetRobot, targetPos, startTime) {
-    const initialState = {
-      robots: this.robots.map(r => ({ color: r.color, x: r.x, y: r.y })),
-      path: [],
-      steps: 0
-    };
+  bfsSearch(targetIndices, targetPos, startTime, movableIndices = null) {
+    const moveTable = this.moveTable;
+    const robotCount = this.robots.length;
+    const colorIndices = this.robots.map(r => CONSTANTS.COLOR_ORDER.indexOf(r.color));
+    const targetCell = PathFinder.packPosition(targetPos.x, targetPos.y);
+    const accepted = new Uint8Array(robotCount);
+    targetIndices.forEach(i => { accepted[i] = 1; });
+    const movable = this.getMovableMask(movableIndices);
+    const forbiddenStops = this.getForbiddenStops();
+    const minSteps = this.ruleSet.minSolutionSteps;
     
-    const queue = [initialState];
-    const visited = new Set();
-    visited.add(this.stateToString(initialState.robots));
+    const initialState = this.packState(this.robots);
+    const visited = new PackedStateMap();
+    const queue = new StateQueue();
+    visited.add(initialState, 0, ROOT_MOVE);
+    queue.push(initialState);
     
+    const positions = new Int32Array(robotCount);
     let statesExplored = 0;
-    const directions = ['up', 'down', 'left', 'right'];
+    let depth = 0;
+    let levelRemaining = 1; // 当前深度还未展开的状态数
+    let best = null; // 本层已找到的最优解 {index, state, move}
     
-    if (this.debug) {
-    }
+    const found = () => ({
+      success: true,
+      robotColor: this.robots[best.index].color,
+      steps: depth + 1,
+      path: this.buildPath(visited, best.state, best.move),
+      statesExplored,
+      time: performance.now() - startTime
+    });
     
     while (queue.length > 0) {
       if (statesExplored > this.maxIterations) {
         return {
           success: false,
-          message: 'Search space too large (exceeded 1M states)',
+          message: `Search space too large (exceeded ${this.maxIterations} states)`,
+          limitReached: true,
           statesExplored,
           time: performance.now() - startTime
         };
       }
       
-      const current = queue.shift();
+      if (levelRemaining === 0) {
+        // 本层已展开完毕，返回本层找到的解
+        if (best) return found();
+        depth++;
+        levelRemaining = queue.length;
+      }
+      
+      const state = queue.shift();
+      levelRemaining--;
       statesExplored++;
       
-      // 尝试移动每个棋子
-      for (let i = 0; i < current.robots.length; i++) {
-        const robot = current.robots[i];
+      if (this.onProgress && statesExplored % this.progressInterval === 0) {
+        this.onProgress({
+          statesExplored,
+          depth,
+          queueSize: queue.length
+        });
+      }
+      
+      this.unpackPositions(state, positions);
+      
+      // 尝试移动每个棋子的四个方向
+      for (let i = 0; i < robotCount; i++) {
+        if (!movable[i]) continue;
+        const from = positions[i];
+        const shift = (robotCount - 1 - i) * 8;
         
-        // 尝试四个方向
-        for (const direction of directions) {
+        for (let d = 0; d < 4; d++) {
           // 模拟移动（包括折射）
-          const moveResult = this.simulateMove(
-            robot,
-            direction,
-            current.robots
-          );
+          const to = moveTable.slide(positions, i, d, colorIndices[i]);
           
-          // 如果位置没有变化，跳过
-          if (!moveResult.moved) continue;
+          // 如果位置没有变化，或规则不允许停在该格，跳过
+          if (to === from || (forbiddenStops[to] & (1 << i))) continue;
           
-          // 创建新状态
-          const newRobots = current.robots.map((r, idx) => {
-            if (idx === i) {
-              return { color: r.color, x: moveResult.finalX, y: moveResult.finalY };
-            }
-            return { ...r };
-          });
+          const newState = ((state & ~(0xFF << shift)) | (to << shift)) >>> 0;
+          const move = i * 4 + d;
           
-          // 检查目标棋子是否到达终点
-          const movedRobot = newRobots.find(r => r.color === targetRobot.color);
-          if (movedRobot.x === targetPos.x && movedRobot.y === targetPos.y) {
-            // 找到解！但需要检查是否至少2步
-            const newSteps = current.steps + 1;
+          // 检查可接受的棋子是否到达终点
+          if (accepted[i] && to === targetCell) {
+            const newSteps = depth + 1;
             
             // 游戏规则：不允许1步直达
-            if (newSteps < 2) {
+            if (newSteps < minSteps) {
               // 1步就到了，不符合规则，继续搜索
               continue;
             }
             
-            const finalPath = [...current.path, {
-              robotColor: robot.color,
-              direction: direction,
-              from: { x: robot.x, y: robot.y },
-              to: { x: moveResult.finalX, y: moveResult.finalY },
-              segments: moveResult.segments
-            }];
-            
-            return {
-              success: true,
-              steps: newSteps,
-              path: finalPath,
-              statesExplored,
-              time: performance.now() - startTime
-            };
+            if (!best || i < best.index) {
+              best = { index: i, state, move };
+              // 最靠前的棋子不可能被超过，直接返回
+              if (i === targetIndices[0]) return found();
+            }
+            continue;
           }
           
+          // 本层已有解，只需继续检查本层其他状态能否由更靠前的棋子到达
+          if (best) continue;
+          
           // 检查是否访问过
-          const stateStr = this.stateToString(newRobots);
-          if (!visited.has(stateStr)) {
-            visited.add(stateStr);
-            queue.push({
-              robots: newRobots,
-              path: [...current.path, {
-                robotColor: robot.color,
-                direction: direction,
-                from: { x: robot.x, y: robot.y },
-                to: { x: moveResult.finalX, y: moveResult.finalY },
-                segments: moveResult.segments
-              }],
-              steps: current.steps + 1
-            });
+          if (visited.add(newState, state, move)) {
+            queue.push(newState);
           }
         }
       }
     }
+    
+    if (best) return found();
+    
     return {
       success: false,
       message: 'No path found',
@@ -180,197 +268,601 @@ export class PathFinder {
   }
   
   /**
-   * 模拟棋子移动（包括分光镜折射）
-   * @param {Object} robot - 棋子状态 {color, x, y}
-   * @param {string} direction - 初始方向
-   * @param {Array} allRobots - 所有棋子状态
-   * @returns {Object} 移动结果
+   * IDA*搜索算法（迭代加深A*）
+   * 启发值为可接受棋子单独到达终点的最少移动次数下界的最小值（见 MoveTable.getLowerBounds），
+   * 每轮深度优先搜索 f = g + h 不超过阈值的状态，内存只占用固定大小的置换表。
+   * 找到的解步数与BFS相同；步数相同的多个解中返回的可能不同
+   * @param {Array<number>} targetIndices - 可接受棋子的索引（升序）
+   * @param {Object} targetPos - 目标位置
+   * @param {number} startTime - 开始时间
+   * @param {Array<number>|null} movableIndices - 允许移动的棋子索引，null表示全部
+   * @returns {Object}
    */
-  simulateMove(robot, direction, allRobots) {
-    let x = robot.x;
-    let y = robot.y;
-    let currentDir = direction;
+  idaStarSearch(targetIndices, targetPos, startTime, movableIndices = null) {
+    const moveTable = this.moveTable;
+    const robotCount = this.robots.length;
+    const targetCell = PathFinder.packPosition(targetPos.x, targetPos.y);
+    const colorIndices = this.robots.map(r => CONSTANTS.COLOR_ORDER.indexOf(r.color));
+    const accepted = new Uint8Array(robotCount);
+    targetIndices.forEach(i => { accepted[i] = 1; });
+    const movable = this.getMovableMask(movableIndices);
+    const forbiddenStops = this.getForbiddenStops();
+    const minSteps = this.ruleSet.minSolutionSteps;
+    const lowerBound = this.createLowerBound(targetIndices, targetPos);
     
-    const segments = []; // 记录每个移动段
-    const visited = new Set(); // 防止无限循环
-    let maxSteps = 100; // 最大移动步数
-    let stepCount = 0;
+    // 每层一个位置数组，避免递归中分配对象
+    const positionStack = Array.from({ length: this.maxDepth + 1 }, () => new Int32Array(robotCount));
+    const moves = new Uint8Array(this.maxDepth);
+    const initialState = this.packState(this.robots);
+    this.unpackPositions(initialState, positionStack[0]);
     
-    // 首次移动必须发生
-    let firstMove = true;
+    const startBound = lowerBound(positionStack[0]);
+    if (startBound === MoveTable.UNREACHABLE) {
+      return {
+        success: false,
+        message: 'No path found',
+        statesExplored: 0,
+        time: performance.now() - startTime
+      };
+    }
     
-    while (stepCount < maxSteps) {
-      const segmentStart = { x, y, direction: currentDir };
+    const table = new TranspositionTable();
+    let statesExplored = 0;
+    let threshold = Math.max(startBound, minSteps);
+    let nextThreshold;
+    let best = null; // 本轮已找到的解 {index, moves}，步数等于阈值
+    let aborted = false;
+    
+    // 深度优先搜索，返回true表示已找到不可能被超过的解
+    const search = (state, g) => {
+      statesExplored++;
+      if (statesExplored > this.maxIterations) {
+        aborted = true;
+        return false;
+      }
+      
+      if (this.onProgress && statesExplored % this.progressInterval === 0) {
+        this.onProgress({ statesExplored, depth: threshold, queueSize: 0 });
+      }
       
-      // 沿当前方向移动，直到遇到障碍
-      const moveResult = this.moveInDirection(x, y, currentDir, allRobots);
+      const positions = positionStack[g];
+      const childPositions = positionStack[g + 1];
       
-      if (!moveResult.moved) {
-        // 无法移动
-        if (firstMove) {
-          // 第一次移动就无法移动，返回未移动
-          break;
-        } else {
-          // 折射后无法移动，停在当前位置
-          break;
+      for (let i = 0; i < robotCount; i++) {
+        if (!movable[i]) continue;
+        const from = positions[i];
+        const shift = (robotCount - 1 - i) * 8;
+        
+        for (let d = 0; d < 4; d++) {
+          const to = moveTable.slide(positions, i, d, colorIndices[i]);
+          if (to === from || (forbiddenStops[to] & (1 << i))) continue;
+          
+          moves[g] = i * 4 + d;
+          
+          if (accepted[i] && to === targetCell) {
+            // 游戏规则：解的步数不能少于规定的最少步数
+            if (g + 1 < minSteps) continue;
+            
+            // 同一轮找到的解步数都等于阈值，只需比较棋子顺序
+            if (!best || i < best.index) {
+              best = { index: i, moves: Array.from(moves.subarray(0, g + 1)) };
+              if (i === targetIndices[0]) return true;
+            }
+            continue;
+          }
+          
+          childPositions.set(positions);
+          childPositions[i] = to;
+          
+          const f = g + 1 + lowerBound(childPositions);
+          if (f > threshold) {
+            if (f < nextThreshold) nextThreshold = f;
+            continue;
+          }
+          
+          const newState = ((state & ~(0xFF << shift)) | (to << shift)) >>> 0;
+          if (!table.visit(newState, g + 1)) continue;
+          
+          if (search(newState, g + 1)) return true;
+          if (aborted) return false;
         }
       }
       
-      firstMove = false;
-      x = moveResult.x;
-      y = moveResult.y;
+      return false;
+    };
+    
+    while (threshold <= this.maxDepth) {
+      nextThreshold = Infinity;
+      table.clear();
+      table.visit(initialState, 0);
+      
+      search(initialState, 0);
       
-      // 记录这一段移动
-      segments.push({
-        from: segmentStart,
-        to: { x, y },
-        direction: currentDir
-      });
+      if (best) {
+        return {
+          success: true,
+          robotColor: this.robots[best.index].color,
+          steps: best.moves.length,
+          path: this.replayMoves(this.unpackState(initialState), best.moves),
+          statesExplored,
+          time: performance.now() - startTime
+        };
+      }
       
-      // 检查是否停在分光镜上
-      const cell = this.board.getCell(x, y);
-      if (cell && cell.hasPrism()) {
-        const prism = cell.prism;
-        
-        // 计算折射后的方向
-        const newDir = prism.refract(currentDir, robot.color);
-        
-        if (newDir === currentDir) {
-          // 同色直通，停止
-          break;
+      if (aborted) {
+        return {
+          success: false,
+          message: `Search space too large (exceeded ${this.maxIterations} states)`,
+          limitReached: true,
+          statesExplored,
+          time: performance.now() - startTime
+        };
+      }
+      
+      if (nextThreshold === Infinity) break;
+      threshold = nextThreshold;
+    }
+    
+    return {
+      success: false,
+      message: threshold > this.maxDepth ? `No path found within ${this.maxDepth} moves` : 'No path found',
+      limitReached: threshold > this.maxDepth,
+      statesExplored,
+      time: performance.now() - startTime
+    };
+  }
+  
+  /**
+   * 枚举所有最优解（以及可选的更长解）
+   * 每个解是一个互不相同的移动序列：最后一步把可接受的棋子移到终点，
+   * 之前没有任何一步到达终点，且序列中不重复经过同一状态。
+   * 结果按步数排列，步数相同时按深度优先顺序（棋子数组顺序，方向 上/下/左/右）
+   * @param {string|Array<string>} robotColor - 棋子颜色（也可传入颜色数组，同 findBestPath）
+   * @param {Object} targetPos - 目标位置 {x, y}
+   * @param {Object} options - 选项
+   * @param {number} options.maxSolutions - 最多返回的解数量（默认50）
+   * @param {number} options.extraDepth - 在最优步数之外再枚举几种更长的步数（默认0）
+   * @param {Function} options.onProgress - 进度回调 ({statesExplored, depth, queueSize})
+   * @returns {Object} { success, optimalSteps, solutions: [{robotColor, steps, path}], truncated, statesExplored, time }
+   *          没有解时同 findPath 的失败结果（含 limitReached）
+   */
+  findAllSolutions(robotColor, targetPos, options = {}) {
+    const startTime = performance.now();
+    const { maxSolutions = 50, extraDepth = 0, onProgress = null } = options;
+    const robotColors = Array.isArray(robotColor) ? robotColor : [robotColor];
+    
+    // 先用BFS求出最优步数（同时完成参数检查）
+    const best = this.findBestPath(robotColors, targetPos, { onProgress });
+    if (!best.success) {
+      return { ...best, time: performance.now() - startTime };
+    }
+    
+    if (best.steps === 0) {
+      return {
+        success: true,
+        optimalSteps: 0,
+        solutions: [{ robotColor: best.robotColor, steps: 0, path: [] }],
+        truncated: false,
+        statesExplored: 0,
+        time: performance.now() - startTime
+      };
+    }
+    
+    const moveTable = this.moveTable;
+    const robotCount = this.robots.length;
+    const targetCell = PathFinder.packPosition(targetPos.x, targetPos.y);
+    const colorIndices = this.robots.map(r => CONSTANTS.COLOR_ORDER.indexOf(r.color));
+    const targetIndices = this.getTargetIndices(robotColors);
+    const accepted = new Uint8Array(robotCount);
+    targetIndices.forEach(i => { accepted[i] = 1; });
+    const forbiddenStops = this.getForbiddenStops();
+    const singleRobot = this.ruleSet.requireSingleRobot;
+    const lowerBound = this.createLowerBound(targetIndices, targetPos);
+    
+    const maxSteps = Math.min(best.steps + extraDepth, this.maxDepth);
+    const positionStack = Array.from({ length: maxSteps + 1 }, () => new Int32Array(robotCount));
+    const stateStack = new Uint32Array(maxSteps + 1);
+    const moves = new Uint8Array(maxSteps);
+    const initialState = this.packState(this.robots);
+    this.unpackPositions(initialState, positionStack[0]);
+    
+    const deadEnds = new DeadEndTable(); // 与总步数无关，可跨轮复用
+    const solutions = [];
+    let statesExplored = best.statesExplored;
+    let truncated = false;
+    let length = best.steps; // 当前枚举的步数
+    
+    // 序列中是否没有重复状态（终点状态必然与之前不同）
+    const isSimplePath = (g) => {
+      for (let a = 1; a <= g; a++) {
+        for (let b = 0; b < a; b++) {
+          if (stateStack[a] === stateStack[b]) return false;
         }
+      }
+      return true;
+    };
+    
+    // 深度优先枚举恰好 length 步的解，返回该子树中是否存在解
+    const enumerate = (state, g) => {
+      const remaining = length - g;
+      if (deadEnds.has(state, remaining)) return false;
+      
+      statesExplored++;
+      if (statesExplored > this.maxIterations) {
+        truncated = true;
+        return false;
+      }
+      
+      if (this.onProgress && statesExplored % this.progressInterval === 0) {
+        this.onProgress({ statesExplored, depth: length, queueSize: 0 });
+      }
+      
+      stateStack[g] = state;
+      const positions = positionStack[g];
+      const childPositions = positionStack[g + 1];
+      let found = false;
+      
+      for (let i = 0; i < robotCount; i++) {
+        // 规则要求只移动一个棋子时，只能移动第一步选定的可接受棋子
+        if (singleRobot && (!accepted[i] || (g > 0 && i !== moves[0] >> 2))) continue;
+        const from = positions[i];
+        const shift = (robotCount - 1 - i) * 8;
         
-        // 异色折射，继续移动
-        // 检查循环
-        const key = `${x},${y},${newDir}`;
-        if (visited.has(key)) {
-          // 检测到循环，停止
-          break;
+        for (let d = 0; d < 4; d++) {
+          const to = moveTable.slide(positions, i, d, colorIndices[i]);
+          if (to === from || (forbiddenStops[to] & (1 << i))) continue;
+          
+          moves[g] = i * 4 + d;
+          
+          // 到达终点即结束本轮，只有恰好用完步数的序列才算解
+          if (accepted[i] && to === targetCell) {
+            if (remaining === 1) {
+              found = true;
+              if (isSimplePath(g)) {
+                solutions.push({
+                  robotColor: this.robots[i].color,
+                  steps: length,
+                  path: this.replayMoves(this.unpackState(initialState), Array.from(moves.subarray(0, length)))
+                });
+                if (solutions.length >= maxSolutions) {
+                  truncated = true;
+                  return true;
+                }
+              }
+            }
+            continue;
+          }
+          
+          if (remaining === 1) continue;
+          
+          childPositions.set(positions);
+          childPositions[i] = to;
+          if (g + 1 + lowerBound(childPositions) > length) continue;
+          
+          const newState = ((state & ~(0xFF << shift)) | (to << shift)) >>> 0;
+          if (enumerate(newState, g + 1)) found = true;
+          if (truncated) return found;
         }
-        visited.add(key);
-        
-        currentDir = newDir;
-        stepCount++;
-        // 继续循环，从分光镜位置沿新方向移动
-      } else {
-        // 没有分光镜，停止
-        break;
       }
+      
+      if (!found) deadEnds.add(state, remaining);
+      return found;
+    };
+    
+    for (; length <= maxSteps && !truncated; length++) {
+      enumerate(initialState, 0);
     }
     
-    const finalX = x;
-    const finalY = y;
-    const moved = (finalX !== robot.x || finalY !== robot.y);
+    if (solutions.length === 0) {
+      // 最优步数已知有解，枚举不到只能是超出了展开数上限
+      return {
+        success: false,
+        message: `Search space too large (exceeded ${this.maxIterations} states)`,
+        limitReached: true,
+        statesExplored,
+        time: performance.now() - startTime
+      };
+    }
     
     return {
-      moved,
-      finalX,
-      finalY,
-      segments
+      success: true,
+      optimalSteps: best.steps,
+      solutions,
+      truncated,
+      statesExplored,
+      time: performance.now() - startTime
     };
   }
   
   /**
-   * 沿指定方向移动，直到遇到障碍
-   * @param {number} startX
-   * @param {number} startY
-   * @param {string} direction
-   * @param {Array} allRobots
-   * @returns {Object}
+   * 计算棋子到达每个格子的最少移动次数（可达性地图）
+   * 只移动该棋子时其他棋子固定不动，状态空间很小，可以算出所有可达格子；
+   * 允许借助其他棋子时按完整状态BFS，只计算到 maxDepth 步为止
+   * @param {string} robotColor - 棋子颜色
+   * @param {Object} options - 选项
+   * @param {boolean} options.useHelpers - 是否允许移动其他棋子（默认否）
+   * @param {number} options.maxDepth - 最大移动次数（默认：只移动该棋子时不限，借助其他棋子时为5）
+   * @param {Function} options.onProgress - 进度回调 ({statesExplored, depth, queueSize})
+   * @returns {Object} { success, robotColor, cells: [{x, y, moves}], maxMoves, truncated, statesExplored, time }
    */
-  moveInDirection(startX, startY, direction, allRobots) {
-    let x = startX;
-    let y = startY;
-    
-    const deltas = {
-      'up': { dx: 0, dy: -1 },
-      'down': { dx: 0, dy: 1 },
-      'left': { dx: -1, dy: 0 },
-      'right': { dx: 1, dy: 0 }
-    };
+  computeReachability(robotColor, options = {}) {
+    const startTime = performance.now();
+    const {
+      useHelpers = false,
+      maxDepth = useHelpers ? 5 : Infinity,
+      onProgress = null
+    } = options;
     
-    const delta = deltas[direction];
-    if (!delta) {
-      return { moved: false, x: startX, y: startY };
+    const index = this.robots.findIndex(r => r.color === robotColor);
+    if (index === -1) {
+      return {
+        success: false,
+        message: `Robot ${robotColor} not found`
+      };
     }
     
-    let movedAtLeastOnce = false;
+    const moveTable = this.moveTable;
+    const robotCount = this.robots.length;
+    const colorIndices = this.robots.map(r => CONSTANTS.COLOR_ORDER.indexOf(r.color));
+    const movable = this.getMovableMask(useHelpers ? null : [index]);
+    const forbiddenStops = this.getForbiddenStops();
+    const shift = (robotCount - 1 - index) * 8;
     
-    while (true) {
-      const nextX = x + delta.dx;
-      const nextY = y + delta.dy;
-      
-      // 检查边界
-      if (nextX < 0 || nextX >= this.board.size || 
-          nextY < 0 || nextY >= this.board.size) {
-        break;
+    const distances = new Uint8Array(256).fill(MoveTable.UNREACHABLE);
+    const initialState = this.packState(this.robots);
+    const visited = new PackedStateMap();
+    const queue = new StateQueue();
+    visited.add(initialState, 0, ROOT_MOVE);
+    queue.push(initialState);
+    distances[(initialState >>> shift) & 0xFF] = 0;
+    
+    const positions = new Int32Array(robotCount);
+    let statesExplored = 0;
+    let depth = 0;
+    let levelRemaining = 1;
+    let truncated = false;
+    
+    while (queue.length > 0) {
+      if (levelRemaining === 0) {
+        depth++;
+        levelRemaining = queue.length;
       }
       
-      // 检查是否是中央不可达区域
-      if (this.board.isInCentralArea(nextX, nextY)) {
+      // 下一层超过步数限制，剩余状态不再展开
+      if (depth >= maxDepth) {
+        truncated = true;
         break;
       }
       
-      // 检查墙壁
-      const currentCell = this.board.getCell(x, y);
-      if (this.hasWallInDirection(currentCell, direction)) {
+      if (statesExplored > this.maxIterations) {
+        truncated = true;
         break;
       }
       
-      // 检查是否有其他棋子
-      const hasOtherRobot = allRobots.some(r => 
-        r.x === nextX && r.y === nextY && !(r.x === startX && r.y === startY)
-      );
-      if (hasOtherRobot) {
-        break;
+      const state = queue.shift();
+      levelRemaining--;
+      statesExplored++;
+      
+      if (onProgress && statesExplored % this.progressInterval === 0) {
+        onProgress({ statesExplored, depth, queueSize: queue.length });
       }
       
-      // 移动到下一个位置
-      x = nextX;
-      y = nextY;
-      movedAtLeastOnce = true;
+      this.unpackPositions(state, positions);
       
-      // 检查是否到达分光镜
-      // 如果当前位置有分光镜，停止移动（在simulateMove中会处理折射）
-      const nextCell = this.board.getCell(x, y);
-      if (nextCell && nextCell.hasPrism()) {
-        break;
+      for (let i = 0; i < robotCount; i++) {
+        if (!movable[i]) continue;
+        const from = positions[i];
+        const robotShift = (robotCount - 1 - i) * 8;
+        
+        for (let d = 0; d < 4; d++) {
+          const to = moveTable.slide(positions, i, d, colorIndices[i]);
+          if (to === from || (forbiddenStops[to] & (1 << i))) continue;
+          
+          const newState = ((state & ~(0xFF << robotShift)) | (to << robotShift)) >>> 0;
+          if (!visited.add(newState, state, i * 4 + d)) continue;
+          
+          queue.push(newState);
+          const p = (newState >>> shift) & 0xFF;
+          if (distances[p] === MoveTable.UNREACHABLE) {
+            distances[p] = depth + 1;
+          }
+        }
       }
     }
     
-    const moved = movedAtLeastOnce;
-    return { moved, x, y };
+    const cells = [];
+    distances.forEach((moves, p) => {
+      if (moves !== MoveTable.UNREACHABLE) {
+        cells.push({ x: p >> 4, y: p & 0xF, moves });
+      }
+    });
+    cells.sort((a, b) => a.moves - b.moves);
+    
+    return {
+      success: true,
+      robotColor,
+      cells,
+      maxMoves: cells.length > 0 ? cells[cells.length - 1].moves : 0,
+      truncated,
+      statesExplored,
+      time: performance.now() - startTime
+    };
+  }
+  
+  /**
+   * 获取可接受棋子在棋子数组中的索引（升序）
+   * @param {Array<string>} robotColors
+   * @returns {Array<number>}
+   */
+  getTargetIndices(robotColors) {
+    const targetIndices = [];
+    this.robots.forEach((r, i) => {
+      if (robotColors.includes(r.color)) targetIndices.push(i);
+    });
+    return targetIndices;
   }
   
   /**
-   * 检查格子在指定方向是否有墙
-   * @param {Cell} cell
-   * @param {string} direction
-   * @returns {boolean}
+   * 创建启发函数：任一可接受棋子单独到达终点的最少移动次数下界
+   * @param {Array<number>} targetIndices - 可接受棋子的索引
+   * @param {Object} targetPos - 目标位置
+   * @returns {Function} (positions: Int32Array) => number，不可达为 MoveTable.UNREACHABLE
    */
-  hasWallInDirection(cell, direction) {
-    if (!cell) return true;
-    
-    const wallMap = {
-      'up': 'top',
-      'down': 'bottom',
-      'left': 'left',
-      'right': 'right'
+  createLowerBound(targetIndices, targetPos) {
+    const boundTables = targetIndices.map(i =>
+      this.moveTable.getLowerBounds(targetPos.x, targetPos.y, this.robots[i].color)
+    );
+    
+    return (positions) => {
+      let h = MoveTable.UNREACHABLE;
+      for (let k = 0; k < targetIndices.length; k++) {
+        const bound = boundTables[k][positions[targetIndices[k]]];
+        if (bound < h) h = bound;
+      }
+      return h;
     };
+  }
+  
+  /**
+   * 创建允许移动的棋子掩码
+   * @param {Array<number>|null} movableIndices - 允许移动的棋子索引，null表示全部
+   * @returns {Uint8Array}
+   */
+  getMovableMask(movableIndices) {
+    const movable = new Uint8Array(this.robots.length);
+    if (movableIndices) {
+      movableIndices.forEach(i => { movable[i] = 1; });
+    } else {
+      movable.fill(1);
+    }
+    return movable;
+  }
+  
+  /**
+   * 获取规则不允许停留的格子
+   * 规则不允许停在其他颜色的终点时，第i位表示第i个棋子不能停在该格
+   * @returns {Uint8Array} 压缩位置 → 棋子位掩码
+   */
+  getForbiddenStops() {
+    const forbidden = new Uint8Array(256);
+    if (this.ruleSet.allowOtherColorTargets) return forbidden;
+    
+    this.board.getAllTargets().forEach(target => {
+      const p = PathFinder.packPosition(target.x, target.y);
+      this.robots.forEach((robot, i) => {
+        if (!target.canAccept(robot.color)) forbidden[p] |= 1 << i;
+      });
+    });
+    return forbidden;
+  }
+  
+  /**
+   * 回溯父状态，重建完整路径（含折射分段）
+   * @param {PackedStateMap} visited - 去重表
+   * @param {number} lastState - 最后一步之前的状态
+   * @param {number} lastMove - 最后一步的移动编码
+   * @returns {Array}
+   */
+  buildPath(visited, lastState, lastMove) {
+    const moves = [lastMove];
+    let state = lastState;
     
-    return cell.hasWall(wallMap[direction]);
+    while (true) {
+      const move = visited.getMove(state);
+      if (move === ROOT_MOVE) break;
+      moves.push(move);
+      state = visited.getParent(state);
+    }
+    moves.reverse();
+    
+    return this.replayMoves(this.unpackState(state), moves);
   }
   
   /**
-   * 将状态转换为字符串（用于去重）
+   * 从初始状态重放移动序列，生成与 simulateMove 一致的路径信息
+   * @param {Array} robots - 初始棋子状态 [{color, x, y}]（会被修改）
+   * @param {Array<number>} moves - 移动编码（棋子索引*4+方向索引）
+   * @returns {Array}
+   */
+  replayMoves(robots, moves) {
+    return moves.map(move => {
+      const index = move >> 2;
+      const direction = DIRECTIONS[move & 3];
+      const robot = robots[index];
+      const moveResult = this.simulateMove(robot, direction, robots);
+      
+      robots[index] = { color: robot.color, x: moveResult.finalX, y: moveResult.finalY };
+      
+      return {
+        robotColor: robot.color,
+        direction: direction,
+        from: { x: robot.x, y: robot.y },
+        to: { x: moveResult.finalX, y: moveResult.finalY },
+        segments: moveResult.segments
+      };
+    });
+  }
+  
+  /**
+   * 模拟棋子移动（包括分光镜折射）
+   * 墙壁和折射链来自棋盘的预计算移动表，这里只需处理棋子阻挡
+   * @param {Object} robot - 棋子状态 {color, x, y}
+   * @param {string} direction - 初始方向
+   * @param {Array} allRobots - 所有棋子状态
+   * @returns {Object} 移动结果
+   */
+  simulateMove(robot, direction, allRobots) {
+    return this.moveTable.simulate(robot, direction, allRobots);
+  }
+  
+  /**
+   * 压缩单个位置（同 Encoder.encodePosition 的8位数值）
+   * @param {number} x
+   * @param {number} y
+   * @returns {number}
+   */
+  static packPosition(x, y) {
+    return (x << 4) | y;
+  }
+  
+  /**
+   * 将所有棋子位置压缩为一个32位整数
+   * 棋子按数组顺序从高位到低位排列，
+   * 十六进制形式与 Encoder.encodeRobotPositions 的结果相同
    * @param {Array} robots
-   * @returns {string}
+   * @returns {number}
+   */
+  packState(robots) {
+    let state = 0;
+    robots.forEach(r => {
+      state = ((state << 8) | PathFinder.packPosition(r.x, r.y)) >>> 0;
+    });
+    return state;
+  }
+  
+  /**
+   * 将压缩状态解包到位置数组
+   * @param {number} state
+   * @param {Int32Array} positions - 输出，每个元素为压缩位置
    */
-  stateToString(robots) {
-    return robots
-      .map(r => `${r.color}:${r.x},${r.y}`)
-      .sort()
-      .join('|');
+  unpackPositions(state, positions) {
+    const robotCount = positions.length;
+    for (let i = 0; i < robotCount; i++) {
+      positions[i] = (state >>> ((robotCount - 1 - i) * 8)) & 0xFF;
+    }
+  }
+  
+  /**
+   * 将压缩状态解包为棋子状态数组
+   * @param {number} state
+   * @returns {Array} [{color, x, y}]
+   */
+  unpackState(state) {
+    const robotCount = this.robots.length;
+    return this.robots.map((r, i) => {
+      const p = (state >>> ((robotCount - 1 - i) * 8)) & 0xFF;
+      return { color: r.color, x: p >> 4, y: p & 0xF };
+    });
   }
   
   /**
@@ -383,12 +875,11 @@ export class PathFinder {
     if (!robot) return [];
     
     const moves = [];
-    const directions = ['up', 'down', 'left', 'right'];
     const allRobots = this.robots.map(r => ({ 
       color: r.color, x: r.x, y: r.y 
     }));
     
-    directions.forEach(direction => {
+    DIRECTIONS.forEach(direction => {
       const result = this.simulateMove(
         { color: robot.color, x: robot.x, y: robot.y },
         direction,
@@ -409,13 +900,17 @@ export class PathFinder {
   }
   
   /**
-   * 计算启发式距离（曼哈顿距离）
-   * @param {Object} pos1
-   * @param {Object} pos2
-   * @returns {number}
+   * 计算启发式距离：棋子单独到达目标的最少移动次数下界
+   * 考虑墙壁和分光镜折射，其他棋子只会让它提前停下，因此不会高估
+   * @param {string} robotColor - 棋子颜色
+   * @param {Object} pos - 当前位置 {x, y}
+   * @param {Object} targetPos - 目标位置 {x, y}
+   * @returns {number} 下界，不可达返回 Infinity
    */
-  heuristic(pos1, pos2) {
-    return Math.abs(pos1.x - pos2.x) + Math.abs(pos1.y - pos2.y);
+  heuristic(robotColor, pos, targetPos) {
+    const bounds = this.moveTable.getLowerBounds(targetPos.x, targetPos.y, robotColor);
+    const bound = bounds[PathFinder.packPosition(pos.x, pos.y)];
+    return bound === MoveTable.UNREACHABLE ? Infinity : bound;
   }
 }
 
@@ -0,0 +1,84 @@
+/**
+ * PathFinder Web Worker
+ * 在后台线程中运行路径搜索，避免阻塞页面
+ *
+ * 消息协议：
+ *   收到: { id, type: 'solve' | 'solveAll' | 'reach' | 'plan', payload: { boardConfig, smallBoards, robots, ruleSet, robotColors, targetPos, options } }
+ *         solve 调用 findBestPath，solveAll 调用 findAllSolutions，
+ *         reach 调用 computeReachability（robotColors[0]），plan 调用 GamePlanner.plan
+ *         { id, type: 'generate', payload: { smallBoards, ruleSet, options } } 调用 PuzzleGenerator.generate（不需要棋盘和棋子）
+ *   发出: { id, type: 'progress', progress }（plan 为 { round, beamSize, solves }，generate 为 { attempts, targetsTried }，
+ *         其他为 { statesExplored, depth, queueSize }）
+ *         { id, type: 'result', result }
+ *         { id, type: 'error', message }
+ */
+
+import { Board } from '../core/Board.js';
+import { Robot } from '../core/Robot.js';
+import { RuleSet } from '../core/RuleSet.js';
+import { SmallBoard } from '../core/SmallBoard.js';
+import { PathFinder } from './PathFinder.js';
+import { GamePlanner } from './GamePlanner.js';
+import { PuzzleGenerator } from './PuzzleGenerator.js';
+
+const MESSAGE_TYPES = ['solve', 'solveAll', 'reach', 'plan', 'generate'];
+
+/**
+ * 按消息类型调用PathFinder
+ * @param {PathFinder} pathFinder
+ * @param {string} type - 'solve' | 'solveAll' | 'reach'
+ * @param {Object} payload
+ * @param {Object} options
+ * @returns {Object}
+ */
+function runSearch(pathFinder, type, payload, options) {
+  switch (type) {
+    case 'solveAll':
+      return pathFinder.findAllSolutions(payload.robotColors, payload.targetPos, options);
+    case 'reach':
+      return pathFinder.computeReachability(payload.robotColors[0], options);
+    default:
+      return pathFinder.findBestPath(payload.robotColors, payload.targetPos, options);
+  }
+}
+
+self.addEventListener('message', (event) => {
+  const { id, type, payload } = event.data;
+
+  if (!MESSAGE_TYPES.includes(type)) {
+    self.postMessage({ id, type: 'error', message: `Unknown message type: ${type}` });
+    return;
+  }
+
+  try {
+    // 重建小棋盘和规则（Worker中无法共享主线程对象）
+    const smallBoards = payload.smallBoards.map(data => SmallBoard.fromJSON(data));
+    const ruleSet = RuleSet.fromJSON(payload.ruleSet);
+    const options = {
+      ...payload.options,
+      onProgress: (progress) => {
+        self.postMessage({ id, type: 'progress', progress });
+      }
+    };
+
+    if (type === 'generate') {
+      const result = new PuzzleGenerator(smallBoards, { ruleSet }).generate(options);
+      self.postMessage({ id, type: 'result', result: PuzzleGenerator.toTransferable(result) });
+      return;
+    }
+
+    const board = new Board(payload.boardConfig, smallBoards);
+    const robots = payload.robots.map(r => new Robot(r.color, r.x, r.y));
+
+    let result;
+    if (type === 'plan') {
+      result = new GamePlanner(board, robots, ruleSet).plan(options);
+    } else {
+      result = runSearch(new PathFinder(board, robots, ruleSet), type, payload, options);
+    }
+
+    self.postMessage({ id, type: 'result', result });
+  } catch (error) {
+    self.postMessage({ id, type: 'error', message: error.message });
+  }
+});
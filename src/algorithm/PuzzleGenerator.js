@@ -0,0 +1,183 @@
+/**
+ * PuzzleGenerator 谜题生成器
+ * 随机搜索棋盘组合、正反面和棋子位置，生成所选终点的最优解恰好为N步的游戏
+ * 可选要求：所有最优解都与分光镜发生作用；最优解必须移动多个棋子
+ */
+
+import { Game } from '../core/Game.js';
+import { RuleSet } from '../core/RuleSet.js';
+import { PathFinder } from './PathFinder.js';
+
+export class PuzzleGenerator {
+  /**
+   * @param {Array<SmallBoard>} smallBoards - 小棋盘数组
+   * @param {Object} options - 选项
+   * @param {RuleSet} options.ruleSet - 规则集（默认分光镜变体）
+   * @param {Function} options.random - 随机数函数（返回[0, 1)，默认 Math.random）
+   * @param {number} options.maxIterations - 每次验证搜索的最大展开数
+   */
+  constructor(smallBoards, options = {}) {
+    const {
+      ruleSet = RuleSet.prism(),
+      random = Math.random,
+      maxIterations = 1000000
+    } = options;
+
+    this.smallBoards = smallBoards;
+    this.ruleSet = ruleSet;
+    this.random = random;
+    this.maxIterations = maxIterations;
+  }
+
+  /**
+   * 生成谜题
+   * @param {Object} options - 生成选项
+   * @param {number} options.steps - 最优解步数N
+   * @param {boolean} options.requirePrism - 要求所有最优解都经过分光镜折射或停在分光镜上
+   * @param {boolean} options.requireMultiRobot - 要求N步内不存在只移动一个棋子的解
+   * @param {number} options.maxAttempts - 最多尝试的随机局面数
+   * @param {Function} options.onProgress - 进度回调，每验证一个终点调用一次 ({attempts, targetsTried})
+   * @returns {Object} {success, gameCode, game, target, targetId, robotColor, steps, path, attempts, time}
+   */
+  generate(options = {}) {
+    const {
+      steps,
+      requirePrism = false,
+      requireMultiRobot = false,
+      maxAttempts = 100,
+      onProgress = null
+    } = options;
+
+    if (!Number.isInteger(steps) || steps < this.ruleSet.minSolutionSteps) {
+      throw new Error(`Steps must be an integer of at least ${this.ruleSet.minSolutionSteps}`);
+    }
+
+    const startTime = performance.now();
+    let targetsTried = 0;
+
+    for (let attempts = 1; attempts <= maxAttempts; attempts++) {
+      const game = Game.createRandom(this.smallBoards, this.ruleSet, this.random);
+      game.start();
+
+      for (const { target, eligibleColors } of this.shuffle(game.getAvailableTargets())) {
+        targetsTried++;
+        if (onProgress) {
+          onProgress({ attempts, targetsTried });
+        }
+        const targetPos = { x: target.x, y: target.y };
+
+        const result = this.createPathFinder(game, this.ruleSet, steps)
+          .findBestPath(eligibleColors, targetPos, { algorithm: 'idastar' });
+        if (!result.success || result.steps !== steps) continue;
+
+        if (requireMultiRobot && this.hasSingleRobotSolution(game, eligibleColors, targetPos, steps)) continue;
+        if (requirePrism && !this.allOptimalUsePrism(game, eligibleColors, targetPos)) continue;
+
+        return {
+          success: true,
+          gameCode: game.gameCode,
+          game,
+          target,
+          targetId: target.id,
+          robotColor: result.robotColor,
+          steps: result.steps,
+          path: result.path,
+          attempts,
+          time: performance.now() - startTime
+        };
+      }
+    }
+
+    return {
+      success: false,
+      message: `No ${steps}-move puzzle found in ${maxAttempts} attempts`,
+      attempts: maxAttempts,
+      time: performance.now() - startTime
+    };
+  }
+
+  /**
+   * 去掉 generate 结果中的 game 和 target 对象，以便从Worker传回主线程（用 gameCode 和 targetId 重建）
+   * @param {Object} result - generate 的结果
+   * @returns {Object}
+   */
+  static toTransferable(result) {
+    const { game, target, ...rest } = result;
+    return rest;
+  }
+
+  /**
+   * 创建限制深度的搜索器
+   * @param {Game} game
+   * @param {RuleSet} ruleSet
+   * @param {number} maxDepth
+   * @returns {PathFinder}
+   */
+  createPathFinder(game, ruleSet, maxDepth) {
+    const pathFinder = new PathFinder(game.board, game.robots, ruleSet);
+    pathFinder.maxDepth = maxDepth;
+    pathFinder.maxIterations = this.maxIterations;
+    return pathFinder;
+  }
+
+  /**
+   * 在N步内是否存在只移动一个棋子的解
+   * @param {Game} game
+   * @param {Array<string>} robotColors
+   * @param {Object} targetPos
+   * @param {number} steps
+   * @returns {boolean}
+   */
+  hasSingleRobotSolution(game, robotColors, targetPos, steps) {
+    const singleRobot = new RuleSet({ ...this.ruleSet.toJSON(), requireSingleRobot: true });
+    const result = this.createPathFinder(game, singleRobot, steps)
+      .findBestPath(robotColors, targetPos, { algorithm: 'idastar' });
+    return result.success;
+  }
+
+  /**
+   * 是否所有最优解都与分光镜发生作用（解太多无法全部验证时视为否）
+   * @param {Game} game
+   * @param {Array<string>} robotColors
+   * @param {Object} targetPos
+   * @returns {boolean}
+   */
+  allOptimalUsePrism(game, robotColors, targetPos) {
+    const result = this.createPathFinder(game, this.ruleSet, 30)
+      .findAllSolutions(robotColors, targetPos, { maxSolutions: 100 });
+    if (!result.success || result.truncated) return false;
+
+    return result.solutions.every(solution =>
+      solution.path.some(move => PuzzleGenerator.moveUsesPrism(game.board, move))
+    );
+  }
+
+  /**
+   * 一步移动是否发生折射或停在分光镜上
+   * @param {Board} board
+   * @param {Object} move - 路径中的一步 {to, segments}
+   * @returns {boolean}
+   */
+  static moveUsesPrism(board, move) {
+    if (move.segments && move.segments.length > 1) return true;
+
+    const cell = board.getCell(move.to.x, move.to.y);
+    return !!cell && cell.hasPrism();
+  }
+
+  /**
+   * 随机打乱数组（返回新数组）
+   * @param {Array} items
+   * @returns {Array}
+   */
+  shuffle(items) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = Math.floor(this.random() * (i + 1));
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+  }
+}
+
+export default PuzzleGenerator;
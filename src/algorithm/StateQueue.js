@@ -0,0 +1,62 @@
+/**
+ * StateQueue 环形队列
+ * 基于Uint32Array的FIFO队列，存放BFS待展开的压缩状态
+ * 出队为O(1)，队列满时容量翻倍
+ */
+
+export class StateQueue {
+  /**
+   * @param {number} initialCapacity - 初始容量（会向上取整为2的幂）
+   */
+  constructor(initialCapacity = 1 << 16) {
+    let capacity = 16;
+    while (capacity < initialCapacity) capacity <<= 1;
+
+    this.buffer = new Uint32Array(capacity);
+    this.mask = capacity - 1;
+    this.head = 0;
+    this.length = 0;
+  }
+
+  /**
+   * 入队
+   * @param {number} value
+   */
+  push(value) {
+    if (this.length === this.buffer.length) {
+      this.grow();
+    }
+    this.buffer[(this.head + this.length) & this.mask] = value;
+    this.length++;
+  }
+
+  /**
+   * 出队
+   * @returns {number}
+   */
+  shift() {
+    const value = this.buffer[this.head];
+    this.head = (this.head + 1) & this.mask;
+    this.length--;
+    return value;
+  }
+
+  /**
+   * 容量翻倍，并把环形内容展开到新数组开头
+   */
+  grow() {
+    const oldBuffer = this.buffer;
+    const capacity = oldBuffer.length;
+    const buffer = new Uint32Array(capacity * 2);
+
+    const firstPart = oldBuffer.subarray(this.head, capacity);
+    buffer.set(firstPart, 0);
+    buffer.set(oldBuffer.subarray(0, this.head), firstPart.length);
+
+    this.buffer = buffer;
+    this.mask = buffer.length - 1;
+    this.head = 0;
+  }
+}
+
+export default StateQueue;
@@ -0,0 +1,42 @@
+/**
+ * TranspositionTable 置换表
+ * IDA*搜索使用的固定大小有损哈希表，记录每个压缩状态在本轮迭代中被访问时的最小步数
+ * 冲突时直接覆盖旧记录，内存占用固定，丢失记录只会导致重复搜索，不影响结果正确性
+ */
+
+export class TranspositionTable {
+  /**
+   * @param {number} bits - 容量为 2^bits 个槽位
+   */
+  constructor(bits = 22) {
+    this.shift = 32 - bits;
+    this.keys = new Uint32Array(1 << bits);
+    this.depths = new Uint8Array(1 << bits);
+  }
+
+  /**
+   * 记录一次访问
+   * @param {number} key - 压缩状态（非0）
+   * @param {number} depth - 到达该状态的步数
+   * @returns {boolean} 是否需要继续展开（此前未以更少或相同步数访问过）
+   */
+  visit(key, depth) {
+    // 乘法散列取高位，使每个棋子的位置都影响槽位
+    const i = Math.imul(key, 0x9E3779B1) >>> this.shift;
+    if (this.keys[i] === key && this.depths[i] <= depth) {
+      return false;
+    }
+    this.keys[i] = key;
+    this.depths[i] = depth;
+    return true;
+  }
+
+  /**
+   * 清空所有记录（每轮迭代开始时调用）
+   */
+  clear() {
+    this.keys.fill(0);
+  }
+}
+
+export default TranspositionTable;
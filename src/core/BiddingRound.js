@@ -0,0 +1,178 @@
+/**
+ * BiddingRound 竞价轮次类
+ * 多人对战时的一轮：玩家报出步数，第一次报价后开始倒计时，
+ * 时间到后按报价从低到高（同价按报价时间先后）依次验证玩家输入的移动
+ */
+
+export class BiddingRound {
+  /**
+   * @param {string} targetId - 本轮终点ID
+   * @param {Object} options - 选项
+   * @param {number} options.duration - 第一次报价后的倒计时（毫秒）
+   */
+  constructor(targetId, options = {}) {
+    const { duration = 60000 } = options;
+
+    if (!Number.isFinite(duration) || duration <= 0) {
+      throw new Error(`Invalid bidding duration: ${duration}`);
+    }
+
+    this.targetId = targetId;
+    this.duration = duration;
+    this.bids = [];       // [{player, moves, time}]，每个玩家最多一个
+    this.attempts = [];   // [{player, bid, success, steps, message}]
+    this.deadline = null; // 第一次报价后确定
+    this.status = 'bidding'; // 'bidding' | 'verifying' | 'finished'
+    this.winner = null;
+  }
+
+  /**
+   * 报价（同一玩家只能报出更低的步数）
+   * @param {string} player - 玩家名称
+   * @param {number} moves - 报出的步数
+   * @param {number} now - 当前时间戳
+   * @returns {Object} 报价记录
+   */
+  placeBid(player, moves, now = Date.now()) {
+    if (this.status !== 'bidding') {
+      throw new Error('Bidding is closed');
+    }
+
+    if (this.isExpired(now)) {
+      throw new Error('Bidding time is over');
+    }
+
+    if (!Number.isInteger(moves) || moves < 1) {
+      throw new Error(`Invalid bid: ${moves}`);
+    }
+
+    const existing = this.bids.find(bid => bid.player === player);
+    if (existing) {
+      if (moves >= existing.moves) {
+        throw new Error(`${player} can only lower the bid (current ${existing.moves})`);
+      }
+      existing.moves = moves;
+      existing.time = now;
+      return existing;
+    }
+
+    // 第一次报价开始计时
+    if (this.deadline === null) {
+      this.deadline = now + this.duration;
+    }
+
+    const bid = { player, moves, time: now };
+    this.bids.push(bid);
+    return bid;
+  }
+
+  /**
+   * 获取剩余时间（尚未报价时返回完整时长）
+   * @param {number} now - 当前时间戳
+   * @returns {number} 毫秒
+   */
+  getRemainingTime(now = Date.now()) {
+    if (this.deadline === null) return this.duration;
+    return Math.max(0, this.deadline - now);
+  }
+
+  /**
+   * 倒计时是否已结束
+   * @param {number} now - 当前时间戳
+   * @returns {boolean}
+   */
+  isExpired(now = Date.now()) {
+    return this.deadline !== null && now >= this.deadline;
+  }
+
+  /**
+   * 结束报价，进入验证阶段
+   */
+  close() {
+    if (this.status !== 'bidding') {
+      throw new Error('Bidding is already closed');
+    }
+
+    if (this.bids.length === 0) {
+      throw new Error('No bids placed');
+    }
+
+    this.status = 'verifying';
+  }
+
+  /**
+   * 获取验证顺序：步数少的优先，同价时先报价的优先
+   * @returns {Array<Object>}
+   */
+  getVerificationOrder() {
+    return [...this.bids].sort((a, b) => a.moves - b.moves || a.time - b.time);
+  }
+
+  /**
+   * 获取当前应演示移动的报价（尚未尝试过的最低报价）
+   * @returns {Object|null}
+   */
+  getCurrentBid() {
+    if (this.status !== 'verifying') return null;
+
+    const attempted = new Set(this.attempts.map(attempt => attempt.player));
+    return this.getVerificationOrder().find(bid => !attempted.has(bid.player)) || null;
+  }
+
+  /**
+   * 记录一次验证结果
+   * @param {Object} bid - 被验证的报价
+   * @param {boolean} success - 是否成功
+   * @param {number} steps - 实际步数
+   * @param {string} message - 失败原因
+   */
+  recordAttempt(bid, success, steps, message = '') {
+    this.attempts.push({
+      player: bid.player,
+      bid: bid.moves,
+      success,
+      steps,
+      message
+    });
+
+    if (success) {
+      this.winner = bid.player;
+      this.status = 'finished';
+    } else if (!this.getCurrentBid()) {
+      this.status = 'finished';
+    }
+  }
+
+  /**
+   * 转换为JSON
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      targetId: this.targetId,
+      duration: this.duration,
+      bids: this.bids.map(bid => ({ ...bid })),
+      attempts: this.attempts.map(attempt => ({ ...attempt })),
+      deadline: this.deadline,
+      status: this.status,
+      winner: this.winner
+    };
+  }
+
+  /**
+   * 从JSON创建
+   * @param {Object} json
+   * @returns {BiddingRound}
+   */
+  static fromJSON(json) {
+    const round = new BiddingRound(json.targetId, { duration: json.duration });
+    round.bids = json.bids.map(bid => ({ ...bid }));
+    round.attempts = json.attempts.map(attempt => ({ ...attempt }));
+    round.deadline = json.deadline;
+    round.status = json.status;
+    round.winner = json.winner;
+    return round;
+  }
+}
+
+export default BiddingRound;
@@ -5,9 +5,17 @@
 
 import { Cell } from './Cell.js';
 import { SmallBoard } from './SmallBoard.js';
+import { MoveTable } from './MoveTable.js';
 import { Encoder } from '../utils/Encoder.js';
+import { Rotator } from '../utils/Rotator.js';
 import CONSTANTS from '../utils/Constants.js';
 
+// findUnreachableTargets 返回的 reason 对应的说明文字
+const REACHABILITY_REASONS = {
+  'needs-blocker': '只有借助其他棋子挡路才能停下',
+  unreachable: '任何棋子都无法停下'
+};
+
 export class Board {
   /**
    * @param {string|Object} config - 棋盘配置（编码字符串或配置对象）
@@ -17,6 +25,7 @@ export class Board {
     this.size = CONSTANTS.LARGE_BOARD_SIZE;
     this.cells = [];
     this.smallBoards = smallBoards;
+    this.moveTables = new Map(); // 预计算移动表，按移动规则首次使用时构建
     
     // 解析配置
     if (typeof config === 'string') {
@@ -348,6 +357,21 @@ export class Board {
     return blocked.x.includes(x) && blocked.y.includes(y);
   }
   
+  /**
+   * 获取预计算移动表（懒加载）
+   * 棋盘构建后墙壁和分光镜不再变化，可在搜索、提示和渲染之间共享
+   * @param {RuleSet|null} ruleSet - 规则集（只使用其中影响移动的规则），默认分光镜变体
+   * @returns {MoveTable}
+   */
+  getMoveTable(ruleSet = null) {
+    const prismPassThrough = !!(ruleSet && ruleSet.prismPassThrough);
+    
+    if (!this.moveTables.has(prismPassThrough)) {
+      this.moveTables.set(prismPassThrough, new MoveTable(this, { prismPassThrough }));
+    }
+    return this.moveTables.get(prismPassThrough);
+  }
+  
   /**
    * 获取所有终点
    * @returns {Array<Target>}
@@ -374,6 +398,114 @@ export class Board {
     return this.targets.filter(t => t.canAccept(color));
   }
   
+  /**
+   * findUnreachableTargets 的 reason → 说明文字（编辑器和配置器显示用）
+   * @returns {Object}
+   */
+  static get REACHABILITY_REASONS() {
+    return REACHABILITY_REASONS;
+  }
+  
+  /**
+   * 静态分析：找出接受的棋子无法仅靠棋盘本身停下的终点
+   * 只考虑墙壁、中央区域、棋盘边界和分光镜折射（与棋子位置无关）：
+   * - 'needs-blocker'：没有任何移动会停在终点上，只有另一个棋子挡在旁边时才能停下
+   * - 'unreachable'：连经过终点且下一格可以放置挡路棋子的移动都没有，无论棋子在哪里都无法到达
+   * @param {RuleSet|null} ruleSet - 规则集（只使用其中影响移动的规则），默认分光镜变体
+   * @returns {Array<{target: Target, reason: string, colors: Array<string>}>} 有问题的终点
+   */
+  findUnreachableTargets(ruleSet = null) {
+    const moveTable = this.getMoveTable(ruleSet);
+    const stops = {};   // 颜色 → 不靠其他棋子就能停下的格子
+    const passes = {};  // 颜色 → 借助挡路棋子能停下的格子
+    
+    CONSTANTS.COLOR_ORDER.forEach(color => {
+      stops[color] = new Set();
+      passes[color] = new Set();
+      
+      for (let y = 0; y < this.size; y++) {
+        for (let x = 0; x < this.size; x++) {
+          if (!this.isValidPosition(x, y)) continue;
+          
+          MoveTable.DIRECTIONS.forEach(direction => {
+            const trajectory = moveTable.getTrajectory(x, y, direction, color);
+            if (trajectory.length === 0) return;
+            
+            const last = trajectory[trajectory.length - 1];
+            stops[color].add(`${last.x},${last.y}`);
+            
+            // 挡路棋子放在下一格；若下一格之前已经经过（折射回路），棋子会更早停下
+            const seen = new Set([`${x},${y}`]);
+            for (let k = 0; k < trajectory.length - 1; k++) {
+              const here = `${trajectory[k].x},${trajectory[k].y}`;
+              const next = trajectory[k + 1];
+              seen.add(here);
+              if (!seen.has(`${next.x},${next.y}`)) {
+                passes[color].add(here);
+              }
+            }
+          });
+        }
+      }
+    });
+    
+    const problems = [];
+    this.targets.forEach(target => {
+      const key = `${target.x},${target.y}`;
+      const colors = CONSTANTS.COLOR_ORDER.filter(color => target.canAccept(color));
+      
+      if (colors.some(color => stops[color].has(key))) return;
+      
+      problems.push({
+        target,
+        reason: colors.some(color => passes[color].has(key)) ? 'needs-blocker' : 'unreachable',
+        colors
+      });
+    });
+    
+    return problems;
+  }
+  
+  /**
+   * 单独检查一块小棋盘的一个面（棋盘编辑器用）
+   * 小棋盘放在右下角，其余三个位置用没有墙壁的空白小棋盘填充；
+   * 右下角的缺口在(0,0)，其他缺口位置的小棋盘会被旋转，所以返回的 x、y 按旋转角度转回小棋盘自己的坐标
+   * @param {Object} smallBoardData - 小棋盘JSON数据 {id, color, originalGap, faces}
+   * @param {number} faceId - 面编号
+   * @returns {Array<{target: Target, reason: string, colors: Array<string>, x: number, y: number}>}
+   */
+  static findUnreachableTargetsOnSmallBoard(smallBoardData, faceId) {
+    const face = smallBoardData.faces.find(f => f.id === faceId);
+    if (!face) {
+      throw new Error(`Face ${faceId} not found`);
+    }
+    
+    const fillerColors = CONSTANTS.COLOR_ORDER.filter(color => color !== smallBoardData.color);
+    const edited = SmallBoard.fromJSON({
+      id: fillerColors.length,
+      color: smallBoardData.color,
+      originalGap: smallBoardData.originalGap,
+      faces: [{ ...face, id: 0 }]
+    });
+    const smallBoards = [
+      ...fillerColors.map((color, index) => SmallBoard.fromJSON({
+        id: index,
+        color,
+        originalGap: { x: 0, y: 0 },
+        faces: [{ id: 0, walls: [], prisms: [], targets: [] }]
+      })),
+      edited
+    ];
+    const board = new Board(smallBoards.map((smallBoard, boardId) => ({ boardId, faceId: 0 })), smallBoards);
+    
+    const size = CONSTANTS.SMALL_BOARD_SIZE;
+    const inverse = (360 - edited.calculateRotationForPosition('bottomRight')) % 360;
+    return board.findUnreachableTargets().map(problem => ({
+      ...problem,
+      ...Rotator.rotatePoint(problem.target.x - size, problem.target.y - size, inverse)
+    }));
+  }
+  
   /**
    * 转换为JSON
    * @returns {Object}
@@ -5,28 +5,38 @@
 
 import { Board } from './Board.js';
 import { Robot } from './Robot.js';
+import { RuleSet } from './RuleSet.js';
+import { BiddingRound } from './BiddingRound.js';
 import { Encoder } from '../utils/Encoder.js';
+import CONSTANTS from '../utils/Constants.js';
 
 export class Game {
   /**
-   * @param {string|Object} gameCode - 完整游戏编码或配置对象
-   * @param {Array<SmallBoard>} smallBoards - 小棋盘数组
+   * @param {string|Object} gameCode - 完整游戏编码（可带校验字符和小棋盘库前缀）或配置对象
+   *        {boardConfig, robotPositions, boardSet}
+   * @param {Array<SmallBoard>} smallBoards - 编码所用库的小棋盘数组
+   * @param {RuleSet} ruleSet - 规则集（默认分光镜变体）
    */
-  constructor(gameCode, smallBoards) {
+  constructor(gameCode, smallBoards, ruleSet = RuleSet.prism()) {
     this.smallBoards = smallBoards;
+    this.ruleSet = ruleSet;
     
     // 解析游戏编码
     if (typeof gameCode === 'string') {
       const decoded = Encoder.decodeGame(gameCode);
+      this.boardSet = decoded.boardSet;
       this.boardConfig = decoded.boardConfig;
       this.initialPositions = decoded.robotPositions;
-      this.gameCode = gameCode;
+      // 校验字符（如有）不属于局面
+      this.gameCode = Encoder.withBoardSet(Encoder.splitGameCode(gameCode).baseCode, this.boardSet);
     } else {
+      this.boardSet = gameCode.boardSet || Encoder.DEFAULT_BOARD_SET;
       this.boardConfig = gameCode.boardConfig;
       this.initialPositions = gameCode.robotPositions;
       this.gameCode = Encoder.encodeGame(
         Encoder.encodeBoardConfig(this.boardConfig),
-        this.initialPositions
+        this.initialPositions,
+        { boardSet: this.boardSet }
       );
     }
     
@@ -38,10 +48,19 @@ export class Game {
     
     // 游戏状态
     this.rounds = [];
+    this.undoneRounds = []; // 撤销的轮次（最近撤销的在末尾），执行新一轮时清空
     this.currentRound = 0;
     this.totalSteps = 0;
     this.isStarted = false;
     this.isFinished = false;
+    this.targetOrder = null; // 指定的终点顺序（终点ID数组），为空时按颜色和形状排序
+    
+    // 多人对战
+    this.players = []; // [{name, score, failures}]
+    this.biddingRound = null;
+    
+    // 终点难度缓存："棋子位置编码|终点ID" → 评分
+    this.targetDifficulty = new Map();
   }
   
   /**
@@ -131,15 +150,26 @@ export class Game {
           target: target,
           eligibleColors: eligibleRobots.map(r => r.color),
           displayName: target.getDisplayName(),
-          position: { x: target.x, y: target.y }
+          position: { x: target.x, y: target.y },
+          difficulty: this.getTargetDifficulty(target.id)
         };
       });
     
-    // 排序：先按颜色，再按形状
+    // 排序：指定了终点顺序时顺序中的终点在前，其余先按颜色，再按形状
     const colorOrder = { rainbow: 0, red: 1, yellow: 2, blue: 3, green: 4 };
     const shapeOrder = { circle: 0, triangle: 1, square: 2, hexagon: 3 };
+    const orderIndex = (id) => {
+      const index = this.targetOrder ? this.targetOrder.indexOf(id) : -1;
+      return index < 0 ? Infinity : index;
+    };
     
     availableTargets.sort((a, b) => {
+      const indexA = orderIndex(a.target.id);
+      const indexB = orderIndex(b.target.id);
+      if (indexA !== indexB) {
+        return indexA < indexB ? -1 : 1;
+      }
+      
       // 首先按颜色排序
       const colorA = colorOrder[a.target.color] ?? 999;
       const colorB = colorOrder[b.target.color] ?? 999;
@@ -156,6 +186,81 @@ export class Game {
     return availableTargets;
   }
   
+  /**
+   * 指定终点顺序（可用终点按此顺序列出）
+   * @param {Array<string>|null} targetIds - 终点ID数组，null 恢复默认排序
+   */
+  setTargetOrder(targetIds) {
+    if (!targetIds || targetIds.length === 0) {
+      this.targetOrder = null;
+      return;
+    }
+    
+    targetIds.forEach(id => {
+      if (!this.board.getTargetById(id)) {
+        throw new Error(`Target ${id} not found`);
+      }
+    });
+    if (new Set(targetIds).size !== targetIds.length) {
+      throw new Error('Duplicate target in target order');
+    }
+    
+    this.targetOrder = [...targetIds];
+  }
+  
+  /**
+   * 获取终点在当前棋子位置下的难度评分
+   * @param {string} targetId - 终点ID
+   * @returns {Object|null} DifficultyRater.rate 的结果，未评估时为null
+   */
+  getTargetDifficulty(targetId) {
+    return this.targetDifficulty.get(`${this.getPositionsKey()}|${targetId}`) || null;
+  }
+  
+  /**
+   * 记录终点在当前棋子位置下的难度评分
+   * @param {string} targetId - 终点ID
+   * @param {Object} rating - 难度评分
+   */
+  setTargetDifficulty(targetId, rating) {
+    this.targetDifficulty.set(`${this.getPositionsKey()}|${targetId}`, rating);
+  }
+  
+  /**
+   * 依次评估所有未评估的可用终点
+   * 棋子位置在评估过程中改变时停止（旧局面的评分已无意义）；
+   * 搜索超限的结果不记录，下次评估时重试
+   * @param {DifficultyRater} rater - 难度评估器
+   * @param {Function} onRated - 每评估完一个终点时调用 (targetId, rating)
+   * @returns {Promise<number>} 本次评估的终点数量
+   */
+  async rateAvailableTargets(rater, onRated = null) {
+    const positionsKey = this.getPositionsKey();
+    const pending = this.getAvailableTargets().filter(entry => !entry.difficulty);
+    let rated = 0;
+    
+    for (const { target, eligibleColors, position } of pending) {
+      const rating = await rater.rate(eligibleColors, position);
+      if (rating.cancelled || this.getPositionsKey() !== positionsKey) break;
+      
+      if (!rating.limitReached) {
+        this.setTargetDifficulty(target.id, rating);
+      }
+      rated++;
+      if (onRated) onRated(target.id, rating);
+    }
+    
+    return rated;
+  }
+  
+  /**
+   * 当前棋子位置编码（与游戏编码的位置部分相同）
+   * @returns {string}
+   */
+  getPositionsKey() {
+    return Encoder.encodeRobotPositions(this.getCurrentPositions());
+  }
+  
   /**
    * 选择目标终点，准备开始一轮
    * @param {string} targetId - 终点ID
@@ -206,6 +311,8 @@ export class Game {
       throw new Error(`Robot ${robotColor} not found`);
     }
     
+    this.validateRound(robotColor, path, steps);
+    
     // 记录本轮信息
     const roundData = {
       roundNumber: this.currentRound,
@@ -227,9 +334,373 @@ export class Game {
     this.totalSteps += steps;
     this.currentRound++;
     
+    // 从撤销后的局面继续时，放弃原来的后续轮次
+    this.undoneRounds = [];
+    
     return roundData;
   }
   
+  /**
+   * 是否可以撤销一轮
+   * @returns {boolean}
+   */
+  canUndoRound() {
+    return this.rounds.length > 0 && !this.biddingRound;
+  }
+  
+  /**
+   * 是否可以重做一轮
+   * @returns {boolean}
+   */
+  canRedoRound() {
+    return this.undoneRounds.length > 0 && !this.biddingRound;
+  }
+  
+  /**
+   * 撤销最后一轮：棋子回到本轮开始时的位置，终点重新可用
+   * 竞价中获胜玩家的得分一并撤回
+   * @returns {Object} 被撤销的轮次
+   */
+  undoRound() {
+    if (this.biddingRound) {
+      throw new Error('Cannot undo during a bidding round');
+    }
+    if (this.rounds.length === 0) {
+      throw new Error('No round to undo');
+    }
+    
+    const roundData = this.rounds.pop();
+    const robot = this.robots.find(r => r.color === roundData.robotColor);
+    robot.moveTo(roundData.startPosition.x, roundData.startPosition.y);
+    
+    this.totalSteps -= roundData.steps;
+    this.currentRound--;
+    this.isFinished = false;
+    
+    this.adjustWinnerScore(roundData, -1);
+    
+    this.undoneRounds.push(roundData);
+    return roundData;
+  }
+  
+  /**
+   * 重做最近撤销的一轮
+   * @returns {Object} 重做的轮次
+   */
+  redoRound() {
+    if (this.biddingRound) {
+      throw new Error('Cannot redo during a bidding round');
+    }
+    if (this.undoneRounds.length === 0) {
+      throw new Error('No round to redo');
+    }
+    
+    const roundData = this.undoneRounds.pop();
+    const robot = this.robots.find(r => r.color === roundData.robotColor);
+    robot.moveTo(roundData.endPosition.x, roundData.endPosition.y);
+    
+    this.rounds.push(roundData);
+    this.totalSteps += roundData.steps;
+    this.currentRound++;
+    
+    this.adjustWinnerScore(roundData, 1);
+    
+    return roundData;
+  }
+  
+  /**
+   * 撤销或重做竞价轮次时调整获胜玩家的得分
+   * 玩家在这一轮之后已被移除时不调整（轮次本身仍可撤销和重做）
+   * @param {Object} roundData - 轮次
+   * @param {number} delta - 得分变化（1或-1）
+   */
+  adjustWinnerScore(roundData, delta) {
+    if (!roundData.playerName) return;
+    
+    const player = this.players.find(p => p.name === roundData.playerName);
+    if (player) {
+      player.score += delta;
+    }
+  }
+  
+  /**
+   * 回到完成第n轮后的局面（0为第一轮之前）
+   * n小于已完成轮数时逐轮撤销，大于时逐轮重做
+   * @param {number} n - 保留的轮数
+   * @returns {number} 当前已完成的轮数
+   */
+  restoreToRound(n) {
+    const maxRound = this.rounds.length + this.undoneRounds.length;
+    if (!Number.isInteger(n) || n < 0 || n > maxRound) {
+      throw new Error(`Invalid round: ${n} (0-${maxRound})`);
+    }
+    
+    while (this.rounds.length > n) {
+      this.undoRound();
+    }
+    while (this.rounds.length < n) {
+      this.redoRound();
+    }
+    
+    return this.rounds.length;
+  }
+  
+  /**
+   * 按规则集验证一轮的路径
+   * @param {string} robotColor - 到达终点的棋子颜色
+   * @param {Array} path - 路径数组
+   * @param {number} steps - 步数
+   */
+  validateRound(robotColor, path, steps) {
+    const { minSolutionSteps, requireSingleRobot, allowOtherColorTargets } = this.ruleSet;
+    
+    if (steps < minSolutionSteps) {
+      throw new Error(`Solution must take at least ${minSolutionSteps} steps (got ${steps})`);
+    }
+    
+    (path || []).forEach((move, index) => {
+      if (requireSingleRobot && move.robotColor !== robotColor) {
+        throw new Error(`Move ${index + 1} moves ${move.robotColor}, only ${robotColor} may move`);
+      }
+      
+      if (!allowOtherColorTargets) {
+        const cell = this.board.getCell(move.to.x, move.to.y);
+        if (cell && cell.hasTarget() && !cell.target.canAccept(move.robotColor)) {
+          throw new Error(`Move ${index + 1} stops ${move.robotColor} on another color's target at (${move.to.x}, ${move.to.y})`);
+        }
+      }
+    });
+  }
+  
+  /**
+   * 添加玩家
+   * @param {string} name - 玩家名称
+   * @returns {Object} 玩家记录
+   */
+  addPlayer(name) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) {
+      throw new Error('Player name is required');
+    }
+    
+    if (this.players.some(player => player.name === trimmed)) {
+      throw new Error(`Player ${trimmed} already exists`);
+    }
+    
+    const player = { name: trimmed, score: 0, failures: 0 };
+    this.players.push(player);
+    return player;
+  }
+  
+  /**
+   * 移除玩家（竞价进行中不可移除）
+   * @param {string} name - 玩家名称
+   */
+  removePlayer(name) {
+    if (this.biddingRound) {
+      throw new Error('Cannot remove players during a bidding round');
+    }
+    
+    const index = this.players.findIndex(player => player.name === name);
+    if (index === -1) {
+      throw new Error(`Player ${name} not found`);
+    }
+    
+    this.players.splice(index, 1);
+  }
+  
+  /**
+   * 获取玩家
+   * @param {string} name - 玩家名称
+   * @returns {Object}
+   */
+  getPlayer(name) {
+    const player = this.players.find(p => p.name === name);
+    if (!player) {
+      throw new Error(`Player ${name} not found`);
+    }
+    return player;
+  }
+  
+  /**
+   * 开始一轮竞价
+   * @param {string} targetId - 终点ID
+   * @param {Object} options - BiddingRound 选项（duration）
+   * @returns {BiddingRound}
+   */
+  startBiddingRound(targetId, options = {}) {
+    if (!this.isStarted) {
+      throw new Error('Game not started');
+    }
+    
+    if (this.players.length === 0) {
+      throw new Error('No players');
+    }
+    
+    if (this.biddingRound) {
+      throw new Error('A bidding round is already in progress');
+    }
+    
+    if (!this.getAvailableTargets().some(t => t.target.id === targetId)) {
+      throw new Error(`Target ${targetId} is not available`);
+    }
+    
+    this.biddingRound = new BiddingRound(targetId, options);
+    return this.biddingRound;
+  }
+  
+  /**
+   * 玩家报价
+   * @param {string} playerName - 玩家名称
+   * @param {number} moves - 报出的步数
+   * @param {number} now - 当前时间戳
+   * @returns {Object} 报价记录
+   */
+  placeBid(playerName, moves, now = Date.now()) {
+    if (!this.biddingRound) {
+      throw new Error('No bidding round in progress');
+    }
+    
+    this.getPlayer(playerName);
+    
+    if (moves < this.ruleSet.minSolutionSteps) {
+      throw new Error(`Bid must be at least ${this.ruleSet.minSolutionSteps} moves`);
+    }
+    
+    return this.biddingRound.placeBid(playerName, moves, now);
+  }
+  
+  /**
+   * 结束报价，进入验证阶段
+   * @returns {Object} 第一个需要演示的报价
+   */
+  closeBidding() {
+    if (!this.biddingRound) {
+      throw new Error('No bidding round in progress');
+    }
+    
+    this.biddingRound.close();
+    return this.biddingRound.getCurrentBid();
+  }
+  
+  /**
+   * 验证当前最低报价玩家输入的移动
+   * 成功则执行本轮并为该玩家加1分；失败则记一次失败，轮到下一个报价
+   * @param {Array<{robotColor: string, direction: string}>} moves - 玩家输入的移动
+   * @returns {Object} {success, player, bid, message, roundData, nextBid, finished}
+   */
+  submitBidSolution(moves) {
+    const round = this.biddingRound;
+    const bid = round ? round.getCurrentBid() : null;
+    if (!bid) {
+      throw new Error('No bid to verify');
+    }
+    
+    const player = this.getPlayer(bid.player);
+    let result = this.verifyMoves(round.targetId, moves);
+    
+    if (result.success && result.steps > bid.moves) {
+      result = { success: false, message: `Used ${result.steps} moves, bid was ${bid.moves}` };
+    }
+    
+    if (result.success) {
+      try {
+        this.validateRound(result.robotColor, result.path, result.steps);
+      } catch (error) {
+        result = { success: false, message: error.message };
+      }
+    }
+    
+    round.recordAttempt(bid, result.success, moves.length, result.message);
+    
+    let roundData = null;
+    if (result.success) {
+      roundData = this.executeRound(round.targetId, result.robotColor, result.path, result.steps);
+      roundData.playerName = player.name;
+      roundData.bid = bid.moves;
+      player.score++;
+    } else {
+      player.failures++;
+    }
+    
+    const finished = round.status === 'finished';
+    if (finished) {
+      this.biddingRound = null;
+    }
+    
+    return {
+      success: result.success,
+      player: player.name,
+      bid: bid.moves,
+      message: result.message || '',
+      roundData,
+      nextBid: finished ? null : round.getCurrentBid(),
+      finished
+    };
+  }
+  
+  /**
+   * 放弃当前竞价轮次
+   */
+  abandonBiddingRound() {
+    this.biddingRound = null;
+  }
+  
+  /**
+   * 从当前位置依次执行移动，检查最后移动的棋子是否停在终点
+   * @param {string} targetId - 终点ID
+   * @param {Array<{robotColor: string, direction: string}>} moves - 移动序列
+   * @returns {Object} {success, robotColor, steps, path, message}
+   */
+  verifyMoves(targetId, moves) {
+    const target = this.board.getTargetById(targetId);
+    if (!target) {
+      throw new Error(`Target ${targetId} not found`);
+    }
+    
+    if (!moves || moves.length === 0) {
+      return { success: false, message: 'No moves entered' };
+    }
+    
+    const moveTable = this.board.getMoveTable(this.ruleSet);
+    const state = this.robots.map(r => ({ color: r.color, x: r.x, y: r.y }));
+    const path = [];
+    
+    for (let i = 0; i < moves.length; i++) {
+      const { robotColor, direction } = moves[i];
+      const robot = state.find(r => r.color === robotColor);
+      if (!robot) {
+        return { success: false, message: `Move ${i + 1}: robot ${robotColor} not found` };
+      }
+      
+      const result = moveTable.simulate(robot, direction, state);
+      if (!result.moved) {
+        return { success: false, message: `Move ${i + 1}: ${robotColor} cannot move ${direction}` };
+      }
+      
+      path.push({
+        robotColor,
+        direction,
+        from: { x: robot.x, y: robot.y },
+        to: { x: result.finalX, y: result.finalY },
+        segments: result.segments
+      });
+      robot.x = result.finalX;
+      robot.y = result.finalY;
+    }
+    
+    const last = path[path.length - 1];
+    if (last.to.x !== target.x || last.to.y !== target.y) {
+      return { success: false, message: `${last.robotColor} did not stop on the target` };
+    }
+    
+    if (!target.canAccept(last.robotColor)) {
+      return { success: false, message: `${last.robotColor} cannot use this target` };
+    }
+    
+    return { success: true, robotColor: last.robotColor, steps: path.length, path };
+  }
+  
   /**
    * 结束游戏
    */
@@ -243,10 +714,16 @@ export class Game {
   reset() {
     this.robots.forEach(robot => robot.reset());
     this.rounds = [];
+    this.undoneRounds = [];
     this.currentRound = 0;
     this.totalSteps = 0;
     this.isStarted = false;
     this.isFinished = false;
+    this.biddingRound = null;
+    this.players.forEach(player => {
+      player.score = 0;
+      player.failures = 0;
+    });
   }
   
   /**
@@ -268,7 +745,9 @@ export class Game {
   getState() {
     return {
       gameCode: this.gameCode,
+      boardSet: this.boardSet,
       boardCode: this.board.code,
+      ruleSet: this.ruleSet.toJSON(),
       isStarted: this.isStarted,
       isFinished: this.isFinished,
       currentRound: this.currentRound,
@@ -276,7 +755,10 @@ export class Game {
       totalSteps: this.totalSteps,
       currentPositions: this.getCurrentPositions(),
       availableTargets: this.getAvailableTargets(),
-      rounds: [...this.rounds]
+      rounds: [...this.rounds],
+      undoneRounds: [...this.undoneRounds],
+      players: this.players.map(player => ({ ...player })),
+      biddingRound: this.biddingRound ? this.biddingRound.toJSON() : null
     };
   }
   
@@ -289,6 +771,7 @@ export class Game {
       roundNumber: round.roundNumber,
       target: round.targetInfo,
       robot: round.robotColor,
+      player: round.playerName || null,
       steps: round.steps,
       from: round.startPosition,
       to: round.endPosition
@@ -328,8 +811,12 @@ export class Game {
       gameCode: this.gameCode,
       boardConfig: this.boardConfig,
       initialPositions: this.initialPositions,
+      ruleSet: this.ruleSet.toJSON(),
       currentPositions: this.getCurrentPositions(),
       rounds: this.rounds,
+      targetOrder: this.targetOrder,
+      players: this.players,
+      biddingRound: this.biddingRound ? this.biddingRound.toJSON() : null,
       statistics: this.getStatistics()
     };
   }
@@ -341,7 +828,8 @@ export class Game {
    * @returns {Game}
    */
   static fromJSON(json, smallBoards) {
-    const game = new Game(json.gameCode, smallBoards);
+    const ruleSet = json.ruleSet ? RuleSet.fromJSON(json.ruleSet) : RuleSet.prism();
+    const game = new Game(json.gameCode, smallBoards, ruleSet);
     
     // 恢复游戏进度
     if (json.rounds && json.rounds.length > 0) {
@@ -361,27 +849,125 @@ export class Game {
       game.totalSteps = json.rounds.reduce((sum, round) => sum + round.steps, 0);
     }
     
+    if (json.targetOrder) {
+      game.setTargetOrder(json.targetOrder);
+    }
+    
+    // 恢复玩家和进行中的竞价
+    if (json.players) {
+      game.players = json.players.map(player => ({ failures: 0, ...player }));
+    }
+    if (json.biddingRound) {
+      game.isStarted = true;
+      game.currentRound = Math.max(game.currentRound, 1);
+      game.biddingRound = BiddingRound.fromJSON(json.biddingRound);
+    }
+    
+    return game;
+  }
+  
+  /**
+   * 生成可分享的扩展游戏编码（包含当前位置、规则、已完成的轮次和终点顺序）
+   * @returns {string}
+   */
+  toExtendedCode() {
+    const targetPosition = (id) => {
+      const target = this.board.getTargetById(id);
+      return { x: target.x, y: target.y };
+    };
+    
+    return Encoder.encodeExtendedGame({
+      boardCode: this.board.code,
+      robotPositions: this.initialPositions,
+      currentPositions: this.getCurrentPositions(),
+      rules: this.ruleSet.toJSON(),
+      rounds: this.rounds.map(round => ({
+        target: round.endPosition,
+        moves: round.path.map(({ robotColor, direction }) => ({ robotColor, direction }))
+      })),
+      targetOrder: this.targetOrder ? this.targetOrder.map(targetPosition) : null,
+      boardSet: this.boardSet
+    });
+  }
+  
+  /**
+   * 从游戏编码创建并开始游戏，支持12位编码和扩展编码
+   * 扩展编码中的轮次会逐轮重放验证，规则优先于 ruleSet 参数
+   * @param {string} code - 游戏编码
+   * @param {Array<SmallBoard>} smallBoards - 编码所用库（Encoder.getBoardSet）的小棋盘数组
+   * @param {RuleSet} ruleSet - 编码中没有规则时使用的规则集
+   * @returns {Game}
+   */
+  static fromCode(code, smallBoards, ruleSet = RuleSet.prism()) {
+    if (!Encoder.isExtendedGameCode(code)) {
+      const game = new Game(code, smallBoards, ruleSet);
+      game.start();
+      return game;
+    }
+    
+    const decoded = Encoder.decodeExtendedGame(code);
+    const game = new Game(
+      { boardConfig: decoded.boardConfig, robotPositions: decoded.robotPositions, boardSet: decoded.boardSet },
+      smallBoards,
+      decoded.rules ? RuleSet.fromJSON(decoded.rules) : ruleSet
+    );
+    game.start();
+    
+    const targetIdAt = (pos) => {
+      const cell = game.board.getCell(pos.x, pos.y);
+      if (!cell || !cell.hasTarget()) {
+        throw new Error(`No target at (${pos.x}, ${pos.y})`);
+      }
+      return cell.target.id;
+    };
+    
+    decoded.rounds.forEach((round, index) => {
+      const targetId = targetIdAt(round.target);
+      if (!game.getAvailableTargets().some(t => t.target.id === targetId)) {
+        throw new Error(`Round ${index + 1}: target ${targetId} is not available`);
+      }
+      const result = game.verifyMoves(targetId, round.moves);
+      if (!result.success) {
+        throw new Error(`Round ${index + 1}: ${result.message}`);
+      }
+      game.executeRound(targetId, result.robotColor, result.path, result.steps);
+    });
+    
+    if (decoded.currentPositions &&
+        Encoder.encodeRobotPositions(decoded.currentPositions) !== Encoder.encodeRobotPositions(game.getCurrentPositions())) {
+      throw new Error('Robot positions do not match the recorded rounds');
+    }
+    
+    game.setTargetOrder(decoded.targetOrder.map(targetIdAt));
+    
     return game;
   }
   
   /**
    * 创建新游戏
-   * @param {string} boardCode - 4位十六进制棋盘编码
+   * @param {string} boardCode - 4位或12位十六进制棋盘码
    * @param {Object} robotPositions - 棋子位置
-   * @param {Array<SmallBoard>} smallBoards - 小棋盘数组
+   * @param {Array<SmallBoard>} smallBoards - 小棋盘数组（须来自 boardSet 指定的库）
+   * @param {RuleSet} ruleSet - 规则集
+   * @param {string} boardSet - 小棋盘库（默认官方库）
    * @returns {Game}
    */
-  static createNew(boardCode, robotPositions, smallBoards) {
-    const gameCode = Encoder.encodeGame(boardCode, robotPositions);
-    return new Game(gameCode, smallBoards);
+  static createNew(boardCode, robotPositions, smallBoards, ruleSet = RuleSet.prism(), boardSet = Encoder.DEFAULT_BOARD_SET) {
+    const gameCode = Encoder.encodeGame(boardCode, robotPositions, { boardSet });
+    return new Game(gameCode, smallBoards, ruleSet);
   }
   
   /**
    * 生成随机游戏
+   * 4个小棋盘颜色互不相同，棋子位于有效格子上、不在分光镜上且互不重叠
    * @param {Array<SmallBoard>} smallBoards - 小棋盘数组
+   * @param {RuleSet} ruleSet - 规则集
+   * @param {Function} random - 随机数函数（返回[0, 1)，默认 Math.random）
    * @returns {Game}
    */
-  static createRandom(smallBoards) {
+  static createRandom(smallBoards, ruleSet = RuleSet.prism(), random = Math.random) {
+    const pick = (items) => items[Math.floor(random() * items.length)];
+    
     // 随机选择4个不同颜色的小棋盘
     const colorGroups = {};
     smallBoards.forEach(board => {
@@ -396,23 +982,52 @@ export class Game {
       throw new Error('Need at least 4 different colors');
     }
     
-    // 随机选择4种颜色
-    const selectedColors = colors.sort(() => Math.random() - 0.5).slice(0, 4);
+    // 随机选择4种颜色并打乱位置
+    const selectedColors = [];
+    while (selectedColors.length < 4) {
+      const color = pick(colors);
+      if (!selectedColors.includes(color)) {
+        selectedColors.push(color);
+      }
+    }
     
     const boardConfig = selectedColors.map(color => {
-      const boards = colorGroups[color];
-      const board = boards[Math.floor(Math.random() * boards.length)];
-      const faceId = Math.floor(Math.random() * 2);
+      const board = pick(colorGroups[color]);
       return {
         boardId: board.id,
-        faceId: faceId
+        faceId: pick(board.faces).id
       };
     });
     
-    // 生成随机棋子位置
-    const gameCode = Encoder.generateRandomGame();
+    const robotPositions = Game.randomRobotPositions(new Board(boardConfig, smallBoards), random);
+    return new Game({ boardConfig, robotPositions }, smallBoards, ruleSet);
+  }
+  
+  /**
+   * 随机棋子位置：有效格子、不在分光镜上、互不重叠
+   * @param {Board} board - 棋盘
+   * @param {Function} random - 随机数函数（返回[0, 1)，默认 Math.random）
+   * @returns {Object} {color: {x, y}}
+   */
+  static randomRobotPositions(board, random = Math.random) {
+    const robotPositions = {};
+    const used = new Set();
+    CONSTANTS.COLOR_ORDER.forEach(color => {
+      let x, y;
+      do {
+        x = Math.floor(random() * board.size);
+        y = Math.floor(random() * board.size);
+      } while (
+        !board.isValidPosition(x, y) ||
+        board.getCell(x, y).hasPrism() ||
+        used.has(`${x},${y}`)
+      );
+      
+      used.add(`${x},${y}`);
+      robotPositions[color] = { x, y };
+    });
     
-    return new Game(gameCode, smallBoards);
+    return robotPositions;
   }
 }
 
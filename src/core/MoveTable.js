@@ -0,0 +1,360 @@
+/**
+ * MoveTable 预计算移动表
+ * 对每个格子、每个方向、每种棋子颜色，预先计算不考虑其他棋子时的完整移动轨迹
+ * （包括墙壁、中央区域和分光镜折射链），搜索时只需再检查棋子阻挡
+ *
+ * 位置编码为 (x << 4) | y，与 Encoder.encodePosition 的数值一致
+ */
+
+import CONSTANTS from '../utils/Constants.js';
+
+// 方向索引顺序
+const DIRECTIONS = ['up', 'down', 'left', 'right'];
+
+// 方向 → 墙壁位置
+const WALL_SIDES = ['top', 'bottom', 'left', 'right'];
+
+// 方向增量
+const DX = [0, 0, -1, 1];
+const DY = [-1, 1, 0, 0];
+
+// 单次移动最多折射次数
+const MAX_REFRACTIONS = 100;
+
+// 下界表中不可达格子的值
+const UNREACHABLE = 0xFF;
+
+export class MoveTable {
+  /**
+   * @param {Board} board - 棋盘对象
+   * @param {Object} options - 移动规则
+   * @param {boolean} options.prismPassThrough - 同色分光镜是否直接穿过（默认停在分光镜上）
+   */
+  constructor(board, options = {}) {
+    this.board = board;
+    this.prismPassThrough = !!options.prismPassThrough;
+
+    const count = CONSTANTS.COLOR_ORDER.length * 256 * 4;
+    this.offsets = new Uint32Array(count);
+    this.lengths = new Uint16Array(count);
+    this.cells = null; // 所有轨迹格子，按offsets/lengths切分
+    this.dirs = null;  // 进入对应格子时的方向索引
+    this.predecessors = []; // 按颜色懒加载的反向邻接表
+    this.lowerBounds = new Map(); // "颜色,x,y" → 下界表
+
+    this.build();
+  }
+
+  /**
+   * 方向索引顺序
+   * @returns {Array<string>}
+   */
+  static get DIRECTIONS() {
+    return DIRECTIONS;
+  }
+
+  /**
+   * 下界表中不可达格子的值
+   * @returns {number}
+   */
+  static get UNREACHABLE() {
+    return UNREACHABLE;
+  }
+
+  /**
+   * 计算表索引
+   * @param {number} colorIndex - 颜色索引（COLOR_ORDER）
+   * @param {number} pos - 压缩位置
+   * @param {number} dir - 方向索引
+   * @returns {number}
+   */
+  static key(colorIndex, pos, dir) {
+    return (((colorIndex << 8) | pos) << 2) | dir;
+  }
+
+  /**
+   * 构建所有轨迹
+   */
+  build() {
+    const cells = [];
+    const dirs = [];
+    const size = this.board.size;
+
+    CONSTANTS.COLOR_ORDER.forEach((color, colorIndex) => {
+      for (let x = 0; x < size; x++) {
+        for (let y = 0; y < size; y++) {
+          if (!this.board.isValidPosition(x, y)) continue;
+
+          for (let d = 0; d < 4; d++) {
+            const key = MoveTable.key(colorIndex, (x << 4) | y, d);
+            const trajectory = this.trace(x, y, d, color);
+
+            this.offsets[key] = cells.length;
+            this.lengths[key] = trajectory.cells.length;
+            cells.push(...trajectory.cells);
+            dirs.push(...trajectory.dirs);
+          }
+        }
+      }
+    });
+
+    this.cells = Uint8Array.from(cells);
+    this.dirs = Uint8Array.from(dirs);
+  }
+
+  /**
+   * 检查从格子向指定方向离开是否被阻挡（边界、中央区域、墙壁）
+   * @param {number} x
+   * @param {number} y
+   * @param {number} dir - 方向索引
+   * @returns {boolean}
+   */
+  isBlocked(x, y, dir) {
+    const nextX = x + DX[dir];
+    const nextY = y + DY[dir];
+
+    if (!this.board.isValidPosition(nextX, nextY)) {
+      return true;
+    }
+
+    const cell = this.board.getCell(x, y);
+    return !cell || cell.hasWall(WALL_SIDES[dir]);
+  }
+
+  /**
+   * 追踪不考虑其他棋子时的完整移动轨迹
+   * 规则：进入分光镜格子时停下；同色分光镜停在其上（prismPassThrough 时直接穿过），
+   * 异色分光镜折射90度后继续移动；折射后立即受阻则停在分光镜上
+   * @param {number} x
+   * @param {number} y
+   * @param {number} direction - 方向索引
+   * @param {string} color - 棋子颜色
+   * @returns {{cells: Array<number>, dirs: Array<number>}}
+   */
+  trace(x, y, direction, color) {
+    const cells = [];
+    const dirs = [];
+    const visited = new Set(); // 防止折射循环
+    let dir = direction;
+    let refractions = 0;
+
+    while (true) {
+      // 沿当前方向移动，直到遇到障碍或分光镜
+      let segmentMoved = false;
+      let prism = null;
+
+      while (!this.isBlocked(x, y, dir)) {
+        x += DX[dir];
+        y += DY[dir];
+        cells.push((x << 4) | y);
+        dirs.push(dir);
+        segmentMoved = true;
+
+        const cell = this.board.getCell(x, y);
+        if (cell.hasPrism()) {
+          prism = cell.prism;
+          break;
+        }
+      }
+
+      if (!segmentMoved || !prism) break;
+
+      const newDir = DIRECTIONS.indexOf(prism.refract(DIRECTIONS[dir], color));
+
+      // 同色：停止，或按规则直接穿过
+      if (newDir === dir && !this.prismPassThrough) break;
+
+      // 检查循环
+      const key = `${x},${y},${newDir}`;
+      if (visited.has(key)) break;
+      visited.add(key);
+
+      dir = newDir;
+      refractions++;
+      if (refractions >= MAX_REFRACTIONS) break;
+    }
+
+    return { cells, dirs };
+  }
+
+  /**
+   * 获取不考虑其他棋子时的停止位置
+   * @param {number} x
+   * @param {number} y
+   * @param {string} direction - 方向 ('up', 'down', 'left', 'right')
+   * @param {string} color - 棋子颜色
+   * @returns {{x: number, y: number}}
+   */
+  getStop(x, y, direction, color) {
+    const key = MoveTable.key(
+      CONSTANTS.COLOR_ORDER.indexOf(color),
+      (x << 4) | y,
+      DIRECTIONS.indexOf(direction)
+    );
+    const length = this.lengths[key];
+    if (length === 0) return { x, y };
+
+    const p = this.cells[this.offsets[key] + length - 1];
+    return { x: p >> 4, y: p & 0xF };
+  }
+
+  /**
+   * 获取不考虑其他棋子时的完整轨迹
+   * @param {number} x
+   * @param {number} y
+   * @param {string} direction
+   * @param {string} color
+   * @returns {Array<{x: number, y: number, direction: string}>} 依次经过的格子及进入方向
+   */
+  getTrajectory(x, y, direction, color) {
+    const key = MoveTable.key(
+      CONSTANTS.COLOR_ORDER.indexOf(color),
+      (x << 4) | y,
+      DIRECTIONS.indexOf(direction)
+    );
+    const offset = this.offsets[key];
+    const trajectory = [];
+
+    for (let k = 0; k < this.lengths[key]; k++) {
+      const p = this.cells[offset + k];
+      trajectory.push({ x: p >> 4, y: p & 0xF, direction: DIRECTIONS[this.dirs[offset + k]] });
+    }
+
+    return trajectory;
+  }
+
+  /**
+   * 获取反向邻接表（懒加载）
+   * 其他棋子只能截断轨迹，因此一次移动可能停在轨迹上的任意格子，
+   * 这里把轨迹上的每个格子都视为可能的停止位置
+   * @param {number} colorIndex - 颜色索引
+   * @returns {Array<Array<number>>} 压缩位置 → 一步可到达它的压缩位置列表
+   */
+  getPredecessors(colorIndex) {
+    if (this.predecessors[colorIndex]) return this.predecessors[colorIndex];
+
+    const predecessors = Array.from({ length: 256 }, () => []);
+    for (let pos = 0; pos < 256; pos++) {
+      for (let d = 0; d < 4; d++) {
+        const key = MoveTable.key(colorIndex, pos, d);
+        const offset = this.offsets[key];
+        for (let k = 0; k < this.lengths[key]; k++) {
+          const list = predecessors[this.cells[offset + k]];
+          if (list[list.length - 1] !== pos) list.push(pos);
+        }
+      }
+    }
+
+    this.predecessors[colorIndex] = predecessors;
+    return predecessors;
+  }
+
+  /**
+   * 获取到达目标格子的最少移动次数下界表（按目标和颜色缓存）
+   * 只计算该棋子自身的移动次数，考虑墙壁和与颜色相关的折射，
+   * 其他棋子最多只能让它提前停下，因此该值不会超过真实步数（可采纳）
+   * @param {number} x - 目标x
+   * @param {number} y - 目标y
+   * @param {string} color - 棋子颜色
+   * @returns {Uint8Array} 压缩位置 → 下界，不可达为 UNREACHABLE
+   */
+  getLowerBounds(x, y, color) {
+    const cacheKey = `${color},${x},${y}`;
+    if (this.lowerBounds.has(cacheKey)) return this.lowerBounds.get(cacheKey);
+
+    const predecessors = this.getPredecessors(CONSTANTS.COLOR_ORDER.indexOf(color));
+    const bounds = new Uint8Array(256).fill(UNREACHABLE);
+    const target = (x << 4) | y;
+    const queue = [target];
+    bounds[target] = 0;
+
+    // 从目标反向BFS
+    for (let head = 0; head < queue.length; head++) {
+      const pos = queue[head];
+      for (const prev of predecessors[pos]) {
+        if (bounds[prev] === UNREACHABLE) {
+          bounds[prev] = bounds[pos] + 1;
+          queue.push(prev);
+        }
+      }
+    }
+
+    this.lowerBounds.set(cacheKey, bounds);
+    return bounds;
+  }
+
+  /**
+   * 在压缩位置数组上滑动一个棋子（搜索热路径，不分配对象）
+   * @param {Int32Array|Array<number>} positions - 所有棋子的压缩位置
+   * @param {number} index - 移动的棋子索引
+   * @param {number} dir - 方向索引
+   * @param {number} colorIndex - 棋子颜色索引
+   * @returns {number} 最终压缩位置
+   */
+  slide(positions, index, dir, colorIndex) {
+    const key = (((colorIndex << 8) | positions[index]) << 2) | dir;
+    const offset = this.offsets[key];
+    const end = offset + this.lengths[key];
+    const robotCount = positions.length;
+    let p = positions[index];
+
+    for (let k = offset; k < end; k++) {
+      const next = this.cells[k];
+      for (let j = 0; j < robotCount; j++) {
+        if (j !== index && positions[j] === next) {
+          return p;
+        }
+      }
+      p = next;
+    }
+
+    return p;
+  }
+
+  /**
+   * 模拟棋子移动（应用其他棋子的阻挡）
+   * @param {Object} robot - 棋子状态 {color, x, y}
+   * @param {string} direction - 初始方向
+   * @param {Array} allRobots - 所有棋子状态（移动中的棋子不阻挡自己）
+   * @returns {{moved: boolean, finalX: number, finalY: number, segments: Array}}
+   */
+  simulate(robot, direction, allRobots) {
+    const trajectory = this.getTrajectory(robot.x, robot.y, direction, robot.color);
+    const occupied = new Set(
+      allRobots
+        .filter(r => !(r.x === robot.x && r.y === robot.y))
+        .map(r => `${r.x},${r.y}`)
+    );
+
+    const segments = [];
+    let x = robot.x;
+    let y = robot.y;
+    let segmentStart = { x, y, direction };
+
+    for (const step of trajectory) {
+      if (occupied.has(`${step.x},${step.y}`)) break;
+
+      // 方向改变说明在上一格（分光镜）发生了折射
+      if (step.direction !== segmentStart.direction) {
+        segments.push({ from: segmentStart, to: { x, y }, direction: segmentStart.direction });
+        segmentStart = { x, y, direction: step.direction };
+      }
+
+      x = step.x;
+      y = step.y;
+    }
+
+    if (x !== segmentStart.x || y !== segmentStart.y) {
+      segments.push({ from: segmentStart, to: { x, y }, direction: segmentStart.direction });
+    }
+
+    return {
+      moved: x !== robot.x || y !== robot.y,
+      finalX: x,
+      finalY: y,
+      segments
+    };
+  }
+}
+
+export default MoveTable;
@@ -0,0 +1,103 @@
+/**
+ * RuleSet 规则集类
+ * 描述一局游戏使用的规则，由 Game 和 PathFinder 共同使用
+ */
+
+export class RuleSet {
+  /**
+   * @param {Object} options - 规则选项
+   * @param {string} options.name - 规则名称
+   * @param {number} options.minSolutionSteps - 解至少需要的步数
+   * @param {boolean} options.prismPassThrough - 同色分光镜是否直接穿过（否则停在分光镜上）
+   * @param {boolean} options.allowOtherColorTargets - 棋子每步移动能否停在其他颜色的终点上
+   * @param {boolean} options.requireSingleRobot - 是否只允许移动到达终点的那个棋子
+   */
+  constructor(options = {}) {
+    const {
+      name = 'custom',
+      minSolutionSteps = 1,
+      prismPassThrough = false,
+      allowOtherColorTargets = true,
+      requireSingleRobot = false
+    } = options;
+
+    if (!Number.isInteger(minSolutionSteps) || minSolutionSteps < 1) {
+      throw new Error(`Invalid minSolutionSteps: ${minSolutionSteps}`);
+    }
+
+    this.name = name;
+    this.minSolutionSteps = minSolutionSteps;
+    this.prismPassThrough = !!prismPassThrough;
+    this.allowOtherColorTargets = !!allowOtherColorTargets;
+    this.requireSingleRobot = !!requireSingleRobot;
+  }
+
+  /**
+   * 经典规则：同色分光镜直接穿过，允许1步解
+   * @returns {RuleSet}
+   */
+  static classic() {
+    return new RuleSet({
+      name: 'classic',
+      minSolutionSteps: 1,
+      prismPassThrough: true,
+      allowOtherColorTargets: true,
+      requireSingleRobot: false
+    });
+  }
+
+  /**
+   * 分光镜变体（本游戏默认规则）：同色分光镜使棋子停下，不允许1步直达
+   * @returns {RuleSet}
+   */
+  static prism() {
+    return new RuleSet({
+      name: 'prism',
+      minSolutionSteps: 2,
+      prismPassThrough: false,
+      allowOtherColorTargets: true,
+      requireSingleRobot: false
+    });
+  }
+
+  /**
+   * 根据名称获取预设规则
+   * @param {string} name - 'classic' 或 'prism'
+   * @returns {RuleSet}
+   */
+  static fromPreset(name) {
+    switch (name) {
+      case 'classic':
+        return RuleSet.classic();
+      case 'prism':
+        return RuleSet.prism();
+      default:
+        throw new Error(`Unknown rule preset: ${name}`);
+    }
+  }
+
+  /**
+   * 转换为JSON
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      minSolutionSteps: this.minSolutionSteps,
+      prismPassThrough: this.prismPassThrough,
+      allowOtherColorTargets: this.allowOtherColorTargets,
+      requireSingleRobot: this.requireSingleRobot
+    };
+  }
+
+  /**
+   * 从JSON创建
+   * @param {Object} json
+   * @returns {RuleSet}
+   */
+  static fromJSON(json) {
+    return new RuleSet(json);
+  }
+}
+
+export default RuleSet;
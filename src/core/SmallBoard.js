@@ -7,6 +7,7 @@ import { Cell } from './Cell.js';
 import { Prism } from './Prism.js';
 import { Target } from './Target.js';
 import { Rotator } from '../utils/Rotator.js';
+import { BoardManifest } from '../utils/BoardManifest.js';
 import CONSTANTS from '../utils/Constants.js';
 
 export class SmallBoard {
@@ -230,16 +231,13 @@ export class SmallBoard {
   }
   
   /**
-   * 批量加载所有小棋盘
-   * @returns {Promise<Array<SmallBoard>>}
+   * 按清单（manifest.json）加载库中的所有小棋盘
+   * @param {string} baseUrl - 数据目录URL（以/结尾）
+   * @returns {Promise<Array<SmallBoard>>} 数组下标即小棋盘编号
    */
-  static async loadAll() {
-    const boards = [];
-    for (let i = 0; i < 8; i++) {
-      const board = await SmallBoard.loadFromFile(`board-${i}.json`);
-      boards.push(board);
-    }
-    return boards;
+  static async loadAll(baseUrl = 'data/') {
+    const boardsData = await BoardManifest.fetchBoardData(baseUrl);
+    return boardsData.map(data => new SmallBoard(data));
   }
 }
 
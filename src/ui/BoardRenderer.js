@@ -102,6 +102,9 @@ export class BoardRenderer {
     const {
       highlightCells = [],
       pathSegments = [],
+      moveOptionsFor = null,
+      ruleSet = null,
+      reachability = null,
       showCoordinates = false
     } = options;
     
@@ -123,6 +126,11 @@ export class BoardRenderer {
     // 绘制终点
     this.drawTargets();
     
+    // 绘制可达性热力图（[{x, y, moves}]，见 PathFinder.computeReachability）
+    if (reachability) {
+      this.drawReachability(reachability);
+    }
+    
     // 绘制高亮格子
     if (highlightCells.length > 0) {
       this.drawHighlights(highlightCells);
@@ -133,6 +141,14 @@ export class BoardRenderer {
       this.drawPath(pathSegments);
     }
     
+    // 绘制指定棋子的可选移动
+    if (moveOptionsFor) {
+      const robot = robots.find(r => r.color === moveOptionsFor);
+      if (robot) {
+        this.drawMoveOptions(robot, robots, ruleSet);
+      }
+    }
+    
     // 绘制棋子
     this.drawRobots(robots);
     
@@ -475,6 +491,31 @@ export class BoardRenderer {
     });
   }
   
+  /**
+   * 绘制可达性热力图
+   * 颜色从绿色（移动次数少）渐变到红色（移动次数多），格子中央显示移动次数
+   * @param {Array} cells - [{x, y, moves}]
+   */
+  drawReachability(cells) {
+    const maxMoves = Math.max(1, ...cells.map(c => c.moves));
+    
+    this.ctx.font = `bold ${Math.floor(this.cellSize * 0.35)}px Arial`;
+    this.ctx.textAlign = 'center';
+    this.ctx.textBaseline = 'middle';
+    
+    cells.forEach(({ x, y, moves }) => {
+      const px = this.padding + x * this.cellSize;
+      const py = this.padding + y * this.cellSize;
+      const hue = Math.round(120 * (1 - moves / maxMoves));
+      
+      this.ctx.fillStyle = `hsla(${hue}, 75%, 50%, 0.35)`;
+      this.ctx.fillRect(px, py, this.cellSize, this.cellSize);
+      
+      this.ctx.fillStyle = `hsl(${hue}, 75%, 25%)`;
+      this.ctx.fillText(moves.toString(), px + this.cellSize / 2, py + this.cellSize / 2);
+    });
+  }
+  
   /**
    * 绘制路径
    * @param {Array} segments - 路径段数组
@@ -507,6 +548,30 @@ export class BoardRenderer {
     this.ctx.setLineDash([]);
   }
   
+  /**
+   * 绘制棋子四个方向的移动轨迹和停止位置
+   * 轨迹来自棋盘的预计算移动表，与PathFinder的移动规则一致
+   * @param {Robot} robot - 要移动的棋子
+   * @param {Array<Robot>} robots - 所有棋子
+   * @param {RuleSet|null} ruleSet - 规则集（默认分光镜变体）
+   */
+  drawMoveOptions(robot, robots, ruleSet = null) {
+    if (!this.board) return;
+    
+    const moveTable = this.board.getMoveTable(ruleSet);
+    const stops = [];
+    
+    Object.values(CONSTANTS.DIRECTIONS).forEach(direction => {
+      const result = moveTable.simulate(robot, direction, robots);
+      if (!result.moved) return;
+      
+      this.drawPath(result.segments);
+      stops.push({ x: result.finalX, y: result.finalY });
+    });
+    
+    this.drawHighlights(stops);
+  }
+  
   /**
    * 绘制坐标
    */
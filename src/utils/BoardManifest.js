@@ -0,0 +1,91 @@
+/**
+ * 小棋盘库清单
+ * 数据目录中的 manifest.json 列出库中的小棋盘文件及其编号。
+ * 游戏编码按编号引用小棋盘，编号发布后不再改变，新增的小棋盘使用新编号；
+ * 编号都不超过7时游戏编码与原来的12位编码相同
+ */
+
+import { Encoder } from './Encoder.js';
+import { BoardValidator } from './BoardValidator.js';
+
+const MANIFEST_FILE = 'manifest.json';
+
+export class BoardManifest {
+  /**
+   * 清单文件名
+   * @returns {string}
+   */
+  static get FILE_NAME() {
+    return MANIFEST_FILE;
+  }
+
+  /**
+   * 检查清单格式
+   * @param {Object} json - manifest.json 的内容
+   *        {name, boards: [{id, file}]}
+   * @returns {{name: string, boards: Array<{id: number, file: string}>}}
+   */
+  static parse(json) {
+    if (!json || !Array.isArray(json.boards) || json.boards.length === 0) {
+      throw new Error('Board manifest must list at least one board');
+    }
+
+    const ids = new Set();
+    const boards = json.boards.map((entry, index) => {
+      const { id, file } = entry || {};
+      if (!Number.isInteger(id) || id < 0 || id > Encoder.MAX_BOARD_ID) {
+        throw new Error(`Invalid board id in manifest entry ${index}: ${id} (game codes support ids 0-${Encoder.MAX_BOARD_ID})`);
+      }
+      if (ids.has(id)) {
+        throw new Error(`Duplicate board id in manifest: ${id}`);
+      }
+      if (typeof file !== 'string' || file === '') {
+        throw new Error(`Missing file for board ${id} in manifest`);
+      }
+      ids.add(id);
+      return { id, file };
+    });
+
+    return { name: json.name || 'unnamed', boards };
+  }
+
+  /**
+   * 检查并按编号排列小棋盘数据（数据有误时列出所有问题，见 BoardValidator）
+   * @param {Object} manifest - parse() 的结果
+   * @param {Array<Object>} boardsData - 与 manifest.boards 一一对应的小棋盘JSON数据
+   * @returns {Array<Object>} 数组下标即编号（清单中没有的编号为空位）
+   */
+  static indexById(manifest, boardsData) {
+    const indexed = [];
+    manifest.boards.forEach(({ id, file }, index) => {
+      const data = boardsData[index];
+      if (!data || data.id !== id) {
+        throw new Error(`${file} has id ${data ? data.id : 'undefined'}, manifest says ${id}`);
+      }
+      BoardValidator.assertValid(data, file);
+      indexed[id] = data;
+    });
+    return indexed;
+  }
+
+  /**
+   * 读取清单和其中的所有小棋盘数据（浏览器中使用fetch）
+   * @param {string} baseUrl - 数据目录URL（以/结尾）
+   * @returns {Promise<Array<Object>>} 小棋盘JSON数据，数组下标即编号
+   */
+  static async fetchBoardData(baseUrl = './data/') {
+    const fetchJSON = async (url) => {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${url}`);
+      }
+      return response.json();
+    };
+
+    const manifest = BoardManifest.parse(await fetchJSON(baseUrl + MANIFEST_FILE));
+    const boardsData = await Promise.all(manifest.boards.map(({ file }) => fetchJSON(baseUrl + file)));
+    return BoardManifest.indexById(manifest, boardsData);
+  }
+}
+
+export default BoardManifest;
@@ -0,0 +1,145 @@
+/**
+ * 小棋盘库加载器
+ * board-sets.json 列出可选的小棋盘库（官方、社区、实验等），每个库是一个带 manifest.json 的数据目录。
+ * 小棋盘编号只在库内唯一，游戏编码用「库名:」前缀记录所用的库（见 Encoder.splitBoardSet）。
+ * 各页面共用同一个加载器，选择的库保存在 localStorage 中
+ */
+
+import { Encoder } from './Encoder.js';
+import { BoardManifest } from './BoardManifest.js';
+
+const REGISTRY_FILE = 'board-sets.json';
+const STORAGE_KEY = 'boardSet';
+
+export class BoardSetLoader {
+  /**
+   * @param {string} baseUrl - board-sets.json 所在目录的URL（以/结尾）
+   */
+  constructor(baseUrl = './') {
+    this.baseUrl = baseUrl;
+    this.sets = [];        // [{name, label, dir}]
+    this.current = null;   // 当前库名称
+    this.cache = new Map(); // 库名称 → 小棋盘JSON数据
+  }
+
+  /**
+   * 库列表文件名
+   * @returns {string}
+   */
+  static get REGISTRY_FILE() {
+    return REGISTRY_FILE;
+  }
+
+  /**
+   * 检查库列表格式
+   * @param {Object} json - board-sets.json 的内容 {sets: [{name, label, dir}]}
+   * @returns {Array<{name: string, label: string, dir: string}>}
+   */
+  static parse(json) {
+    if (!json || !Array.isArray(json.sets) || json.sets.length === 0) {
+      throw new Error('Board set registry must list at least one set');
+    }
+
+    const names = new Set();
+    const sets = json.sets.map((entry, index) => {
+      const { name, label, dir } = entry || {};
+      if (!Encoder.isValidBoardSetName(name)) {
+        throw new Error(`Invalid board set name in registry entry ${index}: ${name}`);
+      }
+      if (names.has(name)) {
+        throw new Error(`Duplicate board set in registry: ${name}`);
+      }
+      if (typeof dir !== 'string' || dir === '') {
+        throw new Error(`Missing dir for board set ${name}`);
+      }
+      names.add(name);
+      return { name, label: label || name, dir: dir.endsWith('/') ? dir : dir + '/' };
+    });
+
+    if (!names.has(Encoder.DEFAULT_BOARD_SET)) {
+      throw new Error(`Board set registry must include ${Encoder.DEFAULT_BOARD_SET}`);
+    }
+
+    return sets;
+  }
+
+  /**
+   * 读取库列表，返回上次选择的库（没有或已不存在时为官方库）
+   * @returns {Promise<string>}
+   */
+  async init() {
+    const response = await fetch(this.baseUrl + REGISTRY_FILE);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${this.baseUrl + REGISTRY_FILE}`);
+    }
+    this.sets = BoardSetLoader.parse(await response.json());
+
+    const saved = BoardSetLoader.getSavedName();
+    return this.sets.some(set => set.name === saved) ? saved : Encoder.DEFAULT_BOARD_SET;
+  }
+
+  /**
+   * 查找库
+   * @param {string} name
+   * @returns {{name: string, label: string, dir: string}}
+   */
+  getSet(name) {
+    const set = this.sets.find(entry => entry.name === name);
+    if (!set) {
+      throw new Error(`Unknown board set: ${name}`);
+    }
+    return set;
+  }
+
+  /**
+   * 加载库中的小棋盘数据并设为当前库
+   * @param {string} name - 库名称
+   * @returns {Promise<Array<Object>>} 小棋盘JSON数据，数组下标即编号
+   */
+  async load(name) {
+    const set = this.getSet(name);
+    if (!this.cache.has(name)) {
+      this.cache.set(name, await BoardManifest.fetchBoardData(this.baseUrl + set.dir));
+    }
+
+    this.current = name;
+    BoardSetLoader.saveName(name);
+    return this.cache.get(name);
+  }
+
+  /**
+   * 填充库选择下拉框
+   * @param {HTMLSelectElement} select
+   */
+  renderOptions(select) {
+    select.innerHTML = this.sets.map(set => `
+      <option value="${set.name}"${set.name === this.current ? ' selected' : ''}>${set.label}</option>
+    `).join('');
+  }
+
+  /**
+   * 上次选择的库名称
+   * @returns {string|null}
+   */
+  static getSavedName() {
+    try {
+      return localStorage.getItem(STORAGE_KEY);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 保存选择的库名称
+   * @param {string} name
+   */
+  static saveName(name) {
+    try {
+      localStorage.setItem(STORAGE_KEY, name);
+    } catch (error) {
+      // 无法使用 localStorage 时只在本页生效
+    }
+  }
+}
+
+export default BoardSetLoader;
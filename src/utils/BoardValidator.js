@@ -0,0 +1,296 @@
+/**
+ * 小棋盘数据校验
+ * 先按 BOARD_SCHEMA（JSON Schema 子集）检查字段和取值范围，再检查格式本身表达不了的规则：
+ * 面编号和终点ID重复、同一格有多个终点或分光镜、分光镜放在终点上、缺口格子上放了终点或分光镜。
+ * 每个问题都给出面、坐标和字段路径，加载器和编辑器用它在出错时说明要改哪里
+ */
+
+import { Encoder } from './Encoder.js';
+import CONSTANTS from './Constants.js';
+
+const SIZE = CONSTANTS.SMALL_BOARD_SIZE;
+const ROBOT_COLORS = CONSTANTS.COLOR_ORDER;
+
+const COORDINATE = { type: 'integer', minimum: 0, maximum: SIZE - 1 };
+
+// x-locate 不是标准关键字：face 表示此处进入某个面，cell 表示此对象有 x/y 坐标
+const CELL_ITEM = (properties) => ({
+  type: 'object',
+  'x-locate': 'cell',
+  required: ['x', 'y', ...Object.keys(properties)],
+  properties: { x: COORDINATE, y: COORDINATE, ...properties }
+});
+
+const BOARD_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'Small board',
+  type: 'object',
+  required: ['id', 'color', 'originalGap', 'faces'],
+  properties: {
+    id: { type: 'integer', minimum: 0, maximum: Encoder.MAX_BOARD_ID },
+    color: { type: 'string', enum: ROBOT_COLORS },
+    originalGap: CELL_ITEM({}),
+    faces: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 2,
+      items: {
+        type: 'object',
+        'x-locate': 'face',
+        required: ['id'],
+        properties: {
+          id: { type: 'integer', enum: [0, 1] },
+          name: { type: 'string' },
+          walls: {
+            type: 'array',
+            items: CELL_ITEM({
+              sides: {
+                type: 'array',
+                minItems: 1,
+                uniqueItems: true,
+                items: { type: 'string', enum: ['top', 'right', 'bottom', 'left'] }
+              }
+            })
+          },
+          prisms: {
+            type: 'array',
+            items: CELL_ITEM({
+              direction: { type: 'string', enum: Object.values(CONSTANTS.PRISM_DIRECTIONS) },
+              color: { type: 'string', enum: ROBOT_COLORS }
+            })
+          },
+          targets: {
+            type: 'array',
+            items: CELL_ITEM({
+              shape: { type: 'string', enum: Object.values(CONSTANTS.TARGET_SHAPES) },
+              color: { type: 'string', enum: Object.values(CONSTANTS.COLORS) },
+              id: { type: 'string', minLength: 1 }
+            })
+          }
+        }
+      }
+    }
+  }
+};
+
+export class BoardValidator {
+  /**
+   * 小棋盘JSON的格式定义（JSON Schema draft-07 子集）
+   * @returns {Object}
+   */
+  static get SCHEMA() {
+    return BOARD_SCHEMA;
+  }
+
+  /**
+   * 检查小棋盘数据
+   * @param {Object} data - 小棋盘JSON数据
+   * @returns {{valid: boolean, problems: Array<{face: number|null, x: number|null, y: number|null, field: string, message: string}>}}
+   *          face 为面编号，x/y 为小棋盘内（未旋转）的坐标，field 为字段路径（如 faces[1].prisms[0].color）
+   */
+  static validate(data) {
+    const problems = [];
+    BoardValidator.checkSchema(data, BOARD_SCHEMA, '', { face: null, x: null, y: null }, problems);
+
+    // 格式有误时不再检查规则，避免同一个问题重复报告
+    if (problems.length === 0) {
+      BoardValidator.checkRules(data, problems);
+    }
+
+    return { valid: problems.length === 0, problems };
+  }
+
+  /**
+   * 检查小棋盘数据，有问题时抛出列出所有问题的错误
+   * @param {Object} data - 小棋盘JSON数据
+   * @param {string} label - 错误信息中的名称（如文件名）
+   */
+  static assertValid(data, label = 'small board') {
+    const { valid, problems } = BoardValidator.validate(data);
+    if (!valid) {
+      const lines = problems.map(problem => `  - ${BoardValidator.formatProblem(problem)}`);
+      throw new Error(`${label} is not a valid small board (${problems.length} problem${problems.length > 1 ? 's' : ''}):\n${lines.join('\n')}`);
+    }
+  }
+
+  /**
+   * 问题的文字说明，如 "face 1 (2,5) faces[1].prisms[0].color: must be one of ..."
+   * @param {Object} problem
+   * @returns {string}
+   */
+  static formatProblem({ face, x, y, field, message }) {
+    const where = [
+      face !== null ? `face ${face}` : null,
+      x !== null && y !== null ? `(${x},${y})` : null,
+      field || null
+    ].filter(Boolean).join(' ');
+    return `${where}: ${message}`;
+  }
+
+  /**
+   * 按格式定义检查一个值
+   * @param {*} value
+   * @param {Object} schema
+   * @param {string} path - 字段路径
+   * @param {{face, x, y}} location - 当前位置
+   * @param {Array} problems - 收集问题
+   */
+  static checkSchema(value, schema, path, location, problems) {
+    const report = (message) => problems.push({ ...location, field: path, message });
+
+    if (!BoardValidator.hasType(value, schema.type)) {
+      report(`must be ${/^[aeiou]/.test(schema.type) ? 'an' : 'a'} ${schema.type} (got ${JSON.stringify(value)})`);
+      return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      report(`must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')} (got ${JSON.stringify(value)})`);
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      report(`must be at least ${schema.minimum} (got ${value})`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      report(`must be at most ${schema.maximum} (got ${value})`);
+    }
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      report('must not be empty');
+    }
+
+    if (schema.type === 'array') {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        report(`must have at least ${schema.minItems} item${schema.minItems > 1 ? 's' : ''}`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        report(`must have at most ${schema.maxItems} items (got ${value.length})`);
+      }
+      if (schema.uniqueItems) {
+        value.filter((item, index) => value.indexOf(item) !== index)
+          .forEach(item => report(`contains ${JSON.stringify(item)} more than once`));
+      }
+      value.forEach((item, index) => {
+        BoardValidator.checkSchema(item, schema.items, `${path}[${index}]`,
+          BoardValidator.locate(item, index, schema.items, location), problems);
+      });
+    }
+
+    if (schema.type === 'object') {
+      (schema.required || []).forEach(key => {
+        if (value[key] === undefined) {
+          report(`missing required field "${key}"`);
+        }
+      });
+      Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+        if (value[key] !== undefined) {
+          BoardValidator.checkSchema(value[key], propertySchema, path ? `${path}.${key}` : key, location, problems);
+        }
+      });
+    }
+  }
+
+  /**
+   * 进入数组元素时更新位置（x-locate）
+   * @param {*} item - 数组元素
+   * @param {number} index - 下标
+   * @param {Object} schema - 元素的格式定义
+   * @param {{face, x, y}} location - 外层位置
+   * @returns {{face, x, y}}
+   */
+  static locate(item, index, schema, location) {
+    const isObject = BoardValidator.hasType(item, 'object');
+    if (schema['x-locate'] === 'face') {
+      // 面编号有误时用下标表示
+      const face = isObject && Number.isInteger(item.id) ? item.id : index;
+      return { face, x: null, y: null };
+    }
+    if (schema['x-locate'] === 'cell' && isObject && Number.isInteger(item.x) && Number.isInteger(item.y)) {
+      return { ...location, x: item.x, y: item.y };
+    }
+    return location;
+  }
+
+  /**
+   * 值是否符合类型
+   * @param {*} value
+   * @param {string} type - object/array/integer/string
+   * @returns {boolean}
+   */
+  static hasType(value, type) {
+    switch (type) {
+      case 'object':
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+      case 'array':
+        return Array.isArray(value);
+      case 'integer':
+        return Number.isInteger(value);
+      case 'string':
+        return typeof value === 'string';
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * 检查格式定义之外的规则（数据已符合格式）
+   * @param {Object} data
+   * @param {Array} problems
+   */
+  static checkRules(data, problems) {
+    const gap = data.originalGap;
+    const faceIndexes = new Map();
+    const targetIds = new Map(); // 终点ID → 首次出现的字段路径
+
+    data.faces.forEach((face, faceIndex) => {
+      const facePath = `faces[${faceIndex}]`;
+      const report = (x, y, field, message) => problems.push({ face: face.id, x, y, field, message });
+
+      if (faceIndexes.has(face.id)) {
+        report(null, null, `${facePath}.id`, `duplicate face id (also faces[${faceIndexes.get(face.id)}])`);
+      } else {
+        faceIndexes.set(face.id, faceIndex);
+      }
+
+      // 同一格只能有一个终点、一个分光镜
+      const cellsOf = (key) => {
+        const cells = new Map();
+        (face[key] || []).forEach((item, index) => {
+          const cell = `${item.x},${item.y}`;
+          const field = `${facePath}.${key}[${index}]`;
+          if (cells.has(cell)) {
+            report(item.x, item.y, field, `another ${key.slice(0, -1)} is already on this cell (${cells.get(cell)})`);
+          } else {
+            cells.set(cell, field);
+          }
+        });
+        return cells;
+      };
+      const targetCells = cellsOf('targets');
+      const prismCells = cellsOf('prisms');
+
+      (face.prisms || []).forEach((prism, index) => {
+        const target = targetCells.get(`${prism.x},${prism.y}`);
+        if (target) {
+          report(prism.x, prism.y, `${facePath}.prisms[${index}]`, `prism is on a target cell (${target})`);
+        }
+      });
+
+      // 缺口格子在拼接后位于中央不可达区域
+      const gapCell = `${gap.x},${gap.y}`;
+      [['targets', targetCells], ['prisms', prismCells]].forEach(([key, cells]) => {
+        if (cells.has(gapCell)) {
+          report(gap.x, gap.y, cells.get(gapCell), `${key.slice(0, -1)} is on the gap cell, which is unreachable`);
+        }
+      });
+
+      (face.targets || []).forEach((target, index) => {
+        const field = `${facePath}.targets[${index}].id`;
+        if (targetIds.has(target.id)) {
+          report(target.x, target.y, field, `duplicate target id "${target.id}" (also ${targetIds.get(target.id)})`);
+        } else {
+          targetIds.set(target.id, field);
+        }
+      });
+    });
+  }
+}
+
+export default BoardValidator;
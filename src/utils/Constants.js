@@ -36,6 +36,9 @@ export const CONSTANTS = {
     RIGHT: 'right'
   },
   
+  // 方向顺序（用于扩展游戏编码）
+  DIRECTION_ORDER: ['up', 'right', 'down', 'left'],
+  
   // 分光镜方向
   PRISM_DIRECTIONS: {
     BACKSLASH: '\\',  // 左上到右下
@@ -5,78 +5,186 @@
 
 import CONSTANTS from './Constants.js';
 
+// 棋盘码：每块小棋盘1位字符（编号0-7，短棋盘码）或3位字符（编号0-2047，长棋盘码）
+const SHORT_BOARD_MAX_ID = 7;
+const WIDE_BOARD_MAX_ID = 2047;
+
+// 扩展游戏编码：前缀 + 版本字符 + base64url(数据 + CRC-16校验)
+// 版本1为短棋盘码，版本2为长棋盘码，其余数据相同
+const EXTENDED_PREFIX = 'X';
+const EXTENDED_VERSIONS = [1, 2];
+
+// 扩展编码中的可选段（标志位）
+const SECTION_RULES = 0x1;
+const SECTION_CURRENT_POSITIONS = 0x2;
+const SECTION_ROUNDS = 0x4;
+const SECTION_TARGET_ORDER = 0x8;
+const SECTION_BOARD_SET = 0x10;
+
+// 规则名称（扩展编码中按下标保存，其他名称记为 custom）
+const RULE_NAMES = ['custom', 'classic', 'prism'];
+
+// 小棋盘库：编号只在库内唯一，游戏编码以「库名:」开头表示所用的库，官方库不加前缀
+const DEFAULT_BOARD_SET = 'official';
+const BOARD_SET_PATTERN = /^[a-z][a-z0-9-]{0,31}$/;
+const BOARD_SET_SEPARATOR = ':';
+
+// 游戏编码：4位或12位棋盘码 + 8位棋子位置（可带1位校验字符）
+const GAME_CODE_PATTERN = /^(?:[0-9A-Fa-f]{12}|[0-9A-Fa-f]{20})[0-9A-Fa-f]?$/;
+
+// 没有校验字符时最多给出的候选编码数（带校验字符时候选很少，全部列出）
+const MAX_SUGGESTIONS = 5;
+
 export class Encoder {
+  /**
+   * 不加前缀的游戏编码所用的小棋盘库
+   * @returns {string}
+   */
+  static get DEFAULT_BOARD_SET() {
+    return DEFAULT_BOARD_SET;
+  }
+  
+  /**
+   * 是否为有效的小棋盘库名称（小写字母开头，只含小写字母、数字和-，最长32个字符）
+   * @param {string} name
+   * @returns {boolean}
+   */
+  static isValidBoardSetName(name) {
+    return typeof name === 'string' && BOARD_SET_PATTERN.test(name);
+  }
+  
+  /**
+   * 拆出游戏编码的小棋盘库前缀
+   * @param {string} code - 游戏编码（可带「库名:」前缀）
+   * @returns {{boardSet: string, code: string}} 没有前缀时为官方库
+   */
+  static splitBoardSet(code) {
+    const index = code.indexOf(BOARD_SET_SEPARATOR);
+    if (index < 0) {
+      return { boardSet: DEFAULT_BOARD_SET, code };
+    }
+    
+    const boardSet = code.slice(0, index);
+    if (!this.isValidBoardSetName(boardSet)) {
+      throw new Error(`Invalid board set name: ${boardSet}`);
+    }
+    return { boardSet, code: code.slice(index + 1) };
+  }
+  
+  /**
+   * 给游戏编码加上小棋盘库前缀（官方库不加）
+   * @param {string} code - 不带前缀的游戏编码
+   * @param {string} boardSet - 小棋盘库名称
+   * @returns {string}
+   */
+  static withBoardSet(code, boardSet = DEFAULT_BOARD_SET) {
+    if (boardSet === DEFAULT_BOARD_SET) {
+      return code;
+    }
+    if (!this.isValidBoardSetName(boardSet)) {
+      throw new Error(`Invalid board set name: ${boardSet}`);
+    }
+    return boardSet + BOARD_SET_SEPARATOR + code;
+  }
+  
+  /**
+   * 游戏编码（或扩展编码）所用的小棋盘库
+   * @param {string} code
+   * @returns {string|null} 编码无法解析时为 null
+   */
+  static getBoardSet(code) {
+    try {
+      return this.isExtendedGameCode(code)
+        ? this.decodeExtendedGame(code).boardSet
+        : this.splitBoardSet(code).boardSet;
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  /**
+   * 棋盘编码支持的最大小棋盘编号
+   * @returns {number}
+   */
+  static get MAX_BOARD_ID() {
+    return WIDE_BOARD_MAX_ID;
+  }
+  
   /**
    * 编码单个小棋盘选择（编号+面）
-   * @param {number} boardId - 棋盘编号 (0-7)
+   * @param {number} boardId - 棋盘编号（1位字符时0-7，3位字符时0-2047）
    * @param {number} faceId - 面编号 (0 或 1)
-   * @returns {string} 单个十六进制字符 (0-F)
+   * @param {number} width - 字符数：1（默认）或 3
+   * @returns {string} 十六进制字符串
    */
-  static encodeSmallBoard(boardId, faceId) {
-    if (boardId < 0 || boardId > 7) {
+  static encodeSmallBoard(boardId, faceId, width = 1) {
+    const maxId = width === 1 ? SHORT_BOARD_MAX_ID : WIDE_BOARD_MAX_ID;
+    if (!Number.isInteger(boardId) || boardId < 0 || boardId > maxId) {
       throw new Error(`Invalid board ID: ${boardId}`);
     }
     if (faceId !== 0 && faceId !== 1) {
       throw new Error(`Invalid face ID: ${faceId}`);
     }
     
-    // 3位编号 + 1位面 = 4位二进制 = 1位十六进制
+    // 编号 + 1位面：3+1位 = 1位十六进制，11+1位 = 3位十六进制
     const value = (boardId << 1) | faceId;
-    return value.toString(16).toUpperCase();
+    return value.toString(16).toUpperCase().padStart(width, '0');
   }
   
   /**
    * 解码单个小棋盘选择
-   * @param {string} hexChar - 单个十六进制字符
+   * @param {string} hex - 1位或3位十六进制字符
    * @returns {{boardId: number, faceId: number}}
    */
-  static decodeSmallBoard(hexChar) {
-    const value = parseInt(hexChar, 16);
-    
-    if (isNaN(value) || value < 0 || value > 15) {
-      throw new Error(`Invalid hex character: ${hexChar}`);
+  static decodeSmallBoard(hex) {
+    if (!/^(?:[0-9A-Fa-f]|[0-9A-Fa-f]{3})$/.test(hex)) {
+      throw new Error(`Invalid hex character: ${hex}`);
     }
     
-    const boardId = (value >> 1) & 0x7;  // 高3位
-    const faceId = value & 0x1;           // 低1位
+    const value = parseInt(hex, 16);
+    const boardId = value >> 1;  // 高位
+    const faceId = value & 0x1;  // 低1位
     
     return { boardId, faceId };
   }
   
   /**
    * 编码大棋盘配置
+   * 编号都不超过7时使用4位短棋盘码（与旧编码相同），否则使用12位长棋盘码
    * @param {Array<{boardId: number, faceId: number}>} boards - 4个小棋盘配置
    *        顺序：[左上, 右上, 左下, 右下]
-   * @returns {string} 4位十六进制字符串
+   * @returns {string} 4位或12位十六进制字符串
    */
   static encodeBoardConfig(boards) {
     if (!Array.isArray(boards) || boards.length !== 4) {
       throw new Error('Boards must be an array of 4 configurations');
     }
     
+    const width = boards.every(board => board.boardId <= SHORT_BOARD_MAX_ID) ? 1 : 3;
     return boards.map(board => 
-      this.encodeSmallBoard(board.boardId, board.faceId)
+      this.encodeSmallBoard(board.boardId, board.faceId, width)
     ).join('');
   }
   
   /**
    * 解码大棋盘配置
-   * @param {string} code - 4位十六进制字符串
+   * @param {string} code - 4位或12位十六进制字符串
    * @returns {Array<{boardId: number, faceId: number, position: string}>}
    */
   static decodeBoardConfig(code) {
-    if (!/^[0-9A-Fa-f]{4}$/.test(code)) {
+    if (!/^(?:[0-9A-Fa-f]{4}|[0-9A-Fa-f]{12})$/.test(code)) {
       throw new Error(`Invalid board code format: ${code}`);
     }
     
     const positions = ['topLeft', 'topRight', 'bottomLeft', 'bottomRight'];
+    const width = code.length / 4;
     
-    return code.split('').map((char, index) => {
-      const { boardId, faceId } = this.decodeSmallBoard(char);
+    return positions.map((position, index) => {
+      const { boardId, faceId } = this.decodeSmallBoard(code.substr(index * width, width));
       return {
         boardId,
         faceId,
-        position: positions[index]
+        position
       };
     });
   }
@@ -155,34 +263,403 @@ export class Encoder {
   
   /**
    * 编码完整游戏配置
-   * @param {string} boardCode - 4位十六进制棋盘码
+   * @param {string} boardCode - 4位或12位十六进制棋盘码
    * @param {Object} positions - 棋子位置
-   * @returns {string} 12位十六进制完整编码
+   * @param {Object} options - 选项
+   * @param {boolean} options.checkCharacter - 是否追加1位校验字符（默认否）
+   * @param {string} options.boardSet - 小棋盘库（默认官方库，其他库加「库名:」前缀）
+   * @returns {string} 12位（长棋盘码时20位）十六进制完整编码，带校验字符时多1位
    */
-  static encodeGame(boardCode, positions) {
+  static encodeGame(boardCode, positions, options = {}) {
     const posCode = this.encodeRobotPositions(positions);
-    return boardCode + posCode;
+    const code = boardCode + posCode;
+    return this.withBoardSet(
+      options.checkCharacter ? code + this.computeCheckCharacter(code) : code,
+      options.boardSet
+    );
   }
   
   /**
-   * 解码完整游戏配置
-   * @param {string} code - 12位十六进制完整编码
-   * @returns {{boardConfig: Array, robotPositions: Object}}
+   * 计算编码的校验字符（Luhn mod 16）
+   * 能发现任意单个字符错误和绝大多数相邻字符对调
+   * @param {string} code - 12位或20位十六进制编码（不含校验字符）
+   * @returns {string} 1位十六进制字符
    */
-  static decodeGame(code) {
-    if (!/^[0-9A-Fa-f]{12}$/.test(code)) {
+  static computeCheckCharacter(code) {
+    if (!/^(?:[0-9A-Fa-f]{12}|[0-9A-Fa-f]{20})$/.test(code)) {
       throw new Error(`Invalid game code format: ${code}`);
     }
     
-    const boardCode = code.substr(0, 4);
-    const posCode = code.substr(4, 8);
+    let sum = 0;
+    let factor = 2;
+    for (let i = code.length - 1; i >= 0; i--) {
+      const addend = factor * parseInt(code[i], 16);
+      sum += Math.floor(addend / 16) + (addend % 16);
+      factor = factor === 2 ? 1 : 2;
+    }
+    
+    return ((16 - (sum % 16)) % 16).toString(16).toUpperCase();
+  }
+  
+  /**
+   * 拆分游戏编码
+   * @param {string} fullCode - 游戏编码（12/20位，可带1位校验字符和小棋盘库前缀）
+   * @returns {{boardSet: string, baseCode: string, boardCode: string, positionsCode: string, checkCharacter: string|null}}
+   *          baseCode 为去掉库前缀和校验字符的编码
+   */
+  static splitGameCode(fullCode) {
+    const { boardSet, code } = this.splitBoardSet(fullCode);
+    if (!GAME_CODE_PATTERN.test(code)) {
+      throw new Error(`Invalid game code format: ${fullCode}`);
+    }
+    
+    // 不带校验字符的编码长度为偶数
+    const hasCheck = code.length % 2 === 1;
+    const baseCode = hasCheck ? code.slice(0, -1) : code;
     
     return {
+      boardSet,
+      baseCode,
+      boardCode: baseCode.slice(0, -8),
+      positionsCode: baseCode.slice(-8),
+      checkCharacter: hasCheck ? code[code.length - 1] : null
+    };
+  }
+  
+  /**
+   * 校验字符是否正确（没有校验字符时视为正确）
+   * @param {string} code - 游戏编码
+   * @returns {boolean}
+   */
+  static hasValidCheckCharacter(code) {
+    const { baseCode, checkCharacter } = this.splitGameCode(code);
+    return checkCharacter === null ||
+      this.computeCheckCharacter(baseCode) === checkCharacter.toUpperCase();
+  }
+  
+  /**
+   * 解码完整游戏配置
+   * @param {string} code - 12位（长棋盘码时20位）十六进制完整编码，可带1位校验字符和小棋盘库前缀
+   * @returns {{boardSet: string, boardConfig: Array, robotPositions: Object}}
+   */
+  static decodeGame(code) {
+    const { boardSet, boardCode, positionsCode: posCode } = this.splitGameCode(code);
+    if (!this.hasValidCheckCharacter(code)) {
+      throw new Error(`Game code check character mismatch: ${code}`);
+    }
+    
+    return {
+      boardSet,
       boardConfig: this.decodeBoardConfig(boardCode),
       robotPositions: this.decodeRobotPositions(posCode)
     };
   }
   
+  /**
+   * 是否为扩展游戏编码
+   * @param {string} code
+   * @returns {boolean}
+   */
+  static isExtendedGameCode(code) {
+    return typeof code === 'string' && code.startsWith(EXTENDED_PREFIX);
+  }
+  
+  /**
+   * 编码扩展游戏编码（可携带当前位置、规则、已完成的轮次和终点顺序）
+   * @param {Object} game - 游戏数据
+   * @param {string} game.boardCode - 4位或12位十六进制棋盘码
+   * @param {Object} game.robotPositions - 初始棋子位置
+   * @param {Object} game.currentPositions - 当前棋子位置（可选）
+   * @param {Object} game.rules - 规则 RuleSet.toJSON()（可选）
+   * @param {Array<{target: {x, y}, moves: Array<{robotColor, direction}>}>} game.rounds - 已完成的轮次（可选）
+   * @param {Array<{x, y}>} game.targetOrder - 终点顺序（可选）
+   * @param {string} game.boardSet - 小棋盘库（可选，官方库不记录）
+   * @returns {string} 扩展编码
+   */
+  static encodeExtendedGame(game) {
+    const { boardCode, robotPositions, currentPositions, rules, rounds, targetOrder, boardSet } = game;
+    
+    if (!/^(?:[0-9A-Fa-f]{4}|[0-9A-Fa-f]{12})$/.test(boardCode)) {
+      throw new Error(`Invalid board code format: ${boardCode}`);
+    }
+    
+    const version = boardCode.length === 4 ? 1 : 2;
+    const bytes = [
+      ...this.hexToBytes(boardCode),
+      ...this.hexToBytes(this.encodeRobotPositions(robotPositions))
+    ];
+    
+    let sections = 0;
+    if (rules) sections |= SECTION_RULES;
+    if (currentPositions) sections |= SECTION_CURRENT_POSITIONS;
+    if (rounds && rounds.length > 0) sections |= SECTION_ROUNDS;
+    if (targetOrder && targetOrder.length > 0) sections |= SECTION_TARGET_ORDER;
+    if (boardSet && boardSet !== DEFAULT_BOARD_SET) sections |= SECTION_BOARD_SET;
+    bytes.push(sections);
+    
+    if (sections & SECTION_RULES) {
+      if (!Number.isInteger(rules.minSolutionSteps) || rules.minSolutionSteps < 1 || rules.minSolutionSteps > 255) {
+        throw new Error(`Invalid minSolutionSteps: ${rules.minSolutionSteps}`);
+      }
+      bytes.push(
+        Math.max(0, RULE_NAMES.indexOf(rules.name)),
+        rules.minSolutionSteps,
+        (rules.prismPassThrough ? 0x1 : 0) |
+        (rules.allowOtherColorTargets ? 0x2 : 0) |
+        (rules.requireSingleRobot ? 0x4 : 0)
+      );
+    }
+    
+    if (sections & SECTION_CURRENT_POSITIONS) {
+      bytes.push(...this.hexToBytes(this.encodeRobotPositions(currentPositions)));
+    }
+    
+    if (sections & SECTION_ROUNDS) {
+      this.pushCount(bytes, rounds.length, 'rounds');
+      rounds.forEach((round, index) => {
+        if (!round.moves || round.moves.length === 0) {
+          throw new Error(`Round ${index + 1} has no moves`);
+        }
+        bytes.push(this.encodePositionByte(round.target));
+        this.pushCount(bytes, round.moves.length, 'moves');
+        
+        // 每步4位：2位棋子颜色 + 2位方向
+        const nibbles = round.moves.map(move => {
+          const color = CONSTANTS.COLOR_ORDER.indexOf(move.robotColor);
+          const direction = CONSTANTS.DIRECTION_ORDER.indexOf(move.direction);
+          if (color < 0 || direction < 0) {
+            throw new Error(`Invalid move in round ${index + 1}: ${move.robotColor} ${move.direction}`);
+          }
+          return (color << 2) | direction;
+        });
+        for (let i = 0; i < nibbles.length; i += 2) {
+          bytes.push((nibbles[i] << 4) | (nibbles[i + 1] || 0));
+        }
+      });
+    }
+    
+    if (sections & SECTION_TARGET_ORDER) {
+      this.pushCount(bytes, targetOrder.length, 'targets');
+      targetOrder.forEach(pos => bytes.push(this.encodePositionByte(pos)));
+    }
+    
+    if (sections & SECTION_BOARD_SET) {
+      if (!this.isValidBoardSetName(boardSet)) {
+        throw new Error(`Invalid board set name: ${boardSet}`);
+      }
+      bytes.push(boardSet.length, ...[...boardSet].map(char => char.charCodeAt(0)));
+    }
+    
+    const checksum = this.crc16([version, ...bytes]);
+    bytes.push(checksum >> 8, checksum & 0xFF);
+    
+    return EXTENDED_PREFIX + version.toString(36).toUpperCase() + this.bytesToBase64Url(bytes);
+  }
+  
+  /**
+   * 解码扩展游戏编码
+   * @param {string} code - 扩展编码
+   * @returns {{version, boardSet, boardCode, boardConfig, robotPositions, currentPositions, rules, rounds, targetOrder}}
+   *          未包含的可选段为 null（rounds 和 targetOrder 为空数组，boardSet 为官方库）
+   */
+  static decodeExtendedGame(code) {
+    if (!this.isExtendedGameCode(code) || !/^[0-9A-Za-z][A-Za-z0-9_-]+$/.test(code.slice(1))) {
+      throw new Error(`Invalid extended game code format: ${code}`);
+    }
+    
+    const version = parseInt(code[1], 36);
+    if (!EXTENDED_VERSIONS.includes(version)) {
+      throw new Error(`Unsupported game code version: ${version}`);
+    }
+    
+    const bytes = this.base64UrlToBytes(code.slice(2));
+    if (bytes.length < 9) {
+      throw new Error('Extended game code is too short');
+    }
+    
+    const payload = bytes.slice(0, -2);
+    const checksum = (bytes[bytes.length - 2] << 8) | bytes[bytes.length - 1];
+    if (this.crc16([version, ...payload]) !== checksum) {
+      throw new Error('Extended game code checksum mismatch');
+    }
+    
+    let offset = 0;
+    const read = (count) => {
+      if (offset + count > payload.length) {
+        throw new Error('Extended game code is truncated');
+      }
+      const chunk = payload.slice(offset, offset + count);
+      offset += count;
+      return chunk;
+    };
+    
+    const boardCode = this.bytesToHex(read(version === 1 ? 2 : 6));
+    const robotPositions = this.decodeRobotPositions(this.bytesToHex(read(4)));
+    const [sections] = read(1);
+    
+    let rules = null;
+    if (sections & SECTION_RULES) {
+      const [nameIndex, minSolutionSteps, options] = read(3);
+      rules = {
+        name: RULE_NAMES[nameIndex] || 'custom',
+        minSolutionSteps,
+        prismPassThrough: Boolean(options & 0x1),
+        allowOtherColorTargets: Boolean(options & 0x2),
+        requireSingleRobot: Boolean(options & 0x4)
+      };
+    }
+    
+    const currentPositions = (sections & SECTION_CURRENT_POSITIONS)
+      ? this.decodeRobotPositions(this.bytesToHex(read(4)))
+      : null;
+    
+    const rounds = [];
+    if (sections & SECTION_ROUNDS) {
+      const [roundCount] = read(1);
+      for (let r = 0; r < roundCount; r++) {
+        const [targetByte, moveCount] = read(2);
+        const packed = read(Math.ceil(moveCount / 2));
+        const moves = [];
+        for (let i = 0; i < moveCount; i++) {
+          const nibble = i % 2 === 0 ? packed[i >> 1] >> 4 : packed[i >> 1] & 0xF;
+          moves.push({
+            robotColor: CONSTANTS.COLOR_ORDER[nibble >> 2],
+            direction: CONSTANTS.DIRECTION_ORDER[nibble & 0x3]
+          });
+        }
+        rounds.push({ target: this.decodePositionByte(targetByte), moves });
+      }
+    }
+    
+    const targetOrder = [];
+    if (sections & SECTION_TARGET_ORDER) {
+      const [targetCount] = read(1);
+      read(targetCount).forEach(byte => targetOrder.push(this.decodePositionByte(byte)));
+    }
+    
+    let boardSet = DEFAULT_BOARD_SET;
+    if (sections & SECTION_BOARD_SET) {
+      const [length] = read(1);
+      boardSet = String.fromCharCode(...read(length));
+      if (!this.isValidBoardSetName(boardSet)) {
+        throw new Error(`Invalid board set name: ${boardSet}`);
+      }
+    }
+    
+    if (offset !== payload.length) {
+      throw new Error('Extended game code has trailing data');
+    }
+    
+    return {
+      version,
+      boardSet,
+      boardCode,
+      boardConfig: this.decodeBoardConfig(boardCode),
+      robotPositions,
+      currentPositions,
+      rules,
+      rounds,
+      targetOrder
+    };
+  }
+  
+  /**
+   * 扩展编码中的计数（1字节）
+   * @param {Array<number>} bytes
+   * @param {number} count
+   * @param {string} label - 出错时的名称
+   */
+  static pushCount(bytes, count, label) {
+    if (count > 255) {
+      throw new Error(`Too many ${label} for an extended game code: ${count}`);
+    }
+    bytes.push(count);
+  }
+  
+  /**
+   * 位置编码为1字节（同 encodePosition）
+   * @param {{x: number, y: number}} pos
+   * @returns {number}
+   */
+  static encodePositionByte(pos) {
+    return parseInt(this.encodePosition(pos.x, pos.y), 16);
+  }
+  
+  /**
+   * 1字节解码为位置
+   * @param {number} byte
+   * @returns {{x: number, y: number}}
+   */
+  static decodePositionByte(byte) {
+    return { x: (byte >> 4) & 0xF, y: byte & 0xF };
+  }
+  
+  /**
+   * 十六进制字符串转字节数组
+   * @param {string} hex
+   * @returns {Array<number>}
+   */
+  static hexToBytes(hex) {
+    const bytes = [];
+    for (let i = 0; i < hex.length; i += 2) {
+      bytes.push(parseInt(hex.substr(i, 2), 16));
+    }
+    return bytes;
+  }
+  
+  /**
+   * 字节数组转大写十六进制字符串
+   * @param {Array<number>} bytes
+   * @returns {string}
+   */
+  static bytesToHex(bytes) {
+    return bytes.map(byte => byte.toString(16).toUpperCase().padStart(2, '0')).join('');
+  }
+  
+  /**
+   * 字节数组转 base64url（无填充）
+   * @param {Array<number>} bytes
+   * @returns {string}
+   */
+  static bytesToBase64Url(bytes) {
+    return btoa(String.fromCharCode(...bytes))
+      .replace(/\+/g, '-')
+      .replace(/\//g, '_')
+      .replace(/=+$/, '');
+  }
+  
+  /**
+   * base64url 转字节数组
+   * @param {string} text
+   * @returns {Array<number>}
+   */
+  static base64UrlToBytes(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    let binary;
+    try {
+      binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    } catch (error) {
+      throw new Error('Invalid base64url data in game code');
+    }
+    return Array.from(binary, char => char.charCodeAt(0));
+  }
+  
+  /**
+   * CRC-16/CCITT-FALSE 校验
+   * @param {Array<number>} bytes
+   * @returns {number} 16位校验值
+   */
+  static crc16(bytes) {
+    let crc = 0xFFFF;
+    bytes.forEach(byte => {
+      crc ^= byte << 8;
+      for (let i = 0; i < 8; i++) {
+        crc = (crc & 0x8000) ? ((crc << 1) ^ 0x1021) & 0xFFFF : (crc << 1) & 0xFFFF;
+      }
+    });
+    return crc;
+  }
+  
   /**
    * 生成随机游戏编码
    * @param {Object} options - 配置选项
@@ -222,47 +699,204 @@ export class Encoder {
   }
   
   /**
-   * 验证游戏编码的有效性
-   * @param {string} code - 游戏编码
-   * @returns {{valid: boolean, errors: Array<string>}}
+   * 验证游戏编码的有效性，并指出出错的编码段
+   * 编码段：boardSet（小棋盘库前缀）、board（棋盘码）、red/yellow/blue/green（棋子位置）、
+   * check（校验字符）、checksum（扩展编码校验）
+   * @param {string} fullCode - 游戏编码
+   * @param {Array<SmallBoard>} smallBoards - 编码所用库的小棋盘数组（可选，提供时检查棋盘是否存在和颜色是否重复）
+   * @returns {{valid: boolean, boardSet: string|null, errors: Array<string>, segments: Array<string>, suggestions: Array<string>}}
+   *          suggestions 为只差一个字符或一次相邻对调的有效编码（带同样的库前缀）。
+   *          带校验字符时每个位置最多只有一个替换能通过校验，列出全部候选，segments 为所有候选涉及的编码段；
+   *          不带校验字符时候选很多，只列出前 MAX_SUGGESTIONS 个
    */
-  static validateGameCode(code) {
+  static validateGameCode(fullCode, smallBoards = null) {
     const errors = [];
+    const segments = new Set();
+    let suggestions = [];
     
-    // 格式检查
-    if (!/^[0-9A-Fa-f]{12}$/.test(code)) {
-      errors.push('Invalid code format. Expected 12 hexadecimal characters.');
-      return { valid: false, errors };
-    }
+    const addProblems = (problems) => problems.forEach(problem => {
+      errors.push(problem.message);
+      problem.segments.forEach(segment => segments.add(segment));
+    });
     
-    try {
-      const { boardConfig, robotPositions } = this.decodeGame(code);
-      
-      // 检查棋子位置是否有效
-      Object.entries(robotPositions).forEach(([color, pos]) => {
-        if (this.isInCentralGap(pos.x, pos.y)) {
-          errors.push(`${color} robot is in the central blocked area`);
-        }
-      });
-      
-      // 检查棋子位置是否重复
-      const posSet = new Set();
-      Object.values(robotPositions).forEach(pos => {
-        const key = `${pos.x},${pos.y}`;
-        if (posSet.has(key)) {
-          errors.push(`Duplicate robot position: (${pos.x}, ${pos.y})`);
+    if (this.isExtendedGameCode(fullCode)) {
+      let boardSet = null;
+      try {
+        const decoded = this.decodeExtendedGame(fullCode);
+        boardSet = decoded.boardSet;
+        addProblems(this.findLayoutProblems(decoded.boardConfig, decoded.robotPositions, smallBoards));
+        if (decoded.currentPositions) {
+          addProblems(this.findLayoutProblems(null, decoded.currentPositions, null, ' (current position)'));
         }
-        posSet.add(key);
-      });
+      } catch (error) {
+        errors.push(error.message);
+        segments.add('checksum');
+      }
       
+      return { valid: errors.length === 0, boardSet, errors, segments: this.orderSegments(segments), suggestions };
+    }
+    
+    let boardSet;
+    let code;
+    try {
+      ({ boardSet, code } = this.splitBoardSet(fullCode));
     } catch (error) {
       errors.push(error.message);
+      return { valid: false, boardSet: null, errors, segments: ['boardSet'], suggestions };
+    }
+    
+    // 格式检查
+    if (!GAME_CODE_PATTERN.test(code)) {
+      errors.push('Invalid code format. Expected 12 (or 20) hexadecimal characters.');
+      return { valid: false, boardSet, errors, segments: [], suggestions };
+    }
+    
+    const { boardConfig, robotPositions } = this.decodeGame(this.splitGameCode(code).baseCode);
+    const problems = this.findLayoutProblems(boardConfig, robotPositions, smallBoards);
+    addProblems(problems);
+    
+    if (!this.hasValidCheckCharacter(code)) {
+      // 出错的编码段只能是某个候选编码改动的编码段；没有候选时只报告校验字符
+      const nearby = this.findNearbyGameCodes(code, smallBoards);
+      const likely = new Set(nearby.flatMap(candidate => candidate.segments));
+      
+      if (likely.size > 0) {
+        errors.push(`Check character mismatch (likely in: ${this.orderSegments(likely).join(', ')})`);
+        likely.forEach(segment => segments.add(segment));
+      } else {
+        errors.push('Check character mismatch');
+        segments.add('check');
+      }
+      suggestions = nearby.map(candidate => candidate.code);
+    } else if (problems.length > 0) {
+      suggestions = this.findNearbyGameCodes(code, smallBoards).map(candidate => candidate.code);
+      if (!this.splitGameCode(code).checkCharacter) {
+        suggestions = suggestions.slice(0, MAX_SUGGESTIONS);
+      }
     }
     
     return {
       valid: errors.length === 0,
-      errors
+      boardSet,
+      errors,
+      segments: this.orderSegments(segments),
+      suggestions: suggestions.map(suggestion => this.withBoardSet(suggestion, boardSet))
+    };
+  }
+  
+  /**
+   * 检查棋盘配置和棋子位置
+   * @param {Array|null} boardConfig - 棋盘配置（null 时不检查）
+   * @param {Object} robotPositions - 棋子位置
+   * @param {Array<SmallBoard>} smallBoards - 小棋盘数组（可选）
+   * @param {string} label - 附加在棋子错误信息中的说明
+   * @returns {Array<{segments: Array<string>, message: string}>}
+   */
+  static findLayoutProblems(boardConfig, robotPositions, smallBoards = null, label = '') {
+    const problems = [];
+    
+    if (boardConfig && smallBoards) {
+      const colors = new Set();
+      boardConfig.forEach(({ boardId, faceId }) => {
+        const smallBoard = smallBoards[boardId];
+        if (!smallBoard) {
+          problems.push({ segments: ['board'], message: `Small board ${boardId} not found` });
+          return;
+        }
+        if (!smallBoard.faces.some(face => face.id === faceId)) {
+          problems.push({ segments: ['board'], message: `Small board ${boardId} has no face ${faceId}` });
+        }
+        if (colors.has(smallBoard.color)) {
+          problems.push({ segments: ['board'], message: `Duplicate color: ${smallBoard.color}` });
+        }
+        colors.add(smallBoard.color);
+      });
+    }
+    
+    // 检查棋子位置是否有效
+    Object.entries(robotPositions).forEach(([color, pos]) => {
+      if (this.isInCentralGap(pos.x, pos.y)) {
+        problems.push({ segments: [color], message: `${color} robot${label} is in the central blocked area` });
+      }
+    });
+    
+    // 检查棋子位置是否重复（两个棋子都可能是出错的一方）
+    const posMap = new Map();
+    Object.entries(robotPositions).forEach(([color, pos]) => {
+      const key = `${pos.x},${pos.y}`;
+      if (posMap.has(key)) {
+        problems.push({ segments: [posMap.get(key), color], message: `Duplicate robot position${label}: (${pos.x}, ${pos.y})` });
+      }
+      posMap.set(key, color);
+    });
+    
+    return problems;
+  }
+  
+  /**
+   * 找出只差一个字符或一次相邻对调的有效编码（带校验字符时须校验通过）
+   * 单字符替换和相邻对调同样可能；改动了原编码中有问题的编码段（如棋子在中央区域）的候选排在前面，
+   * 其余按改动位置在编码中的先后排列
+   * @param {string} code - 12或20位十六进制编码（可带校验字符）
+   * @param {Array<SmallBoard>} smallBoards - 小棋盘数组（可选）
+   * @returns {Array<{code: string, segments: Array<string>}>}
+   */
+  static findNearbyGameCodes(code, smallBoards = null) {
+    const upper = code.toUpperCase();
+    const { boardCode, baseCode } = this.splitGameCode(code);
+    const boardLength = boardCode.length;
+    const candidates = [];
+    const seen = new Set([upper]);
+    
+    // 原编码中有问题的编码段
+    const { boardConfig, robotPositions } = this.decodeGame(baseCode);
+    const suspect = new Set(this.findLayoutProblems(boardConfig, robotPositions, smallBoards).flatMap(problem => problem.segments));
+    
+    const consider = (candidate, indexes) => {
+      if (seen.has(candidate)) return;
+      seen.add(candidate);
+      if (!this.hasValidCheckCharacter(candidate)) return;
+      
+      const decoded = this.decodeGame(this.splitGameCode(candidate).baseCode);
+      if (this.findLayoutProblems(decoded.boardConfig, decoded.robotPositions, smallBoards).length > 0) return;
+      
+      const segments = [...new Set(indexes.map(i => this.segmentAt(i, boardLength)))];
+      candidates.push({ code: candidate, segments, index: indexes[0], fixesSuspect: segments.some(segment => suspect.has(segment)) });
     };
+    
+    for (let i = 0; i < upper.length; i++) {
+      for (let value = 0; value < 16; value++) {
+        consider(upper.slice(0, i) + value.toString(16).toUpperCase() + upper.slice(i + 1), [i]);
+      }
+      if (i < upper.length - 1) {
+        consider(upper.slice(0, i) + upper[i + 1] + upper[i] + upper.slice(i + 2), [i, i + 1]);
+      }
+    }
+    
+    return candidates
+      .sort((a, b) => (b.fixesSuspect - a.fixesSuspect) || (a.index - b.index))
+      .map(({ code: candidate, segments }) => ({ code: candidate, segments }));
+  }
+  
+  /**
+   * 按编码中的先后顺序排列编码段
+   * @param {Set<string>} segments
+   * @returns {Array<string>}
+   */
+  static orderSegments(segments) {
+    return ['boardSet', 'board', ...CONSTANTS.COLOR_ORDER, 'check', 'checksum'].filter(segment => segments.has(segment));
+  }
+  
+  /**
+   * 编码中第index个字符所在的编码段
+   * @param {number} index
+   * @param {number} boardLength - 棋盘码长度（4或12）
+   * @returns {string} board、棋子颜色或 check
+   */
+  static segmentAt(index, boardLength = 4) {
+    if (index < boardLength) return 'board';
+    if (index < boardLength + 8) return CONSTANTS.COLOR_ORDER[(index - boardLength) >> 1];
+    return 'check';
   }
 }
 
@@ -0,0 +1,18 @@
+/**
+ * 随机数工具
+ * 批量分析、谜题生成和测试需要可复现的随机局面时使用
+ */
+
+export class Random {
+  /**
+   * 可复现的随机数函数（线性同余），可传给 Game.createRandom 等接受 random 参数的方法
+   * @param {number} seed - 种子
+   * @returns {Function} 返回[0, 1)
+   */
+  static seeded(seed) {
+    let state = seed >>> 0;
+    return () => (state = (Math.imul(state, 1103515245) + 12345) >>> 0) / 4294967296;
+  }
+}
+
+export default Random;
@@ -0,0 +1,142 @@
+/**
+ * Board 大棋盘测试
+ * 使用 data/ 中的小棋盘检查所有合法组合
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Board } from '../src/core/Board.js';
+import { SmallBoard } from '../src/core/SmallBoard.js';
+import CONSTANTS from '../src/utils/Constants.js';
+import { NodeBoardLoader } from '../tools/NodeBoardLoader.js';
+import { BatchAnalyzer } from '../tools/BatchAnalyzer.js';
+import { createSimpleTestBoard } from './helpers.js';
+
+const smallBoards = NodeBoardLoader.loadAll();
+const configs = BatchAnalyzer.enumerateConfigs(smallBoards);
+
+const OPPOSITES = { top: 'bottom', bottom: 'top', left: 'right', right: 'left' };
+const OFFSETS = { top: [0, -1], bottom: [0, 1], left: [-1, 0], right: [1, 0] };
+
+test('小棋盘数据 - 文件序号即棋盘ID，每种颜色两块', () => {
+  assert.equal(smallBoards.length, 8);
+  smallBoards.forEach((board, index) => {
+    assert.equal(board.id, index, `board-${index}.json 的ID应为${index}`);
+    assert.equal(board.faces.length, 2, `board-${index}.json 应有两个面`);
+  });
+  CONSTANTS.COLOR_ORDER.forEach(color => {
+    assert.equal(smallBoards.filter(b => b.color === color).length, 2, `${color}应有两块小棋盘`);
+  });
+});
+
+test('所有合法组合 - 终点、中央区域和双向墙壁', () => {
+  assert.equal(configs.length, 6144);
+
+  configs.forEach(config => {
+    const board = new Board(config, smallBoards);
+    const code = board.code;
+
+    const expectedTargets = config.reduce((sum, { boardId, faceId }) => {
+      return sum + smallBoards[boardId].getAllTargets(faceId).length;
+    }, 0);
+    assert.equal(board.targets.length, expectedTargets, `${code} 终点数量`);
+    board.targets.forEach(target => {
+      assert.equal(board.getCell(target.x, target.y).target, target, `${code} ${target.id} 应放在所在格子上`);
+      assert.ok(board.isValidPosition(target.x, target.y), `${code} ${target.id} 不应在中央区域`);
+    });
+
+    [7, 8].forEach(y => [7, 8].forEach(x => {
+      assert.ok(!board.isValidPosition(x, y), `${code} (${x},${y}) 应为中央禁区`);
+    }));
+
+    for (let y = 0; y < board.size; y++) {
+      for (let x = 0; x < board.size; x++) {
+        const cell = board.getCell(x, y);
+        Object.entries(OFFSETS).forEach(([side, [dx, dy]]) => {
+          const neighbor = board.getCell(x + dx, y + dy);
+          if (!neighbor) {
+            assert.ok(cell.hasWall(side), `${code} (${x},${y}) 外边界应有${side}墙`);
+          } else if (cell.hasWall(side) !== neighbor.hasWall(OPPOSITES[side])) {
+            assert.fail(`${code} (${x},${y}) ${side}墙与相邻格子不一致`);
+          }
+        });
+      }
+    }
+  });
+});
+
+test('编码构建 - 与配置数组得到相同的棋盘', () => {
+  const config = configs[1234];
+  const fromConfig = new Board(config, smallBoards);
+  const fromCode = new Board(fromConfig.code, smallBoards);
+
+  assert.equal(fromCode.code, fromConfig.code);
+  assert.deepEqual(fromCode.toJSON().targets, fromConfig.toJSON().targets);
+  assert.deepEqual(fromCode.getStats(), fromConfig.getStats());
+});
+
+test('配置验证 - 颜色重复或棋盘不存在时报错', () => {
+  assert.throws(
+    () => new Board([0, 1, 2, 4].map(boardId => ({ boardId, faceId: 0 })), smallBoards),
+    /Duplicate color: red/
+  );
+  assert.throws(
+    () => new Board([0, 2, 4, 6].map(boardId => ({ boardId, faceId: 0 })), smallBoards.slice(0, 6)),
+    /Small board 6 not found/
+  );
+});
+
+test('终点检查 - 找出无法仅靠墙壁停下的终点', () => {
+  const { board, allBoards } = createSimpleTestBoard();
+  assert.deepEqual(board.findUnreachableTargets(), [], '(3,2)下方有墙，终点应可到达');
+
+  // 空地上的终点只能借助挡路棋子；四面被墙围住的终点无法进入
+  const face = {
+    id: 0,
+    walls: [{ x: 5, y: 5, sides: ['top', 'right', 'bottom', 'left'] }],
+    prisms: [],
+    targets: [
+      { x: 3, y: 4, shape: 'circle', color: 'red', id: 'open' },
+      { x: 5, y: 5, shape: 'square', color: 'red', id: 'walled' }
+    ]
+  };
+  const boards = [new SmallBoard({ id: 0, color: 'red', originalGap: { x: 0, y: 0 }, faces: [face] }), ...allBoards.slice(1)];
+  const problems = new Board(board.config, boards).findUnreachableTargets();
+
+  assert.deepEqual(
+    Object.fromEntries(problems.map(p => [p.target.id, p.reason])),
+    { open: 'needs-blocker', walled: 'unreachable' }
+  );
+  problems.forEach(({ reason }) => assert.ok(Board.REACHABILITY_REASONS[reason], `${reason} 缺少说明文字`));
+});
+
+test('终点检查 - 单块小棋盘的问题坐标按缺口位置转回小棋盘坐标', () => {
+  const face = {
+    id: 1,
+    walls: [{ x: 5, y: 5, sides: ['top', 'right', 'bottom', 'left'] }],
+    prisms: [],
+    targets: [
+      { x: 3, y: 4, shape: 'circle', color: 'red', id: 'open' },
+      { x: 5, y: 5, shape: 'square', color: 'red', id: 'walled' }
+    ]
+  };
+
+  // 缺口不在(0,0)时小棋盘放进右下角会被旋转
+  [{ x: 0, y: 0 }, { x: 7, y: 0 }, { x: 7, y: 7 }, { x: 0, y: 7 }].forEach(originalGap => {
+    const problems = Board.findUnreachableTargetsOnSmallBoard({ id: 0, color: 'red', originalGap, faces: [face] }, 1);
+    assert.deepEqual(
+      Object.fromEntries(problems.map(({ target, reason, x, y }) => [target.id, { reason, x, y }])),
+      { open: { reason: 'needs-blocker', x: 3, y: 4 }, walled: { reason: 'unreachable', x: 5, y: 5 } },
+      `缺口(${originalGap.x},${originalGap.y})`
+    );
+  });
+});
+
+test('终点检查 - 发布的小棋盘没有无法停下的终点', () => {
+  // 每块小棋盘的每个面在四个位置各出现一次即可覆盖所有旋转
+  configs.filter((config, index) => index % 64 === 0).forEach(config => {
+    const board = new Board(config, smallBoards);
+    const problems = board.findUnreachableTargets();
+    assert.deepEqual(problems.map(p => p.target.id), [], `${board.code} 有无法停下的终点`);
+  });
+});
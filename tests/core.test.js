@@ -0,0 +1,98 @@
+/**
+ * 核心类测试（Cell、Target、Robot、BiddingRound）
+ * 对应 test-core.html
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Cell } from '../src/core/Cell.js';
+import { Target } from '../src/core/Target.js';
+import { Robot } from '../src/core/Robot.js';
+import { BiddingRound } from '../src/core/BiddingRound.js';
+
+test('Cell - 创建和基本功能', () => {
+  const cell = new Cell(5, 10);
+  assert.equal(cell.x, 5);
+  assert.equal(cell.y, 10);
+  assert.ok(cell.isEmpty(), '应该为空');
+});
+
+test('Cell - 墙壁设置', () => {
+  const cell = new Cell(0, 0);
+  cell.setWalls(['top', 'right']);
+  assert.ok(cell.hasWall('top'), 'top墙壁应该存在');
+  assert.ok(cell.hasWall('right'), 'right墙壁应该存在');
+  assert.ok(!cell.hasWall('bottom'), 'bottom墙壁不应存在');
+});
+
+test('Target - 创建', () => {
+  const target = new Target(5, 5, 'circle', 'red', 'T1');
+  assert.equal(target.id, 'T1');
+});
+
+test('Target - 颜色匹配', () => {
+  const target = new Target(5, 5, 'circle', 'red', 'T1');
+  assert.ok(target.canAccept('red'), '应该接受红色');
+  assert.ok(!target.canAccept('blue'), '不应该接受蓝色');
+});
+
+test('Target - 彩色终点', () => {
+  const target = new Target(5, 5, 'circle', 'rainbow', 'T1');
+  assert.ok(target.canAccept('red'), '彩色应接受所有颜色');
+  assert.ok(target.canAccept('blue'), '彩色应接受所有颜色');
+});
+
+test('Robot - 创建', () => {
+  const robot = new Robot('red', 1, 2);
+  assert.equal(robot.color, 'red');
+  assert.deepEqual([robot.x, robot.y], [1, 2]);
+});
+
+test('Robot - 移动', () => {
+  const robot = new Robot('red', 0, 0);
+  robot.moveTo(5, 10);
+  assert.deepEqual([robot.x, robot.y], [5, 10]);
+});
+
+test('Robot - 重置', () => {
+  const robot = new Robot('red', 0, 0);
+  robot.moveTo(5, 10);
+  robot.reset();
+  assert.deepEqual([robot.x, robot.y], [0, 0]);
+});
+
+test('Robot - 曼哈顿距离', () => {
+  const robot = new Robot('red', 0, 0);
+  assert.equal(robot.manhattanDistance(3, 4), 7);
+});
+
+test('BiddingRound - 第一次报价开始计时', () => {
+  const round = new BiddingRound('t1', { duration: 1000 });
+  assert.equal(round.deadline, null, '报价前不应开始计时');
+  round.placeBid('甲', 8, 100);
+  assert.equal(round.getRemainingTime(600), 500);
+  assert.throws(() => round.placeBid('乙', 7, 1100), undefined, '超时后不应接受报价');
+});
+
+test('BiddingRound - 只能降低报价', () => {
+  const round = new BiddingRound('t1');
+  round.placeBid('甲', 8, 0);
+  assert.throws(() => round.placeBid('甲', 9, 10), undefined, '不应允许提高报价');
+  round.placeBid('甲', 6, 20);
+  assert.equal(round.bids.length, 1);
+  assert.equal(round.bids[0].moves, 6, '报价应被更新为6');
+});
+
+test('BiddingRound - 低价优先，同价先报者优先', () => {
+  const round = new BiddingRound('t1');
+  round.placeBid('甲', 7, 0);
+  round.placeBid('乙', 5, 10);
+  round.placeBid('丙', 5, 20);
+  round.close();
+  assert.equal(round.getCurrentBid().player, '乙', '应由乙先演示');
+  round.recordAttempt(round.getCurrentBid(), false, 5);
+  assert.equal(round.getCurrentBid().player, '丙', '乙失败后应由丙演示');
+  round.recordAttempt(round.getCurrentBid(), true, 4);
+  assert.equal(round.status, 'finished');
+  assert.equal(round.winner, '丙', '丙应获胜');
+});
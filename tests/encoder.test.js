@@ -0,0 +1,374 @@
+/**
+ * Encoder 编码解码测试
+ * 对应 test-utils.html
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Encoder } from '../src/utils/Encoder.js';
+
+const BOARDS = [
+  { boardId: 3, faceId: 0 },
+  { boardId: 5, faceId: 1 },
+  { boardId: 2, faceId: 0 },
+  { boardId: 7, faceId: 1 }
+];
+
+const DECODED_BOARDS = [
+  { boardId: 3, faceId: 0, position: 'topLeft' },
+  { boardId: 5, faceId: 1, position: 'topRight' },
+  { boardId: 2, faceId: 0, position: 'bottomLeft' },
+  { boardId: 7, faceId: 1, position: 'bottomRight' }
+];
+
+const POSITIONS = {
+  red: { x: 1, y: 2 },
+  yellow: { x: 14, y: 1 },
+  blue: { x: 1, y: 14 },
+  green: { x: 14, y: 14 }
+};
+
+test('编码/解码小棋盘', () => {
+  assert.equal(Encoder.encodeSmallBoard(3, 0), '6');
+  assert.equal(Encoder.encodeSmallBoard(7, 1), 'F');
+  assert.deepEqual(Encoder.decodeSmallBoard('6'), { boardId: 3, faceId: 0 });
+  assert.deepEqual(Encoder.decodeSmallBoard('F'), { boardId: 7, faceId: 1 });
+});
+
+test('编码/解码大棋盘配置', () => {
+  assert.equal(Encoder.encodeBoardConfig(BOARDS), '6B4F');
+  assert.deepEqual(Encoder.decodeBoardConfig('6B4F'), DECODED_BOARDS);
+});
+
+test('编码/解码单个位置', () => {
+  assert.equal(Encoder.encodePosition(5, 10), '5A');
+  assert.equal(Encoder.encodePosition(15, 15), 'FF');
+  assert.deepEqual(Encoder.decodePosition('5A'), { x: 5, y: 10 });
+});
+
+test('编码/解码棋子位置', () => {
+  assert.equal(Encoder.encodeRobotPositions(POSITIONS), '12E11EEE');
+  assert.deepEqual(Encoder.decodeRobotPositions('12E11EEE'), POSITIONS);
+});
+
+test('编码/解码完整游戏', () => {
+  assert.equal(Encoder.encodeGame('6B4F', POSITIONS), '6B4F12E11EEE');
+
+  const decoded = Encoder.decodeGame('6B4F12E11EEE');
+  assert.deepEqual(decoded.boardConfig, DECODED_BOARDS);
+  assert.deepEqual(decoded.robotPositions, POSITIONS);
+});
+
+test('验证游戏编码', () => {
+  const valid = Encoder.validateGameCode('6B4F12E11EEE');
+  assert.equal(valid.valid, true);
+  assert.deepEqual(valid.errors, []);
+
+  const invalid = Encoder.validateGameCode('INVALID');
+  assert.equal(invalid.valid, false);
+  assert.ok(invalid.errors.length > 0);
+});
+
+test('检测中央区域', () => {
+  assert.equal(Encoder.isInCentralGap(7, 7), true);
+  assert.equal(Encoder.isInCentralGap(6, 7), false);
+});
+
+test('编码后解码应得到原始数据', () => {
+  const boardConfig = [
+    { boardId: 2, faceId: 1 },
+    { boardId: 4, faceId: 0 },
+    { boardId: 6, faceId: 1 },
+    { boardId: 1, faceId: 0 }
+  ];
+  const positions = {
+    red: { x: 0, y: 0 },
+    yellow: { x: 15, y: 0 },
+    blue: { x: 0, y: 15 },
+    green: { x: 15, y: 15 }
+  };
+
+  const gameCode = Encoder.encodeGame(Encoder.encodeBoardConfig(boardConfig), positions);
+  const decoded = Encoder.decodeGame(gameCode);
+
+  assert.deepEqual(decoded.boardConfig.map(({ boardId, faceId }) => ({ boardId, faceId })), boardConfig);
+  assert.deepEqual(decoded.robotPositions, positions);
+});
+
+test('扩展编码 - 只有棋盘和初始位置', () => {
+  const positions = { red: { x: 0, y: 0 }, yellow: { x: 15, y: 0 }, blue: { x: 0, y: 15 }, green: { x: 15, y: 15 } };
+  const code = Encoder.encodeExtendedGame({ boardCode: '3AE5', robotPositions: positions });
+
+  assert.ok(Encoder.isExtendedGameCode(code));
+  assert.ok(!Encoder.isExtendedGameCode('3AE5000FF0FF'));
+  assert.match(code, /^X1[A-Za-z0-9_-]+$/);
+
+  const decoded = Encoder.decodeExtendedGame(code);
+  assert.equal(decoded.version, 1);
+  assert.equal(decoded.boardCode, '3AE5');
+  assert.deepEqual(decoded.robotPositions, positions);
+  assert.equal(decoded.currentPositions, null);
+  assert.equal(decoded.rules, null);
+  assert.deepEqual(decoded.rounds, []);
+  assert.deepEqual(decoded.targetOrder, []);
+});
+
+test('扩展编码 - 规则、当前位置、轮次和终点顺序往返', () => {
+  const game = {
+    boardCode: '048C',
+    robotPositions: { red: { x: 2, y: 13 }, yellow: { x: 13, y: 2 }, blue: { x: 5, y: 4 }, green: { x: 10, y: 11 } },
+    currentPositions: { red: { x: 6, y: 2 }, yellow: { x: 13, y: 2 }, blue: { x: 5, y: 4 }, green: { x: 10, y: 11 } },
+    rules: { name: 'classic', minSolutionSteps: 1, prismPassThrough: true, allowOtherColorTargets: true, requireSingleRobot: false },
+    rounds: [
+      { target: { x: 6, y: 2 }, moves: [
+        { robotColor: 'blue', direction: 'left' },
+        { robotColor: 'red', direction: 'up' },
+        { robotColor: 'red', direction: 'right' }
+      ] }
+    ],
+    targetOrder: [{ x: 12, y: 3 }, { x: 2, y: 4 }]
+  };
+
+  const decoded = Encoder.decodeExtendedGame(Encoder.encodeExtendedGame(game));
+  assert.equal(decoded.boardCode, game.boardCode);
+  assert.deepEqual(decoded.robotPositions, game.robotPositions);
+  assert.deepEqual(decoded.currentPositions, game.currentPositions);
+  assert.deepEqual(decoded.rules, game.rules);
+  assert.deepEqual(decoded.rounds, game.rounds);
+  assert.deepEqual(decoded.targetOrder, game.targetOrder);
+});
+
+test('扩展编码 - 自定义规则名称记为 custom', () => {
+  const positions = { red: { x: 0, y: 0 }, yellow: { x: 15, y: 0 }, blue: { x: 0, y: 15 }, green: { x: 15, y: 15 } };
+  const rules = { name: 'house', minSolutionSteps: 3, prismPassThrough: false, allowOtherColorTargets: false, requireSingleRobot: true };
+  const decoded = Encoder.decodeExtendedGame(Encoder.encodeExtendedGame({ boardCode: '048C', robotPositions: positions, rules }));
+
+  assert.deepEqual(decoded.rules, { ...rules, name: 'custom' });
+});
+
+test('扩展编码 - 校验和与版本', () => {
+  const positions = { red: { x: 0, y: 0 }, yellow: { x: 15, y: 0 }, blue: { x: 0, y: 15 }, green: { x: 15, y: 15 } };
+  const code = Encoder.encodeExtendedGame({ boardCode: '048C', robotPositions: positions });
+
+  const last = code[code.length - 1];
+  const corrupted = code.slice(0, -1) + (last === 'A' ? 'B' : 'A');
+  assert.throws(() => Encoder.decodeExtendedGame(corrupted), /checksum|trailing|Invalid base64url/);
+  assert.throws(() => Encoder.decodeExtendedGame('X9' + code.slice(2)), /Unsupported game code version: 9/);
+  assert.throws(() => Encoder.decodeExtendedGame('X1AA'), /too short/);
+
+  assert.equal(Encoder.validateGameCode(code).valid, true);
+  assert.equal(Encoder.validateGameCode(corrupted).valid, false);
+});
+
+test('扩展编码 - 检查当前位置', () => {
+  const positions = { red: { x: 0, y: 0 }, yellow: { x: 15, y: 0 }, blue: { x: 0, y: 15 }, green: { x: 15, y: 15 } };
+  const code = Encoder.encodeExtendedGame({
+    boardCode: '048C',
+    robotPositions: positions,
+    currentPositions: { ...positions, red: { x: 7, y: 8 } }
+  });
+
+  const result = Encoder.validateGameCode(code);
+  assert.equal(result.valid, false);
+  assert.deepEqual(result.errors, ['red robot (current position) is in the central blocked area']);
+});
+
+test('校验字符 - 编码和解码', () => {
+  const positions = { red: { x: 1, y: 2 }, yellow: { x: 14, y: 1 }, blue: { x: 1, y: 14 }, green: { x: 14, y: 14 } };
+  const code = Encoder.encodeGame('6B4F', positions, { checkCharacter: true });
+
+  assert.equal(code.length, 13);
+  assert.equal(code.slice(0, 12), '6B4F12E11EEE');
+  assert.equal(code[12], Encoder.computeCheckCharacter('6B4F12E11EEE'));
+  assert.deepEqual(Encoder.decodeGame(code).robotPositions, positions);
+  assert.deepEqual(Encoder.decodeGame(code.toLowerCase()).robotPositions, positions);
+  assert.throws(() => Encoder.decodeGame('6B4F12E11EEE' + (code[12] === '0' ? '1' : '0')), /check character mismatch/);
+});
+
+test('校验字符 - 发现所有单字符错误', () => {
+  const base = '048C2DD254AB';
+  const code = base + Encoder.computeCheckCharacter(base);
+
+  for (let i = 0; i < code.length; i++) {
+    for (let value = 0; value < 16; value++) {
+      const char = value.toString(16).toUpperCase();
+      if (char === code[i]) continue;
+      const typo = code.slice(0, i) + char + code.slice(i + 1);
+      assert.equal(Encoder.hasValidCheckCharacter(typo), false, typo);
+    }
+  }
+});
+
+test('校验字符 - 验证时给出出错的编码段和候选编码', () => {
+  const base = '048C2DD254AB';
+  const code = base + Encoder.computeCheckCharacter(base);
+
+  // 相邻对调：黄色棋子位置 D2 → 2D 与红色棋子重叠
+  const swapped = '048C2D2D54AB' + code[12];
+  const result = Encoder.validateGameCode(swapped);
+  assert.equal(result.valid, false);
+  assert.deepEqual(result.segments, ['red', 'yellow']);
+  assert.ok(result.suggestions.includes(code), '候选编码应包含原编码');
+
+  // 单字符错误：候选编码都满足校验字符
+  const typo = '048C2DD245AB' + code[12];
+  const typoResult = Encoder.validateGameCode(typo);
+  assert.equal(typoResult.valid, false);
+  assert.ok(typoResult.errors.some(error => error.startsWith('Check character mismatch')));
+  assert.ok(typoResult.suggestions.includes(code), '候选编码应包含原编码');
+  typoResult.suggestions.forEach(suggestion => {
+    assert.equal(Encoder.validateGameCode(suggestion).valid, true, suggestion);
+  });
+});
+
+test('校验字符 - 单字符错误指出所在编码段并列出原编码', () => {
+  for (const base of ['048C001020301', '048C2DD254AB']) {
+    const code = base.length === 12 ? base + Encoder.computeCheckCharacter(base) : base;
+    for (let i = 0; i < code.length; i++) {
+      const segment = Encoder.segmentAt(i, 4);
+      for (const char of '0123456789ABCDEF') {
+        if (char === code[i]) continue;
+        const typo = code.slice(0, i) + char + code.slice(i + 1);
+        const result = Encoder.validateGameCode(typo);
+        assert.equal(result.valid, false, typo);
+        assert.ok(result.segments.includes(segment), `${typo}: ${result.segments}`);
+        assert.ok(result.suggestions.includes(code), typo);
+      }
+    }
+  }
+});
+
+test('验证游戏编码 - 没有校验字符时按内容指出编码段', () => {
+  const duplicate = Encoder.validateGameCode('048C2DD22DAB');
+  assert.deepEqual(duplicate.segments, ['red', 'blue']);
+  assert.deepEqual(duplicate.errors, ['Duplicate robot position: (2, 13)']);
+  assert.ok(duplicate.suggestions.length > 0);
+  duplicate.suggestions.forEach(suggestion => {
+    assert.equal(Encoder.validateGameCode(suggestion).valid, true, suggestion);
+  });
+
+  const central = Encoder.validateGameCode('048C2DD277AB');
+  assert.deepEqual(central.segments, ['blue']);
+});
+
+test('验证游戏编码 - 提供小棋盘时检查棋盘码', () => {
+  const smallBoards = ['red', 'red', 'yellow', 'yellow', 'blue', 'blue', 'green', 'green']
+    .map((color, id) => ({ id, color, faces: [{ id: 0 }, { id: 1 }] }));
+
+  assert.equal(Encoder.validateGameCode('048C2DD254AB', smallBoards).valid, true);
+
+  const duplicateColor = Encoder.validateGameCode('028C2DD254AB', smallBoards);
+  assert.deepEqual(duplicateColor.segments, ['board']);
+  assert.deepEqual(duplicateColor.errors, ['Duplicate color: red']);
+
+  const missing = Encoder.validateGameCode('048C2DD254AB', smallBoards.slice(0, 6));
+  assert.deepEqual(missing.segments, ['board']);
+  assert.deepEqual(missing.errors, ['Small board 6 not found']);
+});
+
+test('长棋盘码 - 编号超过7时使用12位棋盘码', () => {
+  const boards = [
+    { boardId: 0, faceId: 1 },
+    { boardId: 300, faceId: 0 },
+    { boardId: 2047, faceId: 1 },
+    { boardId: 7, faceId: 0 }
+  ];
+  const boardCode = Encoder.encodeBoardConfig(boards);
+  assert.equal(boardCode, '001258FFF00E');
+  assert.deepEqual(Encoder.decodeBoardConfig(boardCode).map(({ boardId, faceId }) => ({ boardId, faceId })), boards);
+
+  // 编号都不超过7时仍是4位
+  assert.equal(Encoder.encodeBoardConfig(BOARDS), '6B4F');
+  assert.throws(() => Encoder.encodeSmallBoard(2048, 0, 3), /Invalid board ID/);
+  assert.throws(() => Encoder.encodeSmallBoard(8, 0), /Invalid board ID/);
+  assert.equal(Encoder.MAX_BOARD_ID, 2047);
+});
+
+test('长棋盘码 - 20位游戏编码、校验字符和扩展编码', () => {
+  const boardCode = Encoder.encodeBoardConfig([
+    { boardId: 300, faceId: 0 },
+    { boardId: 2, faceId: 1 },
+    { boardId: 4, faceId: 0 },
+    { boardId: 6, faceId: 1 }
+  ]);
+  const positions = { red: { x: 1, y: 2 }, yellow: { x: 13, y: 13 }, blue: { x: 2, y: 5 }, green: { x: 4, y: 10 } };
+
+  const code = Encoder.encodeGame(boardCode, positions, { checkCharacter: true });
+  assert.equal(code.length, 21);
+  assert.deepEqual(Encoder.splitGameCode(code), {
+    boardSet: 'official',
+    baseCode: code.slice(0, 20),
+    boardCode,
+    positionsCode: code.slice(12, 20),
+    checkCharacter: code[20]
+  });
+  assert.equal(Encoder.decodeGame(code).boardConfig[0].boardId, 300);
+  assert.equal(Encoder.validateGameCode(code).valid, true);
+
+  // 棋盘码中的单字符错误（提供小棋盘库时不存在的编号不作为候选）
+  const smallBoards = ['red', 'red', 'yellow', 'yellow', 'blue', 'blue', 'green', 'green']
+    .map((color, id) => ({ id, color, faces: [{ id: 0 }, { id: 1 }] }));
+  smallBoards[300] = { id: 300, color: 'red', faces: [{ id: 0 }, { id: 1 }] };
+  assert.equal(Encoder.validateGameCode(code, smallBoards).valid, true);
+
+  const typo = code.slice(0, 1) + (code[1] === '0' ? '1' : '0') + code.slice(2);
+  const result = Encoder.validateGameCode(typo, smallBoards);
+  assert.equal(result.valid, false);
+  assert.ok(result.segments.includes('board'), result.segments.join());
+  assert.ok(result.suggestions.includes(code));
+
+  const extended = Encoder.encodeExtendedGame({ boardCode, robotPositions: positions });
+  const decoded = Encoder.decodeExtendedGame(extended);
+  assert.equal(decoded.version, 2);
+  assert.equal(decoded.boardCode, boardCode);
+  assert.deepEqual(decoded.robotPositions, positions);
+
+  // 短棋盘码仍使用第1版扩展编码
+  assert.equal(Encoder.decodeExtendedGame(Encoder.encodeExtendedGame({ boardCode: '3AE5', robotPositions: positions })).version, 1);
+});
+
+test('小棋盘库前缀 - 编码、拆分和检查', () => {
+  const positions = { red: { x: 1, y: 2 }, yellow: { x: 13, y: 13 }, blue: { x: 2, y: 5 }, green: { x: 4, y: 10 } };
+  const code = Encoder.encodeGame('0246', positions, { checkCharacter: true, boardSet: 'experimental' });
+  assert.ok(code.startsWith('experimental:'));
+  assert.equal(Encoder.encodeGame('0246', positions, { boardSet: 'official' }), Encoder.encodeGame('0246', positions));
+
+  assert.deepEqual(Encoder.splitBoardSet(code), { boardSet: 'experimental', code: code.slice(13) });
+  assert.deepEqual(Encoder.splitBoardSet('048C2DD254AB'), { boardSet: 'official', code: '048C2DD254AB' });
+  assert.equal(Encoder.splitGameCode(code).baseCode, code.slice(13, 25));
+  assert.equal(Encoder.decodeGame(code).boardSet, 'experimental');
+  assert.equal(Encoder.getBoardSet(code), 'experimental');
+  assert.equal(Encoder.getBoardSet('048C2DD254AB'), 'official');
+  assert.equal(Encoder.getBoardSet('X1corrupt'), null);
+  assert.throws(() => Encoder.splitBoardSet('Bad Name:048C2DD254AB'), /Invalid board set name/);
+
+  const valid = Encoder.validateGameCode(code);
+  assert.equal(valid.valid, true);
+  assert.equal(valid.boardSet, 'experimental');
+
+  // 候选编码保留库前缀
+  const typo = code.slice(0, 14) + (code[14] === '2' ? '3' : '2') + code.slice(15);
+  const result = Encoder.validateGameCode(typo);
+  assert.equal(result.valid, false);
+  assert.ok(result.suggestions.length > 0);
+  result.suggestions.forEach(suggestion => assert.ok(suggestion.startsWith('experimental:'), suggestion));
+
+  const badName = Encoder.validateGameCode('Bad:048C2DD254AB');
+  assert.deepEqual(badName.segments, ['boardSet']);
+  assert.equal(badName.boardSet, null);
+});
+
+test('小棋盘库前缀 - 扩展编码记录小棋盘库', () => {
+  const positions = { red: { x: 1, y: 2 }, yellow: { x: 13, y: 13 }, blue: { x: 2, y: 5 }, green: { x: 4, y: 10 } };
+  const code = Encoder.encodeExtendedGame({ boardCode: '0246', robotPositions: positions, boardSet: 'experimental' });
+  assert.equal(Encoder.decodeExtendedGame(code).boardSet, 'experimental');
+  assert.equal(Encoder.getBoardSet(code), 'experimental');
+  assert.equal(Encoder.validateGameCode(code).boardSet, 'experimental');
+
+  // 官方库不记录
+  const official = Encoder.encodeExtendedGame({ boardCode: '0246', robotPositions: positions, boardSet: 'official' });
+  assert.equal(official, Encoder.encodeExtendedGame({ boardCode: '0246', robotPositions: positions }));
+  assert.equal(Encoder.decodeExtendedGame(official).boardSet, 'official');
+
+  assert.throws(() => Encoder.encodeExtendedGame({ boardCode: '0246', robotPositions: positions, boardSet: 'Bad' }), /Invalid board set name/);
+});
@@ -0,0 +1,271 @@
+/**
+ * Game 轮次撤销/重做/回退和扩展编码测试
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Game } from '../src/core/Game.js';
+import { RuleSet } from '../src/core/RuleSet.js';
+import { Encoder } from '../src/utils/Encoder.js';
+import { PathFinder } from '../src/algorithm/PathFinder.js';
+import { NodeBoardLoader } from '../tools/NodeBoardLoader.js';
+
+const GAME_CODE = '048C2DD254AB';
+const smallBoards = NodeBoardLoader.loadAll();
+
+/**
+ * 从当前局面求解一个可用终点（步数满足规则的最少步数）
+ * @param {Game} game
+ * @returns {Object} {targetId, result}
+ */
+function solveNextTarget(game) {
+  for (const { target, eligibleColors, position } of game.getAvailableTargets()) {
+    const result = new PathFinder(game.board, game.robots, game.ruleSet)
+      .findBestPath(eligibleColors, position);
+    if (result.success && result.steps >= game.ruleSet.minSolutionSteps) {
+      return { targetId: target.id, result };
+    }
+  }
+  throw new Error('No solvable target');
+}
+
+/**
+ * 执行一轮（求解下一个可用终点）
+ * @param {Game} game
+ * @returns {Object} roundData
+ */
+function playRound(game) {
+  const { targetId, result } = solveNextTarget(game);
+  return game.executeRound(targetId, result.robotColor, result.path, result.steps);
+}
+
+/**
+ * 比较用的局面快照
+ * @param {Game} game
+ * @returns {Object}
+ */
+function snapshot(game) {
+  return {
+    positions: game.getCurrentPositions(),
+    totalSteps: game.totalSteps,
+    currentRound: game.currentRound,
+    usedTargets: game.rounds.map(r => r.targetInfo.id),
+    available: game.getAvailableTargets().map(t => t.target.id)
+  };
+}
+
+test('Game - 撤销一轮恢复棋子位置、步数、轮次和终点', () => {
+  const game = new Game(GAME_CODE, smallBoards);
+  game.start();
+
+  const before = snapshot(game);
+  const round = playRound(game);
+  assert.notDeepEqual(snapshot(game), before);
+
+  const undone = game.undoRound();
+  assert.equal(undone, round);
+  assert.deepEqual(snapshot(game), before);
+  assert.ok(game.getAvailableTargets().some(t => t.target.id === round.targetId), '终点应重新可用');
+});
+
+test('Game - 重做恢复撤销前的局面', () => {
+  const game = new Game(GAME_CODE, smallBoards);
+  game.start();
+
+  playRound(game);
+  playRound(game);
+  const after = snapshot(game);
+
+  game.undoRound();
+  game.undoRound();
+  assert.ok(game.canRedoRound());
+  game.redoRound();
+  game.redoRound();
+
+  assert.deepEqual(snapshot(game), after);
+  assert.ok(!game.canRedoRound());
+});
+
+test('Game - restoreToRound 跳到任意轮次', () => {
+  const game = new Game(GAME_CODE, smallBoards);
+  game.start();
+
+  const snapshots = [snapshot(game)];
+  for (let i = 0; i < 3; i++) {
+    playRound(game);
+    snapshots.push(snapshot(game));
+  }
+
+  assert.equal(game.restoreToRound(1), 1);
+  assert.deepEqual(snapshot(game), snapshots[1]);
+  assert.equal(game.restoreToRound(3), 3);
+  assert.deepEqual(snapshot(game), snapshots[3]);
+  assert.equal(game.restoreToRound(0), 0);
+  assert.deepEqual(snapshot(game), snapshots[0]);
+  assert.equal(game.restoreToRound(2), 2);
+  assert.deepEqual(snapshot(game), snapshots[2]);
+
+  assert.throws(() => game.restoreToRound(4), /Invalid round/);
+  assert.throws(() => game.restoreToRound(-1), /Invalid round/);
+});
+
+test('Game - 撤销后执行新一轮清空重做', () => {
+  const game = new Game(GAME_CODE, smallBoards);
+  game.start();
+
+  playRound(game);
+  playRound(game);
+  game.undoRound();
+  assert.ok(game.canRedoRound());
+
+  const { targetId, result } = solveNextTarget(game);
+  game.executeRound(targetId, result.robotColor, result.path, result.steps);
+
+  assert.ok(!game.canRedoRound());
+  assert.throws(() => game.redoRound(), /No round to redo/);
+  assert.throws(() => game.restoreToRound(3), /Invalid round/);
+});
+
+test('Game - 没有轮次时不能撤销，重置后清空重做', () => {
+  const game = new Game(GAME_CODE, smallBoards);
+  game.start();
+
+  assert.ok(!game.canUndoRound());
+  assert.throws(() => game.undoRound(), /No round to undo/);
+
+  playRound(game);
+  game.undoRound();
+  game.reset();
+  assert.ok(!game.canRedoRound());
+});
+
+test('Game - 撤销竞价轮次同时撤回得分，竞价中不能撤销', () => {
+  const game = new Game(GAME_CODE, smallBoards);
+  game.start();
+  game.addPlayer('Alice');
+
+  const { targetId, result } = solveNextTarget(game);
+  game.startBiddingRound(targetId);
+  game.placeBid('Alice', result.steps, 0);
+  game.closeBidding();
+  game.submitBidSolution(result.path.map(({ robotColor, direction }) => ({ robotColor, direction })));
+  assert.equal(game.getPlayer('Alice').score, 1);
+
+  game.undoRound();
+  assert.equal(game.getPlayer('Alice').score, 0);
+  game.redoRound();
+  assert.equal(game.getPlayer('Alice').score, 1);
+
+  game.startBiddingRound(solveNextTarget(game).targetId);
+  assert.ok(!game.canUndoRound());
+  assert.throws(() => game.undoRound(), /bidding/);
+  assert.throws(() => game.restoreToRound(0), /bidding/);
+});
+
+test('Game - 获胜玩家被移除后仍可撤销和重做', () => {
+  const game = new Game(GAME_CODE, smallBoards);
+  game.start();
+  game.addPlayer('Alice');
+  game.addPlayer('Bob');
+
+  const { targetId, result } = solveNextTarget(game);
+  game.startBiddingRound(targetId);
+  game.placeBid('Alice', result.steps, 0);
+  game.closeBidding();
+  game.submitBidSolution(result.path.map(({ robotColor, direction }) => ({ robotColor, direction })));
+  game.removePlayer('Alice');
+
+  game.undoRound();
+  assert.equal(game.rounds.length, 0);
+  game.redoRound();
+  assert.equal(game.rounds.length, 1);
+  assert.equal(game.getPlayer('Bob').score, 0);
+});
+
+test('Game - 扩展编码恢复轮次、位置、规则和终点顺序', () => {
+  const game = new Game(GAME_CODE, smallBoards, RuleSet.classic());
+  game.start();
+  playRound(game);
+  playRound(game);
+  const order = game.getAvailableTargets().map(t => t.target.id).reverse().slice(0, 3);
+  game.setTargetOrder(order);
+
+  const restored = Game.fromCode(game.toExtendedCode(), smallBoards);
+  assert.equal(restored.gameCode, GAME_CODE);
+  assert.deepEqual(restored.ruleSet.toJSON(), RuleSet.classic().toJSON());
+  assert.deepEqual(snapshot(restored), snapshot(game));
+  assert.deepEqual(restored.rounds.map(r => r.path.length), game.rounds.map(r => r.steps));
+  assert.deepEqual(restored.targetOrder, order);
+  assert.deepEqual(restored.getAvailableTargets().slice(0, 3).map(t => t.target.id), order);
+});
+
+test('Game - fromCode 兼容12位编码', () => {
+  const game = Game.fromCode(GAME_CODE, smallBoards);
+  assert.ok(game.isStarted);
+  assert.equal(game.gameCode, GAME_CODE);
+  assert.equal(game.ruleSet.name, 'prism');
+  assert.deepEqual(snapshot(Game.fromCode(game.toExtendedCode(), smallBoards)), snapshot(game));
+});
+
+test('Game - 扩展编码中的轮次无法重放时报错', () => {
+  const game = new Game(GAME_CODE, smallBoards);
+  game.start();
+  const round = playRound(game);
+  const decoded = Encoder.decodeExtendedGame(game.toExtendedCode());
+  const base = {
+    boardCode: decoded.boardCode,
+    robotPositions: decoded.robotPositions,
+    rounds: decoded.rounds
+  };
+
+  // 少一步移动：棋子停不到终点
+  const truncated = Encoder.encodeExtendedGame({
+    ...base,
+    rounds: [{ target: round.endPosition, moves: decoded.rounds[0].moves.slice(0, -1) }]
+  });
+  assert.throws(() => Game.fromCode(truncated, smallBoards), /Round 1/);
+
+  // 记录的当前位置与重放结果不一致
+  const moved = Encoder.encodeExtendedGame({ ...base, currentPositions: decoded.robotPositions });
+  assert.throws(() => Game.fromCode(moved, smallBoards), /do not match/);
+
+  // 同一终点用了两次
+  const repeated = Encoder.encodeExtendedGame({ ...base, rounds: [decoded.rounds[0], decoded.rounds[0]] });
+  assert.throws(() => Game.fromCode(repeated, smallBoards), /Round 2/);
+});
+
+test('Game - 接受带校验字符的编码', () => {
+  const code = GAME_CODE + Encoder.computeCheckCharacter(GAME_CODE);
+  const game = Game.fromCode(code, smallBoards);
+  assert.equal(game.gameCode, GAME_CODE);
+
+  const typo = '148C2DD254AB' + code[12];
+  assert.throws(() => Game.fromCode(typo, smallBoards), /check character mismatch/);
+});
+
+test('Game - 记录小棋盘库', () => {
+  const experimental = NodeBoardLoader.loadSet('experimental');
+  let seed = 7;
+  const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+  const code = 'experimental:' + Game.createRandom(experimental, RuleSet.prism(), random).gameCode;
+
+  const game = Game.fromCode(code, experimental);
+  assert.equal(game.boardSet, 'experimental');
+  assert.equal(game.gameCode, code);
+  assert.equal(Game.fromJSON(game.toJSON(), experimental).gameCode, code);
+
+  playRound(game);
+  const extended = game.toExtendedCode();
+  assert.equal(Encoder.getBoardSet(extended), 'experimental');
+  const restored = Game.fromCode(extended, experimental);
+  assert.equal(restored.boardSet, 'experimental');
+  assert.deepEqual(snapshot(restored), snapshot(game));
+
+  assert.equal(new Game(GAME_CODE, smallBoards).boardSet, 'official');
+
+  const { boardCode } = Encoder.splitGameCode(code);
+  const { robotPositions } = Encoder.decodeGame(code);
+  const created = Game.createNew(boardCode, robotPositions, experimental, RuleSet.prism(), 'experimental');
+  assert.equal(created.boardSet, 'experimental');
+  assert.equal(created.gameCode, code);
+});
@@ -0,0 +1,164 @@
+/**
+ * 发布棋盘的最优解回归测试
+ * 每个小棋盘库中每块小棋盘的两个面都出现在下列局面中，所有终点的最优解记录在 golden/solutions.json：
+ * 记录的移动序列必须能通过 Game.verifyMoves 重放；BFS 的解必须与记录完全相同，
+ * IDA* 的步数必须与记录相同且路径能重放
+ *
+ * 有意改变规则、搜索顺序或棋盘数据后用 `node tests/run.js --update-golden` 重新生成
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, writeFileSync } from 'node:fs';
+import { Game } from '../src/core/Game.js';
+import { PathFinder } from '../src/algorithm/PathFinder.js';
+import { Encoder } from '../src/utils/Encoder.js';
+import { BoardSetLoader } from '../src/utils/BoardSetLoader.js';
+import { NodeBoardLoader } from '../tools/NodeBoardLoader.js';
+
+const GOLDEN_FILE = new URL('./golden/solutions.json', import.meta.url);
+const UPDATE = process.argv.includes('--update-golden');
+
+// 红黄蓝绿各用一块小棋盘，每个库的局面合起来覆盖库中所有小棋盘的两个面
+const GAME_CODES = [
+  // 官方库（data/）：两组 × 两个面
+  '048C2DD254AB',
+  '159D2DD254AB',
+  '26AE2DD254AB',
+  '37BF2DD254AB',
+  // 社区库（data-community/）：一组 × 两个面
+  'community:02462DD254AB',
+  'community:13572DD254AB',
+  // 实验库（data-4/）：一组 × 两个面
+  'experimental:02462DD254AB',
+  'experimental:13572DD254AB'
+];
+
+const boardSets = new Map(); // 库名称 → 小棋盘数组
+
+/**
+ * 创建局面（按编码的库前缀加载小棋盘）
+ * @param {string} code
+ * @returns {Game}
+ */
+function createGame(code) {
+  const boardSet = Encoder.getBoardSet(code);
+  if (!boardSets.has(boardSet)) {
+    boardSets.set(boardSet, NodeBoardLoader.loadSet(boardSet));
+  }
+  const game = new Game(code, boardSets.get(boardSet));
+  game.start();
+  return game;
+}
+
+/**
+ * 求解局面中的所有终点（从初始位置出发，互不影响）
+ * @param {Game} game
+ * @param {string} algorithm - 'bfs' 或 'idastar'
+ * @returns {Object} {终点ID: {steps, robotColor, path}}，无解时为 null
+ */
+function solveAll(game, algorithm) {
+  const solutions = {};
+  game.board.targets.forEach(target => {
+    const robotColors = game.robots.filter(r => target.canAccept(r.color)).map(r => r.color);
+    const result = new PathFinder(game.board, game.robots, game.ruleSet)
+      .findBestPath(robotColors, { x: target.x, y: target.y }, { algorithm });
+    solutions[target.id] = result.success ? result : null;
+  });
+  return solutions;
+}
+
+/**
+ * 路径记录为 "red:up yellow:left ..."
+ * @param {Array} path
+ * @returns {string}
+ */
+function formatMoves(path) {
+  return path.map(({ robotColor, direction }) => `${robotColor}:${direction}`).join(' ');
+}
+
+/**
+ * 解析 formatMoves 的结果
+ * @param {string} moves
+ * @returns {Array<{robotColor, direction}>}
+ */
+function parseMoves(moves) {
+  return moves.split(' ').map(move => {
+    const [robotColor, direction] = move.split(':');
+    return { robotColor, direction };
+  });
+}
+
+if (UPDATE) {
+  test('更新最优解记录', () => {
+    const games = {};
+    GAME_CODES.forEach(code => {
+      const solutions = solveAll(createGame(code), 'bfs');
+      games[code] = Object.fromEntries(Object.entries(solutions).map(([id, result]) => [
+        id,
+        result ? { steps: result.steps, moves: formatMoves(result.path) } : null
+      ]));
+    });
+    writeFileSync(GOLDEN_FILE, JSON.stringify({ rules: 'prism', games }, null, 2) + '\n');
+  });
+} else {
+  const golden = JSON.parse(readFileSync(GOLDEN_FILE, 'utf8'));
+
+  test('最优解记录 - 覆盖所有局面', () => {
+    assert.deepEqual(Object.keys(golden.games), GAME_CODES);
+  });
+
+  test('最优解记录 - 覆盖所有小棋盘库的所有面', () => {
+    const covered = new Set(GAME_CODES.flatMap(code => {
+      const { boardSet, boardCode } = Encoder.splitGameCode(code);
+      return Encoder.decodeBoardConfig(boardCode).map(({ boardId, faceId }) => `${boardSet}/${boardId}/${faceId}`);
+    }));
+    const registry = JSON.parse(readFileSync(new URL(`../${BoardSetLoader.REGISTRY_FILE}`, import.meta.url), 'utf8'));
+    BoardSetLoader.parse(registry).forEach(({ name }) => {
+      NodeBoardLoader.loadSet(name).forEach((board, boardId) => board.faces.forEach(face => {
+        assert.ok(covered.has(`${name}/${boardId}/${face.id}`), `${name} 库的小棋盘${boardId}面${face.id}没有出现在任何局面中`);
+      }));
+    });
+  });
+
+  GAME_CODES.forEach(code => {
+    test(`最优解记录 - ${code} 记录的解可以重放`, () => {
+      const game = createGame(code);
+      Object.entries(golden.games[code]).forEach(([targetId, expected]) => {
+        if (!expected) return;
+        const verified = game.verifyMoves(targetId, parseMoves(expected.moves));
+        assert.ok(verified.success, `${targetId} 记录的解无法重放: ${verified.message}`);
+        assert.equal(verified.steps, expected.steps, `${targetId} 记录的步数`);
+      });
+    });
+
+    ['bfs', 'idastar'].forEach(algorithm => {
+      test(`最优解记录 - ${code} (${algorithm})`, () => {
+        const game = createGame(code);
+        const expected = golden.games[code];
+        const solutions = solveAll(game, algorithm);
+
+        assert.deepEqual(Object.keys(solutions).sort(), Object.keys(expected).sort(), '终点与记录不一致');
+
+        Object.entries(solutions).forEach(([targetId, result]) => {
+          if (!result) {
+            assert.equal(expected[targetId], null, `${targetId} 应在${expected[targetId] && expected[targetId].steps}步内有解`);
+            return;
+          }
+          assert.ok(expected[targetId], `${targetId} 记录为无解`);
+          assert.equal(result.steps, expected[targetId].steps, `${targetId} 最优步数`);
+
+          // BFS 的展开顺序固定，解应与记录完全相同；IDA* 只要求步数相同
+          if (algorithm === 'bfs') {
+            assert.equal(formatMoves(result.path), expected[targetId].moves, `${targetId} 解与记录不同`);
+          }
+
+          const moves = result.path.map(({ robotColor, direction }) => ({ robotColor, direction }));
+          const verified = game.verifyMoves(targetId, moves);
+          assert.ok(verified.success, `${targetId} 路径无法重放: ${verified.message}`);
+          assert.equal(verified.steps, result.steps);
+        });
+      });
+    });
+  });
+}
@@ -0,0 +1,112 @@
+/**
+ * 测试辅助函数
+ * 测试棋盘与 test-pathfinder.html 中的相同，保证两边的用例结果一致
+ */
+
+import { Board } from '../src/core/Board.js';
+import { SmallBoard } from '../src/core/SmallBoard.js';
+import { Robot } from '../src/core/Robot.js';
+
+/**
+ * 其他3种颜色的空白小棋盘（只是为了满足Board的要求）
+ * @returns {Array<SmallBoard>}
+ */
+function createEmptyBoards() {
+  return ['yellow', 'blue', 'green'].map((color, idx) => new SmallBoard({
+    id: idx + 1,
+    color,
+    originalGap: { x: 0, y: 0 },
+    faces: [{ id: 0, walls: [], prisms: [], targets: [] }]
+  }));
+}
+
+/**
+ * 用一个红色小棋盘面和3个空白小棋盘组成大棋盘
+ * @param {Object} face - 红色小棋盘的面数据
+ * @returns {{board: Board, allBoards: Array<SmallBoard>}}
+ */
+export function createTestBoard(face) {
+  const smallBoard = new SmallBoard({
+    id: 0,
+    color: 'red',
+    originalGap: { x: 0, y: 0 },
+    faces: [{ id: 0, ...face }]
+  });
+
+  const allBoards = [smallBoard, ...createEmptyBoards()];
+  const config = allBoards.map((board, boardId) => ({ boardId, faceId: 0 }));
+
+  return { board: new Board(config, allBoards), allBoards };
+}
+
+/**
+ * 简单的测试棋盘（无分光镜），终点(3,2)旋转180度后为(12,13)
+ * @returns {{board: Board, allBoards: Array<SmallBoard>}}
+ */
+export function createSimpleTestBoard() {
+  return createTestBoard({
+    walls: [
+      { x: 3, y: 2, sides: ['bottom'] },
+      { x: 2, y: 3, sides: ['right'] }
+    ],
+    prisms: [],
+    targets: [
+      { x: 3, y: 2, shape: 'circle', color: 'rainbow', id: 'target-0' }
+    ]
+  });
+}
+
+/**
+ * 带一个黄色分光镜的测试棋盘
+ * @returns {{board: Board, allBoards: Array<SmallBoard>}}
+ */
+export function createPrismTestBoard() {
+  return createTestBoard({
+    walls: [],
+    prisms: [
+      { x: 4, y: 4, direction: '\\', color: 'yellow' }
+    ],
+    targets: [
+      { x: 5, y: 5, shape: 'circle', color: 'rainbow', id: 'target-0' }
+    ]
+  });
+}
+
+/**
+ * 四个角上的棋子（大部分PathFinder用例的初始局面）
+ * @returns {Array<Robot>}
+ */
+export function createCornerRobots() {
+  return [
+    new Robot('red', 0, 0),
+    new Robot('yellow', 15, 0),
+    new Robot('blue', 0, 15),
+    new Robot('green', 15, 15)
+  ];
+}
+
+/**
+ * 在棋子位置上逐步重放路径，返回重放后的位置
+ * @param {PathFinder} pathFinder
+ * @param {Array<Robot>} robots - 初始棋子
+ * @param {Array<Object>} path - [{robotColor, direction, from, to}]
+ * @returns {Array<{color, x, y}>}
+ */
+export function replayPath(pathFinder, robots, path) {
+  const state = robots.map(r => ({ color: r.color, x: r.x, y: r.y }));
+
+  path.forEach((move, index) => {
+    const robot = state.find(r => r.color === move.robotColor);
+    if (move.from && (robot.x !== move.from.x || robot.y !== move.from.y)) {
+      throw new Error(`第${index + 1}步起点不一致`);
+    }
+    const moveResult = pathFinder.simulateMove(robot, move.direction, state);
+    if (move.to && (moveResult.finalX !== move.to.x || moveResult.finalY !== move.to.y)) {
+      throw new Error(`第${index + 1}步终点不一致`);
+    }
+    robot.x = moveResult.finalX;
+    robot.y = moveResult.finalY;
+  });
+
+  return state;
+}
@@ -0,0 +1,136 @@
+/**
+ * BoardManifest 小棋盘库清单、BoardSetLoader 库列表和 NodeBoardLoader 测试
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Game } from '../src/core/Game.js';
+import { Encoder } from '../src/utils/Encoder.js';
+import { BoardManifest } from '../src/utils/BoardManifest.js';
+import { BoardSetLoader } from '../src/utils/BoardSetLoader.js';
+import CONSTANTS from '../src/utils/Constants.js';
+import { NodeBoardLoader } from '../tools/NodeBoardLoader.js';
+
+const DATA_DIR = NodeBoardLoader.DEFAULT_DATA_DIR;
+const ROOT_DIR = join(DATA_DIR, '..');
+
+test('清单 - data/manifest.json 列出 board-0..7', () => {
+  const manifest = BoardManifest.parse(JSON.parse(readFileSync(join(DATA_DIR, BoardManifest.FILE_NAME), 'utf8')));
+  assert.deepEqual(manifest.boards.map(({ id }) => id), [0, 1, 2, 3, 4, 5, 6, 7]);
+  assert.deepEqual(manifest.boards.map(({ file }) => file), manifest.boards.map(({ id }) => `board-${id}.json`));
+});
+
+test('清单 - 格式错误', () => {
+  assert.throws(() => BoardManifest.parse({}), /at least one board/);
+  assert.throws(() => BoardManifest.parse({ boards: [{ id: 2048, file: 'a.json' }] }), /Invalid board id.*0-2047/);
+  assert.throws(() => BoardManifest.parse({ boards: [{ id: 1.5, file: 'a.json' }] }), /Invalid board id/);
+  assert.throws(() => BoardManifest.parse({ boards: [{ id: 3, file: 'a.json' }, { id: 3, file: 'b.json' }] }), /Duplicate board id/);
+  assert.throws(() => BoardManifest.parse({ boards: [{ id: 3 }] }), /Missing file/);
+});
+
+test('清单 - 文件中的编号须与清单一致', () => {
+  const board = (id) => ({ id, color: 'red', originalGap: { x: 0, y: 0 }, faces: [{ id: 0, walls: [], prisms: [], targets: [] }] });
+  const manifest = BoardManifest.parse({ boards: [{ id: 0, file: 'a.json' }, { id: 12, file: 'b.json' }] });
+  const indexed = BoardManifest.indexById(manifest, [board(0), board(12)]);
+  assert.equal(indexed.length, 13);
+  assert.equal(indexed[12].id, 12);
+  assert.equal(indexed[5], undefined);
+
+  assert.throws(() => BoardManifest.indexById(manifest, [board(0), board(11)]), /b\.json has id 11, manifest says 12/);
+  assert.throws(() => BoardManifest.indexById(manifest, [board(0), { ...board(12), color: 'purple' }]),
+    /b\.json is not a valid small board/);
+});
+
+test('NodeBoardLoader - 按清单加载编号超过7的小棋盘并开始游戏', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'board-library-'));
+  try {
+    // 把 board-0.json 复制为编号300的小棋盘
+    const board0 = JSON.parse(readFileSync(join(DATA_DIR, 'board-0.json'), 'utf8'));
+    const boards = [{ id: 300, file: 'board-300.json' }];
+    writeFileSync(join(dir, 'board-300.json'), JSON.stringify({ ...board0, id: 300 }));
+    for (const id of [2, 4, 6]) {
+      writeFileSync(join(dir, `board-${id}.json`), readFileSync(join(DATA_DIR, `board-${id}.json`)));
+      boards.push({ id, file: `board-${id}.json` });
+    }
+    writeFileSync(join(dir, BoardManifest.FILE_NAME), JSON.stringify({ name: 'test', boards }));
+
+    const smallBoards = NodeBoardLoader.loadAll(dir);
+    assert.equal(smallBoards[300].id, 300);
+    assert.equal(smallBoards[0], undefined);
+
+    const boardCode = Encoder.encodeBoardConfig([
+      { boardId: 300, faceId: 0 },
+      { boardId: 2, faceId: 0 },
+      { boardId: 4, faceId: 0 },
+      { boardId: 6, faceId: 0 }
+    ]);
+    const positions = { red: { x: 1, y: 2 }, yellow: { x: 13, y: 13 }, blue: { x: 2, y: 5 }, green: { x: 4, y: 10 } };
+    const code = Encoder.encodeGame(boardCode, positions, { checkCharacter: true });
+    assert.equal(Encoder.validateGameCode(code, smallBoards).valid, true);
+
+    const game = Game.fromCode(code, smallBoards);
+    assert.equal(game.gameCode, code.slice(0, 20));
+    assert.deepEqual(game.getCurrentPositions(), positions);
+    assert.ok(game.getAvailableTargets().length > 0);
+    assert.deepEqual(Game.fromCode(game.toExtendedCode(), smallBoards).getCurrentPositions(), positions);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('NodeBoardLoader - 没有清单时按文件中的编号排列', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'board-library-'));
+  try {
+    // 文件名序号与编号不一致，编号有空位
+    const copy = (file, id) => {
+      const data = JSON.parse(readFileSync(join(DATA_DIR, 'board-0.json'), 'utf8'));
+      writeFileSync(join(dir, file), JSON.stringify({ ...data, id }));
+    };
+    copy('board-0.json', 5);
+    copy('board-1.json', 2);
+
+    const smallBoards = NodeBoardLoader.loadAll(dir);
+    assert.equal(smallBoards.length, 6);
+    assert.equal(smallBoards[5].id, 5);
+    assert.equal(smallBoards[2].id, 2);
+    assert.equal(smallBoards[0], undefined);
+
+    copy('board-2.json', 5);
+    assert.throws(() => NodeBoardLoader.loadAll(dir), /Duplicate board id 5 in board-2\.json/);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('小棋盘库 - board-sets.json 中的库都能加载', () => {
+  const sets = BoardSetLoader.parse(JSON.parse(readFileSync(join(ROOT_DIR, BoardSetLoader.REGISTRY_FILE), 'utf8')));
+  assert.ok(sets.some(set => set.name === Encoder.DEFAULT_BOARD_SET));
+
+  sets.forEach(set => {
+    const boards = NodeBoardLoader.loadSet(set.name);
+    assert.ok(boards.length > 0, set.name);
+    CONSTANTS.COLOR_ORDER.forEach(color => {
+      assert.ok(boards.some(board => board.color === color), `${set.name} 缺少${color}小棋盘`);
+    });
+  });
+
+  assert.equal(NodeBoardLoader.loadSet('official').length, 8);
+  assert.equal(NodeBoardLoader.loadSet('community').length, 4);
+  assert.equal(NodeBoardLoader.loadSet('experimental').length, 4);
+  assert.throws(() => NodeBoardLoader.loadSet('nosuch'), /Unknown board set: nosuch/);
+});
+
+test('小棋盘库 - 库列表格式错误', () => {
+  const official = { name: 'official', dir: 'data/' };
+  assert.throws(() => BoardSetLoader.parse({ sets: [] }), /at least one set/);
+  assert.throws(() => BoardSetLoader.parse({ sets: [official, { name: 'Bad', dir: 'x/' }] }), /Invalid board set name/);
+  assert.throws(() => BoardSetLoader.parse({ sets: [official, official] }), /Duplicate board set/);
+  assert.throws(() => BoardSetLoader.parse({ sets: [official, { name: 'community' }] }), /Missing dir/);
+  assert.throws(() => BoardSetLoader.parse({ sets: [{ name: 'community', dir: 'c/' }] }), /must include official/);
+
+  assert.deepEqual(BoardSetLoader.parse({ sets: [{ name: 'official', dir: 'data' }] }),
+    [{ name: 'official', label: 'official', dir: 'data/' }]);
+});
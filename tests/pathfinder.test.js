@@ -0,0 +1,517 @@
+/**
+ * PathFinder 路径搜索测试
+ * 对应 test-pathfinder.html
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Robot } from '../src/core/Robot.js';
+import { Game } from '../src/core/Game.js';
+import { RuleSet } from '../src/core/RuleSet.js';
+import { PathFinder } from '../src/algorithm/PathFinder.js';
+import { HintProvider } from '../src/algorithm/HintProvider.js';
+import { PuzzleGenerator } from '../src/algorithm/PuzzleGenerator.js';
+import { DifficultyRater } from '../src/algorithm/DifficultyRater.js';
+import { GamePlanner } from '../src/algorithm/GamePlanner.js';
+import { Random } from '../src/utils/Random.js';
+import { NodeBoardLoader } from '../tools/NodeBoardLoader.js';
+import {
+  createSimpleTestBoard,
+  createPrismTestBoard,
+  createCornerRobots,
+  replayPath
+} from './helpers.js';
+
+/**
+ * 找到棋盘上的第一个分光镜（测试棋盘上只有一个，在左上小棋盘内）
+ * @param {Board} board
+ * @returns {{x, y, prism}}
+ */
+function findPrism(board) {
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      const cell = board.getCell(x, y);
+      if (cell.hasPrism()) return { x, y, prism: cell.prism };
+    }
+  }
+  throw new Error('No prism found in board!');
+}
+
+/**
+ * simulateMove 的参数（棋子的位置副本）
+ * @param {Array<Robot>} robots
+ * @returns {Array<{color, x, y}>}
+ */
+function positionsOf(robots) {
+  return robots.map(r => ({ color: r.color, x: r.x, y: r.y }));
+}
+
+// ==================== 移动模拟 ====================
+
+test('基本移动模拟 - 向右移动', () => {
+  const { board } = createSimpleTestBoard();
+  const robots = [
+    new Robot('red', 0, 0),
+    new Robot('yellow', 8, 0),
+    new Robot('blue', 0, 8),
+    new Robot('green', 8, 8)
+  ];
+
+  const result = new PathFinder(board, robots).simulateMove(robots[0], 'right', positionsOf(robots));
+
+  assert.ok(result.moved, '应该能够移动');
+  assert.equal(result.finalY, 0, 'Y坐标不应改变');
+  assert.ok(result.finalX > 0, 'X坐标应该增加');
+  assert.equal(result.segments.length, 1, '应该只有一个移动段');
+});
+
+test('移动遇到边界停止', () => {
+  const { board } = createSimpleTestBoard();
+  const robots = [
+    new Robot('red', 15, 0),
+    new Robot('yellow', 8, 0),
+    new Robot('blue', 0, 8),
+    new Robot('green', 8, 8)
+  ];
+
+  const result = new PathFinder(board, robots).simulateMove(robots[0], 'right', positionsOf(robots));
+
+  assert.ok(!result.moved, '不应该能够移动（已在边界）');
+  assert.deepEqual([result.finalX, result.finalY], [15, 0]);
+});
+
+test('移动遇到其他棋子停止', () => {
+  const { board } = createSimpleTestBoard();
+  const robots = [
+    new Robot('red', 0, 0),
+    new Robot('yellow', 5, 0),
+    new Robot('blue', 0, 8),
+    new Robot('green', 8, 8)
+  ];
+
+  const result = new PathFinder(board, robots).simulateMove(robots[0], 'right', positionsOf(robots));
+
+  assert.ok(result.moved, '应该能够移动');
+  assert.deepEqual([result.finalX, result.finalY], [4, 0], '应被黄色棋子挡在(4,0)');
+});
+
+test('移动遇到中央区域停止', () => {
+  const { board } = createSimpleTestBoard();
+  const robots = [
+    new Robot('red', 7, 5),
+    new Robot('yellow', 15, 0),
+    new Robot('blue', 0, 15),
+    new Robot('green', 15, 15)
+  ];
+
+  const result = new PathFinder(board, robots).simulateMove(robots[0], 'down', positionsOf(robots));
+
+  assert.ok(result.moved, '应该能够移动');
+  assert.deepEqual([result.finalX, result.finalY], [7, 6], '应停在中央区域上方');
+});
+
+// ==================== 路径搜索 ====================
+
+test('简单路径搜索 - 直接到达', () => {
+  const { board } = createSimpleTestBoard();
+  const robots = [
+    new Robot('red', 0, 0),
+    new Robot('yellow', 4, 5),
+    new Robot('blue', 0, 8),
+    new Robot('green', 8, 8)
+  ];
+
+  const result = new PathFinder(board, robots).findPath('red', { x: 7, y: 0 });
+
+  assert.ok(result.success, `路径搜索失败: ${result.message}`);
+  assert.ok(result.steps >= 2, '规则要求至少2步');
+  assert.equal(result.path.length, result.steps);
+});
+
+test('获取棋子的所有可能移动', () => {
+  const { board } = createSimpleTestBoard();
+  const robots = [
+    new Robot('red', 5, 5),
+    new Robot('yellow', 8, 0),
+    new Robot('blue', 0, 8),
+    new Robot('green', 8, 8)
+  ];
+
+  const moves = new PathFinder(board, robots).getPossibleMoves('red');
+
+  assert.ok(Array.isArray(moves), '应该返回数组');
+  assert.ok(moves.length > 0, '应该有至少一个可能的移动');
+});
+
+test('棋子已在目标位置', () => {
+  const { board } = createSimpleTestBoard();
+  const robots = [
+    new Robot('red', 6, 6),
+    new Robot('yellow', 8, 0),
+    new Robot('blue', 0, 8),
+    new Robot('green', 8, 8)
+  ];
+
+  const result = new PathFinder(board, robots).findPath('red', { x: 6, y: 6 });
+
+  assert.ok(result.success);
+  assert.equal(result.steps, 0);
+  assert.deepEqual(result.path, []);
+});
+
+// ==================== 分光镜 ====================
+
+test('分光镜折射 - 异色棋子', () => {
+  const { board } = createPrismTestBoard();
+  const prismPos = findPrism(board);
+  const robots = [
+    new Robot('red', prismPos.x, 0),
+    new Robot('yellow', 8, 0),
+    new Robot('blue', 0, 8),
+    new Robot('green', 8, 8)
+  ];
+
+  const result = new PathFinder(board, robots).simulateMove(robots[0], 'down', positionsOf(robots));
+
+  assert.ok(result.moved, '应该能够移动');
+  assert.ok(result.segments.length >= 2, `应该有多个移动段（折射），实际${result.segments.length}段`);
+});
+
+test('分光镜折射 - 同色棋子直通', () => {
+  const { board } = createPrismTestBoard();
+  const prismPos = findPrism(board);
+  assert.equal(prismPos.prism.color, 'yellow');
+
+  const robots = [
+    new Robot('red', 8, 0),
+    new Robot('yellow', prismPos.x, 0),
+    new Robot('blue', 0, 8),
+    new Robot('green', 8, 8)
+  ];
+
+  // 分光镜变体中同色棋子停在分光镜上，移动只有一段
+  const result = new PathFinder(board, robots).simulateMove(robots[1], 'down', positionsOf(robots));
+
+  assert.ok(result.moved, '应该能够移动');
+  assert.equal(result.segments.length, 1, '同色应该只有一个移动段');
+});
+
+test('性能测试 - 复杂搜索', () => {
+  const { board } = createSimpleTestBoard();
+  const pathFinder = new PathFinder(board, createCornerRobots());
+
+  const startTime = performance.now();
+  const result = pathFinder.findPath('red', { x: 7, y: 0 });
+  const elapsed = performance.now() - startTime;
+
+  assert.ok(result.success, `搜索失败: ${result.message}`);
+  assert.ok(elapsed < 1000, `搜索时间过长: ${elapsed}ms`);
+});
+
+// ==================== 状态压缩与移动表 ====================
+
+test('压缩状态 - 编码与解码', () => {
+  const { board } = createSimpleTestBoard();
+  const robots = [
+    new Robot('red', 1, 2),
+    new Robot('yellow', 15, 0),
+    new Robot('blue', 0, 15),
+    new Robot('green', 12, 9)
+  ];
+
+  const pathFinder = new PathFinder(board, robots);
+  const state = pathFinder.packState(robots);
+
+  // 十六进制形式应与游戏编码中的棋子位置部分一致
+  assert.equal(state.toString(16).toUpperCase().padStart(8, '0'), '12F00FC9');
+  assert.deepEqual(pathFinder.unpackState(state), positionsOf(robots));
+});
+
+test('压缩状态 - 路径可逐步重放', () => {
+  const { board } = createPrismTestBoard();
+  const robots = createCornerRobots();
+  const pathFinder = new PathFinder(board, robots);
+  const testTarget = { x: 4, y: 0 };
+
+  const result = pathFinder.findPath('red', testTarget);
+  assert.ok(result.success, `搜索失败: ${result.message}`);
+  assert.equal(result.path.length, result.steps, '路径长度应等于步数');
+
+  const red = replayPath(pathFinder, robots, result.path).find(r => r.color === 'red');
+  assert.deepEqual({ x: red.x, y: red.y }, testTarget, '重放后未到达终点');
+});
+
+test('预计算移动表 - 折射轨迹被棋子截断', () => {
+  const { board } = createPrismTestBoard();
+  const moveTable = board.getMoveTable();
+  const prismPos = findPrism(board);
+
+  // 无其他棋子时的轨迹：先向下到分光镜，再折射
+  const trajectory = moveTable.getTrajectory(prismPos.x, 0, 'down', 'red');
+  const prismIndex = trajectory.findIndex(p => p.x === prismPos.x && p.y === prismPos.y);
+  assert.notEqual(prismIndex, -1, '轨迹应经过分光镜');
+  assert.ok(trajectory.length >= prismIndex + 3, '折射后应继续移动至少两格');
+
+  const stop = moveTable.getStop(prismPos.x, 0, 'down', 'red');
+  const last = trajectory[trajectory.length - 1];
+  assert.deepEqual([stop.x, stop.y], [last.x, last.y], '停止位置应为轨迹终点');
+
+  // 在折射后的第二格放一个棋子，应停在折射后的第一格
+  const blocker = trajectory[prismIndex + 2];
+  const expected = trajectory[prismIndex + 1];
+  const robots = [
+    new Robot('red', prismPos.x, 0),
+    new Robot('yellow', blocker.x, blocker.y),
+    new Robot('blue', 15, 15),
+    new Robot('green', 15, 14)
+  ];
+
+  const result = new PathFinder(board, robots).simulateMove(robots[0], 'down', positionsOf(robots));
+  assert.deepEqual([result.finalX, result.finalY], [expected.x, expected.y]);
+  assert.equal(result.segments.length, 2);
+});
+
+// ==================== 搜索算法 ====================
+
+test('IDA* - 与BFS步数一致', () => {
+  const { board } = createPrismTestBoard();
+  const pathFinder = new PathFinder(board, createCornerRobots());
+  const testTarget = { x: 4, y: 0 };
+
+  const bfs = pathFinder.findPath('red', testTarget);
+  const ida = pathFinder.findPath('red', testTarget, { algorithm: 'idastar' });
+
+  assert.ok(bfs.success && ida.success, '两种算法都应找到路径');
+  assert.equal(ida.steps, bfs.steps);
+  assert.equal(ida.path.length, ida.steps);
+
+  const last = ida.path[ida.path.length - 1];
+  assert.equal(last.robotColor, 'red');
+  assert.deepEqual(last.to, testTarget, '最后一步应把红色棋子移到终点');
+});
+
+test('多棋子搜索 - 返回全局最优棋子', () => {
+  const { board } = createPrismTestBoard();
+  const pathFinder = new PathFinder(board, createCornerRobots());
+  const testTarget = { x: 4, y: 0 };
+  const colors = ['red', 'yellow', 'blue', 'green'];
+
+  // 逐个搜索得到的最优解（步数相同时取棋子数组中靠前的）
+  let expected = null;
+  colors.forEach(color => {
+    const single = pathFinder.findPath(color, testTarget);
+    if (single.success && (!expected || single.steps < expected.steps)) {
+      expected = { color, steps: single.steps };
+    }
+  });
+
+  const result = pathFinder.findBestPath(colors, testTarget);
+  assert.ok(result.success, `搜索失败: ${result.message}`);
+  assert.equal(result.steps, expected.steps);
+  assert.equal(result.robotColor, expected.color);
+  assert.equal(result.path[result.path.length - 1].robotColor, result.robotColor, '最后一步应移动到达终点的棋子');
+});
+
+test('枚举所有解 - 最优解互不相同且可重放', () => {
+  const { board } = createPrismTestBoard();
+  const robots = createCornerRobots();
+  const pathFinder = new PathFinder(board, robots);
+  const testTarget = { x: 4, y: 0 };
+
+  const best = pathFinder.findPath('red', testTarget);
+  const result = pathFinder.findAllSolutions('red', testTarget, { maxSolutions: 200, extraDepth: 1 });
+
+  assert.ok(result.success, `枚举失败: ${result.message}`);
+  assert.equal(result.optimalSteps, best.steps, '最优步数应与BFS一致');
+  assert.equal(result.solutions[0].steps, best.steps, '解应按步数排列');
+
+  const keys = new Set();
+  result.solutions.forEach((solution, index) => {
+    assert.ok(solution.steps <= best.steps + 1, `第${index + 1}个解超过额外步数`);
+    assert.equal(solution.path.length, solution.steps, `第${index + 1}个解路径长度错误`);
+
+    const key = solution.path.map(m => `${m.robotColor}-${m.direction}`).join(',');
+    assert.ok(!keys.has(key), `第${index + 1}个解重复`);
+    keys.add(key);
+
+    const moves = solution.path.map(({ robotColor, direction }) => ({ robotColor, direction }));
+    const red = replayPath(pathFinder, robots, moves).find(r => r.color === 'red');
+    assert.deepEqual({ x: red.x, y: red.y }, testTarget, `第${index + 1}个解未到达终点`);
+  });
+});
+
+test('规则集 - 经典规则允许1步解且同色穿过分光镜', () => {
+  const { board } = createPrismTestBoard();
+  const robots = createCornerRobots();
+  const testTarget = { x: 14, y: 0 };
+
+  // 红色向右一步即可到达(14,0)
+  const classic = new PathFinder(board, robots, RuleSet.classic()).findPath('red', testTarget);
+  const prism = new PathFinder(board, robots, RuleSet.prism()).findPath('red', testTarget);
+  assert.ok(classic.success && classic.steps === 1, `经典规则应为1步，实际${classic.steps}`);
+  assert.ok(prism.success && prism.steps >= 2, `分光镜变体至少2步，实际${prism.steps}`);
+
+  // 让黄色棋子从分光镜所在行的左侧进入
+  const { x: px, y: py } = findPrism(board);
+  const stop = board.getMoveTable(RuleSet.prism()).getStop(0, py, 'right', 'yellow');
+  const pass = board.getMoveTable(RuleSet.classic()).getStop(0, py, 'right', 'yellow');
+  assert.deepEqual([stop.x, stop.y], [px, py], '分光镜变体应停在分光镜上');
+  assert.ok(pass.x > px && pass.y === py, '经典规则应穿过分光镜');
+});
+
+// ==================== 基于搜索的功能 ====================
+
+test('渐进式提示 - 逐级透露且与最优解一致', async () => {
+  const { board } = createPrismTestBoard();
+  const pathFinder = new PathFinder(board, createCornerRobots());
+  const hints = new HintProvider(pathFinder);
+  const testTarget = { x: 4, y: 0 };
+  const best = pathFinder.findPath('red', testTarget);
+
+  const first = await hints.getHint(['red'], testTarget, 1);
+  assert.equal(first.steps, best.steps);
+  assert.equal(first.firstRobot, undefined, '第1级不应透露棋子');
+  assert.equal(first.nextMove, undefined, '第1级不应透露移动');
+
+  const last = await hints.getHint(['red'], testTarget, HintProvider.LEVELS.length);
+  assert.equal(last.firstRobot, best.path[0].robotColor);
+  assert.ok(last.robots.includes('red'), '涉及棋子应包含红色');
+  assert.equal(last.nextMove.direction, best.path[0].direction);
+});
+
+test('谜题生成 - 最优解恰好为指定步数', () => {
+  const { allBoards: smallBoards } = createPrismTestBoard();
+
+  const generator = new PuzzleGenerator(smallBoards, { random: Random.seeded(42) });
+  const result = generator.generate({ steps: 3, maxAttempts: 200 });
+  assert.ok(result.success, result.message);
+
+  const game = new Game(result.gameCode, smallBoards);
+  const eligibleColors = game.robots.filter(r => result.target.canAccept(r.color)).map(r => r.color);
+  const bfs = new PathFinder(game.board, game.robots)
+    .findBestPath(eligibleColors, { x: result.target.x, y: result.target.y });
+  assert.ok(bfs.success);
+  assert.equal(bfs.steps, 3, 'BFS最优步数应为3');
+
+  // Worker 传回主线程的结果须能结构化克隆，用 targetId 找回终点
+  const transferable = structuredClone(PuzzleGenerator.toTransferable(result));
+  assert.equal(transferable.targetId, result.target.id);
+  assert.equal(transferable.gameCode, result.gameCode);
+  assert.equal(transferable.steps, 3);
+  assert.ok(!('game' in transferable) && !('target' in transferable));
+});
+
+test('难度评估 - 与枚举结果一致', async () => {
+  const { board } = createPrismTestBoard();
+  const pathFinder = new PathFinder(board, createCornerRobots());
+  const testTarget = { x: 4, y: 0 };
+
+  const all = pathFinder.findAllSolutions('red', testTarget, { maxSolutions: 100 });
+  const rating = await new DifficultyRater(pathFinder).rate(['red'], testTarget);
+
+  assert.ok(rating.success, rating.message);
+  assert.equal(rating.steps, all.optimalSteps);
+  assert.equal(rating.solutionCount, all.solutions.length);
+  assert.equal(rating.score, DifficultyRater.score(rating), '分数应由统计值计算');
+  assert.ok(rating.level >= 1 && rating.level <= 5, `等级应在1~5之间，实际${rating.level}`);
+});
+
+test('难度评估 - 搜索超限不记为无解也不缓存', async () => {
+  const { board, allBoards: smallBoards } = createPrismTestBoard();
+  const pathFinder = new PathFinder(board, createCornerRobots());
+  pathFinder.maxIterations = 1;
+
+  const bfs = pathFinder.findBestPath(['red'], { x: 4, y: 0 });
+  assert.ok(!bfs.success && bfs.limitReached, 'BFS超限时应标记 limitReached');
+  const idaStar = pathFinder.findBestPath(['red'], { x: 4, y: 0 }, { algorithm: 'idastar' });
+  assert.ok(!idaStar.success && idaStar.limitReached, 'IDA*超限时应标记 limitReached');
+
+  const rating = await new DifficultyRater(pathFinder).rate(['red'], { x: 4, y: 0 });
+  assert.ok(!rating.success && rating.limitReached);
+
+  const game = Game.createRandom(smallBoards, undefined, Random.seeded(3));
+  game.start();
+  const limited = new PathFinder(game.board, game.robots);
+  limited.maxIterations = 1;
+  const rated = await game.rateAvailableTargets(new DifficultyRater(limited));
+  const targets = game.getAvailableTargets();
+  assert.equal(rated, targets.length, '超限的终点也算评估过');
+  assert.ok(targets.every(entry => entry.difficulty === null), '超限结果不应写入缓存');
+});
+
+test('全局规划 - 每轮可按规划复现且不差于贪心', () => {
+  const { allBoards: smallBoards } = createPrismTestBoard();
+  const game = Game.createRandom(smallBoards, undefined, Random.seeded(7));
+  game.start();
+
+  const greedy = new GamePlanner(game.board, game.robots).plan({ beamWidth: 1 });
+  const plan = new GamePlanner(game.board, game.robots).plan({ beamWidth: 3 });
+  assert.ok(
+    plan.completedTargets > greedy.completedTargets ||
+    (plan.completedTargets === greedy.completedTargets && plan.totalSteps <= greedy.totalSteps),
+    `规划${plan.totalSteps}步，差于贪心${greedy.totalSteps}步`
+  );
+
+  plan.rounds.forEach((round, i) => {
+    const moves = round.path.map(m => ({ robotColor: m.robotColor, direction: m.direction }));
+    const verified = game.verifyMoves(round.targetId, moves);
+    assert.ok(verified.success && verified.steps === round.steps, `第${i + 1}轮无法复现: ${verified.message || verified.steps}`);
+    game.executeRound(round.targetId, verified.robotColor, verified.path, verified.steps);
+  });
+  assert.equal(game.totalSteps, plan.totalSteps);
+});
+
+test('全局规划 - 束宽为 Infinity 时与穷举一致', () => {
+  const game = new Game('048C2DD254AB', NodeBoardLoader.loadAll());
+  game.start();
+  // 包含一个彩色终点，最优规划中它不一定由步数最少的棋子完成
+  const remaining = ['B2F0T1', 'B6F0T4', 'B2F0T5', 'B0F0T4'];
+  const usedTargetIds = game.board.getAllTargets().map(t => t.id).filter(id => !remaining.includes(id));
+
+  // 穷举所有完成顺序和到达终点的棋子，返回 {completed, steps}
+  const exhaustive = (robots, left) => {
+    let best = { completed: 0, steps: 0 };
+    left.forEach(targetId => {
+      const target = game.board.getTargetById(targetId);
+      if (robots.some(r => r.x === target.x && r.y === target.y)) return;
+      robots.filter(r => target.canAccept(r.color)).forEach(robot => {
+        const result = new PathFinder(game.board, robots).findBestPath([robot.color], { x: target.x, y: target.y });
+        if (!result.success) return;
+        const next = robots.map(r => new Robot(r.color, r === robot ? target.x : r.x, r === robot ? target.y : r.y));
+        const rest = exhaustive(next, left.filter(id => id !== targetId));
+        const candidate = { completed: rest.completed + 1, steps: rest.steps + result.steps };
+        if (candidate.completed > best.completed ||
+            (candidate.completed === best.completed && candidate.steps < best.steps)) {
+          best = candidate;
+        }
+      });
+    });
+    return best;
+  };
+
+  const expected = exhaustive(game.robots.map(r => new Robot(r.color, r.x, r.y)), remaining);
+  const plan = new GamePlanner(game.board, game.robots).plan({ usedTargetIds, beamWidth: Infinity, algorithm: 'bfs' });
+  assert.equal(plan.completedTargets, expected.completed);
+  assert.equal(plan.totalSteps, expected.steps);
+});
+
+test('可达性地图 - 与单棋子搜索步数一致', () => {
+  const { board } = createPrismTestBoard();
+  const robots = createCornerRobots();
+
+  const pathFinder = new PathFinder(board, robots);
+  const alone = pathFinder.computeReachability('red');
+  const helped = pathFinder.computeReachability('red', { useHelpers: true, maxDepth: 4 });
+  assert.ok(alone.success && !alone.truncated, '只移动红色棋子时应计算出所有可达格子');
+
+  const singleRobot = new PathFinder(board, robots, new RuleSet({ requireSingleRobot: true }));
+  alone.cells.filter(c => c.moves >= 2).forEach(cell => {
+    const result = singleRobot.findPath('red', cell);
+    assert.ok(result.success && result.steps === cell.moves, `(${cell.x},${cell.y}) 应为${cell.moves}步，搜索结果${result.steps}`);
+  });
+
+  const helpedMoves = new Map(helped.cells.map(c => [`${c.x},${c.y}`, c.moves]));
+  alone.cells.filter(c => c.moves <= 4).forEach(cell => {
+    assert.ok(helpedMoves.get(`${cell.x},${cell.y}`) <= cell.moves, `借助其他棋子时 (${cell.x},${cell.y}) 不应更远`);
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * 分光镜测试
+ * 对应 test-prism-refraction.html 和 test-core.html 中的 Prism 用例
+ *
+ * \ 分光镜（左上→右下）：右↔下、左↔上
+ * / 分光镜（左下→右上）：右↔上、左↔下
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Prism } from '../src/core/Prism.js';
+
+test('Prism - 创建', () => {
+  const prism = new Prism(3, 4, '\\', 'red');
+  assert.deepEqual([prism.x, prism.y], [3, 4]);
+});
+
+const REFRACTIONS = {
+  '\\': { right: 'down', down: 'right', left: 'up', up: 'left' },
+  '/': { right: 'up', up: 'right', left: 'down', down: 'left' }
+};
+
+Object.entries(REFRACTIONS).forEach(([direction, table]) => {
+  Object.entries(table).forEach(([incoming, outgoing]) => {
+    test(`${direction}分光镜: ${incoming} → ${outgoing}`, () => {
+      const prism = new Prism(5, 5, direction, 'red');
+      assert.equal(prism.calculateRefraction(incoming), outgoing);
+      assert.equal(prism.refract(incoming, 'blue'), outgoing, '异色棋子应被折射');
+    });
+  });
+});
+
+test('同色棋子直通: red棋子遇到red分光镜', () => {
+  const prism = new Prism(5, 5, '\\', 'red');
+  assert.equal(prism.refract('right', 'red'), 'right');
+  assert.equal(prism.refract('left', 'red'), 'left');
+});
+
+test('异色棋子折射: blue棋子遇到red分光镜', () => {
+  const prism = new Prism(5, 5, '\\', 'red');
+  assert.equal(prism.refract('right', 'blue'), 'down');
+});
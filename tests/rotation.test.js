@@ -0,0 +1,298 @@
+/**
+ * 旋转不变量的随机测试
+ * 随机生成小棋盘面，检查 Rotator、SmallBoard.rotateCells 和交互式配置器的旋转实现：
+ * - 连续4次旋转90度回到原样
+ * - 旋转后墙壁在相邻格子两侧保持一致
+ * - 分光镜折射与旋转可交换
+ * - 三种旋转实现的结果相同
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Rotator } from '../src/utils/Rotator.js';
+import { SmallBoard } from '../src/core/SmallBoard.js';
+import { Prism } from '../src/core/Prism.js';
+import CONSTANTS from '../src/utils/Constants.js';
+import { InteractiveGameConfigurator } from '../game-config-interactive.js';
+import { Random } from '../src/utils/Random.js';
+
+const SIZE = CONSTANTS.SMALL_BOARD_SIZE;
+const ANGLES = [0, 90, 180, 270];
+const SIDES = ['top', 'right', 'bottom', 'left'];
+const DIRECTIONS = ['up', 'right', 'down', 'left'];
+const OFFSETS = { top: [0, -1], right: [1, 0], bottom: [0, 1], left: [-1, 0] };
+const OPPOSITES = { top: 'bottom', right: 'left', bottom: 'top', left: 'right' };
+const SEEDS = Array.from({ length: 100 }, (_, i) => i + 1);
+
+// 配置器的旋转方法不依赖页面状态，不经过构造函数（构造函数会访问DOM）
+const configurator = Object.create(InteractiveGameConfigurator.prototype);
+
+/**
+ * 随机生成一个小棋盘面（分光镜和终点不重叠）
+ * @param {Function} random
+ * @returns {Object} 面数据 {id, walls, prisms, targets}
+ */
+function randomFace(random) {
+  const pick = (items) => items[Math.floor(random() * items.length)];
+  const used = new Set();
+  const freeCell = () => {
+    let x, y;
+    do {
+      x = Math.floor(random() * SIZE);
+      y = Math.floor(random() * SIZE);
+    } while (used.has(`${x},${y}`));
+    used.add(`${x},${y}`);
+    return { x, y };
+  };
+
+  const walls = [];
+  for (let i = 0; i < 12; i++) {
+    const sides = SIDES.filter(() => random() < 0.4);
+    if (sides.length > 0) {
+      walls.push({ x: Math.floor(random() * SIZE), y: Math.floor(random() * SIZE), sides });
+    }
+  }
+
+  const prisms = Array.from({ length: 1 + Math.floor(random() * 3) }, () => ({
+    ...freeCell(),
+    direction: pick(['\\', '/']),
+    color: pick(CONSTANTS.COLOR_ORDER)
+  }));
+
+  const targets = Array.from({ length: 1 + Math.floor(random() * 4) }, (_, i) => ({
+    ...freeCell(),
+    shape: pick(['circle', 'triangle', 'square', 'hexagon']),
+    color: pick([...CONSTANTS.COLOR_ORDER, 'rainbow']),
+    id: `T${i + 1}`
+  }));
+
+  return { id: 0, walls, prisms, targets };
+}
+
+/**
+ * 格子数组转换为面数据（墙壁按格子列出，两侧都会出现）
+ * @param {Array<Array<Cell>>} cells
+ * @returns {Object}
+ */
+function cellsToFace(cells) {
+  const face = { id: 0, walls: [], prisms: [], targets: [] };
+  cells.forEach(row => row.forEach(cell => {
+    const sides = SIDES.filter(side => cell.hasWall(side));
+    if (sides.length > 0) face.walls.push({ x: cell.x, y: cell.y, sides });
+    if (cell.prism) face.prisms.push(cell.prism.toJSON());
+    if (cell.target) face.targets.push(cell.target.toJSON());
+  }));
+  return face;
+}
+
+/**
+ * 墙壁集合（每堵墙记为一条边，与记录在哪一侧的格子无关）
+ * @param {Array<{x, y, sides}>} walls
+ * @returns {Array<string>} 排序后的边
+ */
+function wallEdges(walls) {
+  const edges = new Set();
+  walls.forEach(({ x, y, sides }) => sides.forEach(side => {
+    const [dx, dy] = OFFSETS[side];
+    const nx = x + dx;
+    const ny = y + dy;
+    const outside = nx < 0 || nx >= SIZE || ny < 0 || ny >= SIZE;
+    // 内部墙壁统一记为上方格子的 bottom 或左侧格子的 right
+    if (!outside && (side === 'top' || side === 'left')) {
+      edges.add(`${nx},${ny},${OPPOSITES[side]}`);
+    } else {
+      edges.add(`${x},${y},${side}`);
+    }
+  }));
+  return [...edges].sort();
+}
+
+/**
+ * 小棋盘面旋转后的格子
+ * @param {Object} face
+ * @param {number} angle
+ * @returns {Array<Array<Cell>>}
+ */
+function rotateFace(face, angle) {
+  const board = new SmallBoard({ id: 0, color: 'red', originalGap: { x: 0, y: 0 }, faces: [face] });
+  return board.rotateCells(0, angle);
+}
+
+/**
+ * 对每个随机种子运行检查，失败时报告种子便于复现
+ * @param {Function} check - (face, random) => void
+ */
+function forEachRandomFace(check) {
+  SEEDS.forEach(seed => {
+    const random = Random.seeded(seed);
+    const face = randomFace(random);
+    try {
+      check(face, random);
+    } catch (error) {
+      error.message = `seed ${seed}: ${error.message}`;
+      throw error;
+    }
+  });
+}
+
+test('Rotator - 连续4次旋转90度回到原样，旋转角度可叠加', () => {
+  [SIZE, CONSTANTS.LARGE_BOARD_SIZE].forEach(size => {
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        let point = { x, y };
+        for (let i = 0; i < 4; i++) point = Rotator.rotatePoint(point.x, point.y, 90, size);
+        assert.deepEqual(point, { x, y });
+
+        ANGLES.forEach(a => ANGLES.forEach(b => {
+          const first = Rotator.rotatePoint(x, y, a, size);
+          assert.deepEqual(
+            Rotator.rotatePoint(first.x, first.y, b, size),
+            Rotator.rotatePoint(x, y, (a + b) % 360, size),
+            `(${x},${y}) 旋转${a}+${b}度`
+          );
+        }));
+      }
+    }
+  });
+
+  ANGLES.forEach(a => ANGLES.forEach(b => {
+    SIDES.forEach(side => {
+      assert.equal(Rotator.rotateWallSide(Rotator.rotateWallSide(side, a), b), Rotator.rotateWallSide(side, (a + b) % 360));
+    });
+    DIRECTIONS.forEach(direction => {
+      assert.equal(Rotator.rotateDirection(Rotator.rotateDirection(direction, a), b), Rotator.rotateDirection(direction, (a + b) % 360));
+    });
+    ['\\', '/'].forEach(direction => {
+      assert.equal(Rotator.rotatePrismDirection(Rotator.rotatePrismDirection(direction, a), b), Rotator.rotatePrismDirection(direction, (a + b) % 360));
+    });
+  }));
+});
+
+test('Rotator - 墙壁与相邻格子的关系在旋转后保持', () => {
+  ANGLES.forEach(angle => {
+    for (let y = 0; y < SIZE; y++) {
+      for (let x = 0; x < SIZE; x++) {
+        SIDES.forEach(side => {
+          const [dx, dy] = OFFSETS[side];
+          const rotated = Rotator.rotatePoint(x, y, angle);
+          const [rdx, rdy] = OFFSETS[Rotator.rotateWallSide(side, angle)];
+
+          // 与移动方向的旋转一致（墙壁 top 对应移动方向 up）
+          assert.equal(
+            SIDES.indexOf(Rotator.rotateWallSide(side, angle)),
+            DIRECTIONS.indexOf(Rotator.rotateDirection(DIRECTIONS[SIDES.indexOf(side)], angle))
+          );
+
+          if (x + dx < 0 || x + dx >= SIZE || y + dy < 0 || y + dy >= SIZE) return;
+          const neighbor = Rotator.rotatePoint(x + dx, y + dy, angle);
+          assert.deepEqual(neighbor, { x: rotated.x + rdx, y: rotated.y + rdy }, `(${x},${y}) ${side} 旋转${angle}度`);
+        });
+      }
+    }
+  });
+});
+
+test('分光镜 - 折射与旋转可交换', () => {
+  ['\\', '/'].forEach(direction => {
+    ANGLES.forEach(angle => {
+      const prism = new Prism(2, 5, direction, 'red');
+      const rotated = prism.rotate(angle);
+      DIRECTIONS.forEach(incoming => {
+        ['red', 'blue'].forEach(robotColor => {
+          assert.equal(
+            rotated.refract(Rotator.rotateDirection(incoming, angle), robotColor),
+            Rotator.rotateDirection(prism.refract(incoming, robotColor), angle),
+            `${direction} 旋转${angle}度，${robotColor}棋子${incoming}方向进入`
+          );
+        });
+      });
+    });
+  });
+});
+
+test('SmallBoard.rotateCells - 连续4次旋转90度回到原样', () => {
+  forEachRandomFace(face => {
+    const original = cellsToFace(rotateFace(face, 0));
+    let current = face;
+    for (let i = 0; i < 4; i++) {
+      current = cellsToFace(rotateFace(current, 90));
+    }
+    assert.deepEqual(current, original);
+
+    ANGLES.forEach(angle => {
+      assert.deepEqual(
+        cellsToFace(rotateFace(cellsToFace(rotateFace(face, 90)), angle)),
+        cellsToFace(rotateFace(face, (angle + 90) % 360)),
+        `旋转90+${angle}度`
+      );
+    });
+  });
+});
+
+test('SmallBoard.rotateCells - 旋转后墙壁两侧一致，分光镜和终点与 Rotator 一致', () => {
+  forEachRandomFace(face => {
+    ANGLES.forEach(angle => {
+      const cells = rotateFace(face, angle);
+
+      for (let y = 0; y < SIZE; y++) {
+        for (let x = 0; x < SIZE; x++) {
+          SIDES.forEach(side => {
+            const [dx, dy] = OFFSETS[side];
+            const neighbor = cells[y + dy]?.[x + dx];
+            if (neighbor && cells[y][x].hasWall(side) !== neighbor.hasWall(OPPOSITES[side])) {
+              assert.fail(`旋转${angle}度后 (${x},${y}) ${side}墙与相邻格子不一致`);
+            }
+          });
+        }
+      }
+
+      face.prisms.forEach(prism => {
+        const { x, y } = Rotator.rotatePoint(prism.x, prism.y, angle);
+        const rotated = cells[y][x].prism;
+        assert.ok(rotated, `旋转${angle}度后 (${x},${y}) 应有分光镜`);
+        assert.equal(rotated.direction, Rotator.rotatePrismDirection(prism.direction, angle));
+        assert.equal(rotated.color, prism.color);
+
+        // 在格子层面检查折射与旋转可交换（异色棋子）
+        const robotColor = CONSTANTS.COLOR_ORDER.find(color => color !== prism.color);
+        DIRECTIONS.forEach(incoming => {
+          assert.equal(
+            rotated.refract(Rotator.rotateDirection(incoming, angle), robotColor),
+            Rotator.rotateDirection(Prism.fromJSON(prism).refract(incoming, robotColor), angle)
+          );
+        });
+      });
+
+      face.targets.forEach(target => {
+        const { x, y } = Rotator.rotatePoint(target.x, target.y, angle);
+        assert.equal(cells[y][x].target?.id, target.id, `旋转${angle}度后 (${x},${y}) 应有终点${target.id}`);
+      });
+    });
+  });
+});
+
+test('三种旋转实现一致 - Rotator、SmallBoard.rotateCells、交互式配置器', () => {
+  forEachRandomFace(face => {
+    ANGLES.forEach(angle => {
+      const cells = rotateFace(face, angle);
+
+      // 配置器绘制的墙壁与 rotateCells 的墙壁是同一组边
+      const configuratorWalls = face.walls.map(wall => configurator.rotateWall(wall, angle));
+      const rotatorWalls = face.walls.map(wall => ({
+        ...Rotator.rotatePoint(wall.x, wall.y, angle),
+        sides: wall.sides.map(side => Rotator.rotateWallSide(side, angle))
+      }));
+      assert.deepEqual(configuratorWalls, rotatorWalls, `旋转${angle}度的墙壁`);
+      assert.deepEqual(wallEdges(configuratorWalls), wallEdges(cellsToFace(cells).walls), `旋转${angle}度的墙壁边`);
+
+      [...face.prisms, ...face.targets].forEach(({ x, y }) => {
+        assert.deepEqual(configurator.rotatePoint(x, y, angle), Rotator.rotatePoint(x, y, angle), `(${x},${y}) 旋转${angle}度`);
+      });
+
+      face.prisms.forEach(prism => {
+        const { x, y } = configurator.rotatePoint(prism.x, prism.y, angle);
+        assert.equal(configurator.rotatePrismDirection(prism.direction, angle), cells[y][x].prism.direction);
+      });
+    });
+  });
+});
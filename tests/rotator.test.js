@@ -0,0 +1,43 @@
+/**
+ * Rotator 旋转工具测试
+ * 对应 test-utils.html
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Rotator } from '../src/utils/Rotator.js';
+
+test('旋转点坐标 - 0/90/180/270度', () => {
+  assert.deepEqual(Rotator.rotatePoint(2, 3, 0, 8), { x: 2, y: 3 });
+  assert.deepEqual(Rotator.rotatePoint(2, 3, 90, 8), { x: 4, y: 2 });
+  assert.deepEqual(Rotator.rotatePoint(2, 3, 180, 8), { x: 5, y: 4 });
+  assert.deepEqual(Rotator.rotatePoint(2, 3, 270, 8), { x: 3, y: 5 });
+});
+
+test('旋转分光镜方向', () => {
+  assert.equal(Rotator.rotatePrismDirection('\\', 90), '/');
+  assert.equal(Rotator.rotatePrismDirection('/', 90), '\\');
+  assert.equal(Rotator.rotatePrismDirection('\\', 180), '\\');
+});
+
+test('旋转移动方向', () => {
+  assert.equal(Rotator.rotateDirection('up', 90), 'right');
+  assert.equal(Rotator.rotateDirection('right', 90), 'down');
+});
+
+test('旋转墙壁位置 - top 旋转90度', () => {
+  assert.equal(Rotator.rotateWallSide('top', 90), 'right');
+});
+
+test('计算旋转角度', () => {
+  assert.equal(Rotator.calculateRotationAngle({ x: 0, y: 0 }, { x: 7, y: 7 }), 180, '左上到右下');
+  assert.equal(Rotator.calculateRotationAngle({ x: 0, y: 0 }, { x: 0, y: 7 }), 270, '左上到左下');
+});
+
+test('旋转后再旋转回来应得到原始坐标', () => {
+  let point = { x: 3, y: 5 };
+  for (let i = 0; i < 4; i++) {
+    point = Rotator.rotatePoint(point.x, point.y, 90, 8);
+  }
+  assert.deepEqual(point, { x: 3, y: 5 });
+});
@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+/**
+ * 命令行测试入口
+ * 在Node中运行 tests/ 下的所有 *.test.js（node:test），任一用例失败时退出码非0
+ *
+ * 用法：
+ *   node tests/run.js [名称...] [--update-golden]
+ *
+ *   名称            只运行文件名包含该名称的测试，例如 encoder、pathfinder
+ *   --update-golden 重新生成 golden/solutions.json（有意改变规则或棋盘数据后使用）
+ */
+
+import { readdirSync } from 'node:fs';
+
+const testDir = new URL('./', import.meta.url);
+const filters = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+
+const files = readdirSync(testDir)
+  .filter(file => file.endsWith('.test.js'))
+  .filter(file => filters.length === 0 || filters.some(name => file.includes(name)))
+  .sort();
+
+if (files.length === 0) {
+  console.error(`No test files match: ${filters.join(', ')}`);
+  process.exitCode = 2;
+} else {
+  for (const file of files) {
+    await import(new URL(file, testDir));
+  }
+}
@@ -0,0 +1,127 @@
+/**
+ * BoardValidator 小棋盘数据校验测试
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'node:fs';
+import { join } from 'node:path';
+import { BoardValidator } from '../src/utils/BoardValidator.js';
+import { NodeBoardLoader } from '../tools/NodeBoardLoader.js';
+
+const ROOT_DIR = join(NodeBoardLoader.DEFAULT_DATA_DIR, '..');
+
+/**
+ * 一块有两个面的合法小棋盘
+ * @returns {Object}
+ */
+function createBoard() {
+  return {
+    id: 9,
+    color: 'blue',
+    originalGap: { x: 0, y: 0 },
+    faces: [
+      {
+        id: 0,
+        walls: [{ x: 0, y: 0, sides: ['right', 'bottom'] }, { x: 3, y: 2, sides: ['top'] }],
+        prisms: [{ x: 5, y: 5, direction: '/', color: 'red' }],
+        targets: [
+          { x: 2, y: 3, shape: 'circle', color: 'blue', id: 'B9F0T1' },
+          { x: 6, y: 1, shape: 'hexagon', color: 'rainbow', id: 'B9F0T2' }
+        ]
+      },
+      {
+        id: 1,
+        walls: [{ x: 0, y: 0, sides: ['right', 'bottom'] }],
+        prisms: [],
+        targets: [{ x: 4, y: 4, shape: 'square', color: 'green', id: 'B9F1T1' }]
+      }
+    ]
+  };
+}
+
+test('小棋盘校验 - 数据目录中的小棋盘都合法', () => {
+  for (const dir of ['data', 'data-community', 'data-4']) {
+    readdirSync(join(ROOT_DIR, dir))
+      .filter(name => /^board-\d+\.json$/.test(name))
+      .forEach(name => {
+        const { valid, problems } = BoardValidator.validate(JSON.parse(readFileSync(join(ROOT_DIR, dir, name), 'utf8')));
+        assert.ok(valid, `${dir}/${name}: ${problems.map(BoardValidator.formatProblem).join('; ')}`);
+      });
+  }
+  assert.ok(BoardValidator.validate(createBoard()).valid);
+});
+
+test('小棋盘校验 - 字段和取值范围', () => {
+  const board = createBoard();
+  board.faces[0].walls[1].sides = ['top', 'up', 'top'];
+  board.faces[0].targets[0].x = 8;
+  board.faces[1].prisms.push({ x: 1, y: 2, direction: '|', color: 'rainbow' });
+  delete board.faces[1].targets[0].id;
+
+  const { valid, problems } = BoardValidator.validate(board);
+  assert.equal(valid, false);
+  assert.deepEqual(problems.map(({ face, x, y, field }) => ({ face, x, y, field })), [
+    { face: 0, x: 3, y: 2, field: 'faces[0].walls[1].sides' },
+    { face: 0, x: 3, y: 2, field: 'faces[0].walls[1].sides[1]' },
+    { face: 0, x: 8, y: 3, field: 'faces[0].targets[0].x' },
+    { face: 1, x: 1, y: 2, field: 'faces[1].prisms[0].direction' },
+    { face: 1, x: 1, y: 2, field: 'faces[1].prisms[0].color' },
+    { face: 1, x: 4, y: 4, field: 'faces[1].targets[0]' }
+  ]);
+  assert.match(problems[1].message, /"up"/);
+  assert.match(problems[4].message, /"rainbow"/);
+  assert.match(problems[5].message, /missing required field "id"/);
+});
+
+test('小棋盘校验 - 整体结构', () => {
+  assert.equal(BoardValidator.validate(null).problems[0].message, 'must be an object (got null)');
+
+  const board = createBoard();
+  board.color = 'rainbow';
+  board.id = -1;
+  board.faces[1].id = 2;
+  delete board.originalGap;
+
+  const problems = BoardValidator.validate(board).problems;
+  assert.deepEqual(problems.map(({ face, field }) => ({ face, field })), [
+    { face: null, field: '' },
+    { face: null, field: 'id' },
+    { face: null, field: 'color' },
+    { face: 2, field: 'faces[1].id' }
+  ]);
+  assert.match(problems[0].message, /"originalGap"/);
+});
+
+test('小棋盘校验 - 重复终点ID、同格元素、分光镜在终点上和缺口', () => {
+  const board = createBoard();
+  const face = board.faces[0];
+  board.faces[1].targets[0].id = 'B9F0T1';
+  face.prisms.push({ x: 2, y: 3, direction: '\\', color: 'green' });
+  face.prisms.push({ x: 5, y: 5, direction: '\\', color: 'green' });
+  face.targets.push({ x: 0, y: 0, shape: 'triangle', color: 'red', id: 'B9F0T3' });
+  board.faces.push({ id: 1, walls: [], prisms: [], targets: [] });
+  board.faces.splice(3);
+
+  const { problems } = BoardValidator.validate(board);
+  assert.deepEqual(problems.map(({ face: faceId, x, y, field }) => ({ face: faceId, x, y, field })), [
+    { face: null, x: null, y: null, field: 'faces' }
+  ], '面数超过2时先报告格式问题');
+
+  board.faces.pop();
+  const rules = BoardValidator.validate(board).problems;
+  assert.deepEqual(rules.map(({ face: faceId, x, y, field }) => ({ face: faceId, x, y, field })), [
+    { face: 0, x: 5, y: 5, field: 'faces[0].prisms[2]' },
+    { face: 0, x: 2, y: 3, field: 'faces[0].prisms[1]' },
+    { face: 0, x: 0, y: 0, field: 'faces[0].targets[2]' },
+    { face: 1, x: 4, y: 4, field: 'faces[1].targets[0].id' }
+  ]);
+  assert.match(rules[1].message, /prism is on a target cell \(faces\[0\]\.targets\[0\]\)/);
+  assert.match(rules[2].message, /gap cell/);
+  assert.match(rules[3].message, /duplicate target id "B9F0T1" \(also faces\[0\]\.targets\[0\]\.id\)/);
+
+  assert.equal(BoardValidator.formatProblem(rules[1]),
+    'face 0 (2,3) faces[0].prisms[1]: prism is on a target cell (faces[0].targets[0])');
+  assert.throws(() => BoardValidator.assertValid(board, 'board-9.json'),
+    /^Error: board-9\.json is not a valid small board \(4 problems\):\n  - face 0 \(5,5\)/);
+});
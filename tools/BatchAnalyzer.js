@@ -0,0 +1,283 @@
+/**
+ * BatchAnalyzer 批量分析
+ * 遍历所有合法的棋盘组合（4种颜色各一块小棋盘、任意正反面、任意摆放位置），
+ * 每种组合随机抽样若干组棋子位置，求解所有终点，统计：
+ * 最优步数分布、无解的终点、过于简单的终点、搜索代价异常高的局面
+ */
+
+import { Board } from '../src/core/Board.js';
+import { Game } from '../src/core/Game.js';
+import { RuleSet } from '../src/core/RuleSet.js';
+import { PathFinder } from '../src/algorithm/PathFinder.js';
+import { Encoder } from '../src/utils/Encoder.js';
+
+// CSV列（每次求解一行）
+const CSV_COLUMNS = [
+  'gameCode', 'boardCode', 'targetId', 'color', 'shape', 'x', 'y',
+  'status', 'steps', 'robotColor', 'statesExplored', 'timeMs'
+];
+
+export class BatchAnalyzer {
+  /**
+   * @param {Array<SmallBoard>} smallBoards - 小棋盘数组（下标即棋盘ID）
+   * @param {Object} options - 选项
+   * @param {RuleSet} options.ruleSet - 规则集（默认分光镜变体）
+   * @param {Function} options.random - 随机数函数（返回[0, 1)，默认 Math.random）
+   * @param {string} options.algorithm - 搜索算法：'idastar'（默认）或 'bfs'
+   * @param {number} options.maxIterations - 每次搜索的最大展开数，超过时记为 limit
+   * @param {number} options.trivialSteps - 最优步数不超过该值的终点视为过于简单（默认2）
+   * @param {number} options.outlierFactor - 展开数超过中位数的多少倍视为异常（默认100）
+   */
+  constructor(smallBoards, options = {}) {
+    const {
+      ruleSet = RuleSet.prism(),
+      random = Math.random,
+      algorithm = 'idastar',
+      maxIterations = 1000000,
+      trivialSteps = 2,
+      outlierFactor = 100
+    } = options;
+
+    this.smallBoards = smallBoards;
+    this.ruleSet = ruleSet;
+    this.random = random;
+    this.algorithm = algorithm;
+    this.maxIterations = maxIterations;
+    this.trivialSteps = trivialSteps;
+    this.outlierFactor = outlierFactor;
+  }
+
+  /**
+   * 列出所有合法的棋盘配置
+   * 每种颜色选一块小棋盘和一个面，4种颜色排列到4个位置
+   * @param {Array<SmallBoard>} smallBoards
+   * @returns {Array<Array<{boardId, faceId}>>} 按 [左上, 右上, 左下, 右下] 排列
+   */
+  static enumerateConfigs(smallBoards) {
+    const choicesByColor = new Map();
+    smallBoards.forEach((board, boardId) => {
+      if (!choicesByColor.has(board.color)) choicesByColor.set(board.color, []);
+      board.faces.forEach(face => {
+        choicesByColor.get(board.color).push({ boardId, faceId: face.id });
+      });
+    });
+
+    const colors = [...choicesByColor.keys()];
+    if (colors.length < 4) {
+      throw new Error('Need at least 4 different colors');
+    }
+
+    const configs = [];
+    const build = (config, usedColors) => {
+      if (config.length === 4) {
+        configs.push(config);
+        return;
+      }
+      colors.forEach(color => {
+        if (usedColors.includes(color)) return;
+        choicesByColor.get(color).forEach(choice => {
+          build([...config, choice], [...usedColors, color]);
+        });
+      });
+    };
+    build([], []);
+
+    return configs;
+  }
+
+  /**
+   * 分析一种棋盘配置：抽样棋子位置并求解所有终点
+   * @param {Array<{boardId, faceId}>} boardConfig
+   * @param {number} samples - 抽样局面数
+   * @returns {Array<Object>} 每次求解一行（见 CSV_COLUMNS）
+   */
+  analyzeConfig(boardConfig, samples) {
+    const board = new Board(boardConfig, this.smallBoards);
+    const boardCode = Encoder.encodeBoardConfig(boardConfig);
+    const rows = [];
+
+    for (let s = 0; s < samples; s++) {
+      const robotPositions = Game.randomRobotPositions(board, this.random);
+      const game = new Game({ boardConfig, robotPositions }, this.smallBoards, this.ruleSet);
+      game.start();
+
+      game.getAvailableTargets().forEach(({ target, eligibleColors, position }) => {
+        const pathFinder = new PathFinder(game.board, game.robots, this.ruleSet);
+        pathFinder.maxIterations = this.maxIterations;
+        const result = pathFinder.findBestPath(eligibleColors, position, { algorithm: this.algorithm });
+
+        let status = 'solved';
+        if (!result.success) {
+          status = result.limitReached ? 'limit' : 'unsolved';
+        }
+
+        rows.push({
+          gameCode: game.gameCode,
+          boardCode,
+          targetId: target.id,
+          color: target.color,
+          shape: target.shape,
+          x: target.x,
+          y: target.y,
+          status,
+          steps: result.success ? result.steps : null,
+          robotColor: result.success ? result.robotColor : null,
+          statesExplored: result.statesExplored || 0,
+          timeMs: Math.round(result.time || 0)
+        });
+      });
+    }
+
+    return rows;
+  }
+
+  /**
+   * 运行批量分析
+   * @param {Object} options - 选项
+   * @param {Array} options.configs - 要分析的配置（默认全部）
+   * @param {number} options.samples - 每种配置抽样的局面数（默认1）
+   * @param {Function} options.onProgress - 进度回调 ({done, total, boardCode})
+   * @returns {Object} 报告 {meta, summary, distribution, unreachable, trivial, outliers, configs, rows}
+   */
+  run(options = {}) {
+    const {
+      configs = BatchAnalyzer.enumerateConfigs(this.smallBoards),
+      samples = 1,
+      onProgress = null
+    } = options;
+
+    const startTime = performance.now();
+    const rows = [];
+    const configSummaries = [];
+
+    configs.forEach((boardConfig, index) => {
+      const configRows = this.analyzeConfig(boardConfig, samples);
+      rows.push(...configRows);
+      configSummaries.push(this.summarize(configRows, { boardCode: Encoder.encodeBoardConfig(boardConfig) }));
+
+      if (onProgress) {
+        onProgress({ done: index + 1, total: configs.length, boardCode: configSummaries[index].boardCode });
+      }
+    });
+
+    return {
+      meta: {
+        rules: this.ruleSet.name,
+        algorithm: this.algorithm,
+        maxIterations: this.maxIterations,
+        trivialSteps: this.trivialSteps,
+        samplesPerConfig: samples,
+        configsAnalyzed: configs.length,
+        totalConfigs: BatchAnalyzer.enumerateConfigs(this.smallBoards).length,
+        time: Math.round(performance.now() - startTime)
+      },
+      summary: this.summarize(rows),
+      distribution: BatchAnalyzer.stepDistribution(rows),
+      unreachable: this.collectTargets(rows, row => row.status !== 'solved'),
+      trivial: this.collectTargets(rows, row => row.status === 'solved' && row.steps <= this.trivialSteps),
+      outliers: this.findOutliers(rows),
+      configs: configSummaries,
+      rows
+    };
+  }
+
+  /**
+   * 汇总一组求解结果
+   * @param {Array<Object>} rows
+   * @param {Object} extra - 附加字段
+   * @returns {Object}
+   */
+  summarize(rows, extra = {}) {
+    const solved = rows.filter(row => row.status === 'solved');
+    const steps = solved.map(row => row.steps);
+
+    return {
+      ...extra,
+      solves: rows.length,
+      solved: solved.length,
+      unsolved: rows.filter(row => row.status === 'unsolved').length,
+      limit: rows.filter(row => row.status === 'limit').length,
+      trivial: steps.filter(n => n <= this.trivialSteps).length,
+      meanSteps: steps.length > 0 ? Math.round(steps.reduce((a, b) => a + b, 0) / steps.length * 100) / 100 : null,
+      maxSteps: steps.length > 0 ? steps.reduce((a, b) => Math.max(a, b)) : null
+    };
+  }
+
+  /**
+   * 最优步数分布
+   * @param {Array<Object>} rows
+   * @returns {Object} {步数: 次数}
+   */
+  static stepDistribution(rows) {
+    const distribution = {};
+    rows.forEach(row => {
+      if (row.status !== 'solved') return;
+      distribution[row.steps] = (distribution[row.steps] || 0) + 1;
+    });
+    return distribution;
+  }
+
+  /**
+   * 按棋盘配置和终点汇总满足条件的求解结果
+   * @param {Array<Object>} rows
+   * @param {Function} predicate
+   * @returns {Array<Object>} [{boardCode, targetId, color, shape, x, y, count, samples, gameCodes}]
+   */
+  collectTargets(rows, predicate) {
+    const groups = new Map();
+
+    rows.forEach(row => {
+      const key = `${row.boardCode}|${row.targetId}`;
+      if (!groups.has(key)) {
+        const { boardCode, targetId, color, shape, x, y } = row;
+        groups.set(key, { boardCode, targetId, color, shape, x, y, count: 0, samples: 0, gameCodes: [] });
+      }
+      const group = groups.get(key);
+      group.samples++;
+      if (predicate(row)) {
+        group.count++;
+        group.gameCodes.push(row.gameCode);
+      }
+    });
+
+    return [...groups.values()]
+      .filter(group => group.count > 0)
+      .sort((a, b) => b.count / b.samples - a.count / a.samples || a.boardCode.localeCompare(b.boardCode));
+  }
+
+  /**
+   * 搜索代价异常高的求解（展开数超过中位数的 outlierFactor 倍）
+   * @param {Array<Object>} rows
+   * @returns {Array<Object>} 按展开数从高到低排列
+   */
+  findOutliers(rows) {
+    const explored = rows.map(row => row.statesExplored).sort((a, b) => a - b);
+    if (explored.length === 0) return [];
+
+    const median = explored[Math.floor(explored.length / 2)];
+    const threshold = Math.max(1, median) * this.outlierFactor;
+
+    return rows
+      .filter(row => row.statesExplored > threshold)
+      .sort((a, b) => b.statesExplored - a.statesExplored);
+  }
+
+  /**
+   * 报告转换为CSV（每次求解一行）
+   * @param {Object} report - run() 的结果
+   * @returns {string}
+   */
+  static toCSV(report) {
+    const escape = (value) => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [
+      CSV_COLUMNS.join(','),
+      ...report.rows.map(row => CSV_COLUMNS.map(column => escape(row[column])).join(','))
+    ].join('\n') + '\n';
+  }
+}
+
+export default BatchAnalyzer;
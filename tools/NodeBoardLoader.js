@@ -0,0 +1,104 @@
+/**
+ * NodeBoardLoader Node.js小棋盘加载器
+ * 按 board-sets.json 和各库的 manifest.json 从磁盘读取小棋盘（浏览器页面通过fetch读取同样的文件），
+ * 供命令行工具在Node中使用 Board、Game 和 PathFinder
+ */
+
+import { existsSync, readFileSync, readdirSync } from 'node:fs';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { SmallBoard } from '../src/core/SmallBoard.js';
+import { BoardManifest } from '../src/utils/BoardManifest.js';
+import { BoardSetLoader } from '../src/utils/BoardSetLoader.js';
+import { BoardValidator } from '../src/utils/BoardValidator.js';
+import { Encoder } from '../src/utils/Encoder.js';
+
+// 仓库根目录（board-sets.json 所在目录）和默认数据目录（官方库 data/）
+const ROOT_DIR = fileURLToPath(new URL('../', import.meta.url));
+const DEFAULT_DATA_DIR = fileURLToPath(new URL('../data/', import.meta.url));
+
+export class NodeBoardLoader {
+  /**
+   * 默认数据目录
+   * @returns {string}
+   */
+  static get DEFAULT_DATA_DIR() {
+    return DEFAULT_DATA_DIR;
+  }
+
+  /**
+   * 按名称加载小棋盘库
+   * @param {string} name - 库名称（默认官方库）
+   * @param {string} rootDir - board-sets.json 所在目录
+   * @returns {Array<SmallBoard>} 数组下标即编号
+   */
+  static loadSet(name = Encoder.DEFAULT_BOARD_SET, rootDir = ROOT_DIR) {
+    const sets = BoardSetLoader.parse(NodeBoardLoader.readJSON(join(rootDir, BoardSetLoader.REGISTRY_FILE)));
+    const set = sets.find(entry => entry.name === name);
+    if (!set) {
+      throw new Error(`Unknown board set: ${name}`);
+    }
+    return NodeBoardLoader.loadAll(join(rootDir, set.dir));
+  }
+
+  /**
+   * 加载目录中的所有小棋盘
+   * 有 manifest.json 时按清单加载，否则加载所有 board-N.json；数组下标都是文件中的编号（编号重复时报错）
+   * @param {string} dataDir - 数据目录
+   * @returns {Array<SmallBoard>}
+   */
+  static loadAll(dataDir = DEFAULT_DATA_DIR) {
+    const manifestFile = join(dataDir, BoardManifest.FILE_NAME);
+    if (existsSync(manifestFile)) {
+      const manifest = BoardManifest.parse(NodeBoardLoader.readJSON(manifestFile));
+      const boardsData = manifest.boards.map(({ file }) => NodeBoardLoader.readJSON(join(dataDir, file)));
+      return BoardManifest.indexById(manifest, boardsData).map(data => SmallBoard.fromJSON(data));
+    }
+
+    const files = readdirSync(dataDir)
+      .map(name => ({ name, match: /^board-(\d+)\.json$/.exec(name) }))
+      .filter(({ match }) => match)
+      .sort((a, b) => Number(a.match[1]) - Number(b.match[1]));
+
+    if (files.length === 0) {
+      throw new Error(`No manifest.json or board-N.json files found in ${dataDir}`);
+    }
+
+    // 与 BoardManifest.indexById 一样按文件中的编号排列，文件名只用来查找
+    const indexed = [];
+    files.forEach(({ name }) => {
+      const board = NodeBoardLoader.loadFile(join(dataDir, name));
+      if (indexed[board.id]) {
+        throw new Error(`Duplicate board id ${board.id} in ${name}`);
+      }
+      indexed[board.id] = board;
+    });
+    return indexed;
+  }
+
+  /**
+   * 加载单个小棋盘文件（数据有误时列出所有问题）
+   * @param {string} file - 文件路径
+   * @returns {SmallBoard}
+   */
+  static loadFile(file) {
+    const data = NodeBoardLoader.readJSON(file);
+    BoardValidator.assertValid(data, file);
+    return SmallBoard.fromJSON(data);
+  }
+
+  /**
+   * 读取JSON文件
+   * @param {string} file - 文件路径
+   * @returns {Object}
+   */
+  static readJSON(file) {
+    try {
+      return JSON.parse(readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to read ${file}: ${error.message}`);
+    }
+  }
+}
+
+export default NodeBoardLoader;
@@ -0,0 +1,200 @@
+#!/usr/bin/env node
+/**
+ * 批量分析工具
+ * 遍历所有合法的棋盘组合，抽样棋子位置并求解所有终点，输出JSON/CSV报告
+ *
+ * 用法：
+ *   node tools/analyze.js [选项]
+ *
+ * 选项：
+ *   --samples <N>          每种棋盘组合抽样的局面数（默认1）
+ *   --configs <N>          只随机分析N种组合（默认全部）
+ *   --seed <N>             随机种子（默认1，结果可复现）
+ *   --algorithm <名称>     搜索算法：idastar（默认）或 bfs
+ *   --rules <预设>         规则集：prism（默认）或 classic
+ *   --max-iterations <N>   每次搜索的最大展开数（默认1000000）
+ *   --trivial <N>          最优步数不超过N视为过于简单（默认2）
+ *   --json <文件>          JSON报告（汇总，不含逐条结果；默认 analysis-report.json）
+ *   --csv <文件>           CSV报告（每次求解一行）
+ *   --data <目录>          小棋盘数据目录（默认 data/）
+ *   --help                 显示帮助
+ */
+
+import { writeFileSync } from 'node:fs';
+import { RuleSet } from '../src/core/RuleSet.js';
+import { Random } from '../src/utils/Random.js';
+import { NodeBoardLoader } from './NodeBoardLoader.js';
+import { BatchAnalyzer } from './BatchAnalyzer.js';
+
+const USAGE = `Usage: node tools/analyze.js [options]
+
+Options:
+  --samples <n>          robot positions sampled per board combination (default 1)
+  --configs <n>          analyze only n random board combinations (default all)
+  --seed <n>             random seed (default 1)
+  --algorithm <name>     idastar (default) or bfs
+  --rules <preset>       prism (default) or classic
+  --max-iterations <n>   search limit per target (default 1000000)
+  --trivial <n>          optimal length counted as trivial (default 2)
+  --json <file>          summary report (default analysis-report.json)
+  --csv <file>           one row per solved target
+  --data <dir>           directory with board-N.json files
+  --help                 show this help`;
+
+/**
+ * 解析命令行参数
+ * @param {Array<string>} argv
+ * @returns {Object}
+ */
+function parseArgs(argv) {
+  const options = {
+    samples: 1,
+    configs: null,
+    seed: 1,
+    algorithm: 'idastar',
+    rules: 'prism',
+    maxIterations: 1000000,
+    trivial: 2,
+    json: 'analysis-report.json',
+    csv: null,
+    dataDir: NodeBoardLoader.DEFAULT_DATA_DIR,
+    help: false
+  };
+
+  const integer = (arg, text, min) => {
+    const value = Number(text);
+    if (!Number.isInteger(value) || value < min) {
+      throw new Error(`${arg} must be an integer of at least ${min}`);
+    }
+    return value;
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+      return argv[++i];
+    };
+
+    switch (arg) {
+      case '--samples':
+        options.samples = integer(arg, value(), 1);
+        break;
+      case '--configs':
+        options.configs = integer(arg, value(), 1);
+        break;
+      case '--seed':
+        options.seed = integer(arg, value(), 0);
+        break;
+      case '--algorithm':
+        options.algorithm = value();
+        break;
+      case '--rules':
+        options.rules = value();
+        break;
+      case '--max-iterations':
+        options.maxIterations = integer(arg, value(), 1);
+        break;
+      case '--trivial':
+        options.trivial = integer(arg, value(), 0);
+        break;
+      case '--json':
+        options.json = value();
+        break;
+      case '--csv':
+        options.csv = value();
+        break;
+      case '--data':
+        options.dataDir = value();
+        break;
+      case '--help':
+      case '-h':
+        options.help = true;
+        break;
+      default:
+        throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  if (!['bfs', 'idastar'].includes(options.algorithm)) {
+    throw new Error(`Unknown algorithm: ${options.algorithm}`);
+  }
+
+  return options;
+}
+
+function main(argv) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  let analyzer;
+  let configs;
+  try {
+    const smallBoards = NodeBoardLoader.loadAll(options.dataDir);
+    const random = Random.seeded(options.seed);
+    analyzer = new BatchAnalyzer(smallBoards, {
+      ruleSet: RuleSet.fromPreset(options.rules),
+      random,
+      algorithm: options.algorithm,
+      maxIterations: options.maxIterations,
+      trivialSteps: options.trivial
+    });
+
+    configs = BatchAnalyzer.enumerateConfigs(smallBoards);
+    if (options.configs !== null && options.configs < configs.length) {
+      // 随机抽取部分组合（Fisher-Yates 前 N 项）
+      for (let i = 0; i < options.configs; i++) {
+        const j = i + Math.floor(random() * (configs.length - i));
+        [configs[i], configs[j]] = [configs[j], configs[i]];
+      }
+      configs = configs.slice(0, options.configs);
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return 2;
+  }
+
+  const report = analyzer.run({
+    configs,
+    samples: options.samples,
+    onProgress: ({ done, total, boardCode }) => {
+      process.stderr.write(`\r[${done}/${total}] ${boardCode}`);
+    }
+  });
+  process.stderr.write('\n');
+
+  const { rows, ...summaryReport } = report;
+  writeFileSync(options.json, JSON.stringify(summaryReport, null, 2));
+  if (options.csv) {
+    writeFileSync(options.csv, BatchAnalyzer.toCSV(report));
+  }
+
+  const { summary, distribution, unreachable, trivial, outliers, meta } = report;
+  console.log(`Analyzed ${meta.configsAnalyzed}/${meta.totalConfigs} board combinations × ${meta.samplesPerConfig} sample(s) in ${(meta.time / 1000).toFixed(1)}s`);
+  console.log(`Solves: ${summary.solves}, solved ${summary.solved}, unsolved ${summary.unsolved}, search limit ${summary.limit}`);
+  console.log(`Optimal length: mean ${summary.meanSteps}, max ${summary.maxSteps}`);
+  console.log(`Distribution: ${Object.entries(distribution).map(([steps, count]) => `${steps}:${count}`).join(' ')}`);
+  console.log(`Targets unsolved in at least one sample: ${unreachable.length}`);
+  console.log(`Targets with trivial (<= ${meta.trivialSteps} moves) solutions: ${trivial.length}`);
+  console.log(`Search-cost outliers: ${outliers.length}`);
+  console.log(`Report written to ${options.json}${options.csv ? ` and ${options.csv}` : ''}`);
+
+  // 提示可直接用 solve.js 复查的局面
+  outliers.slice(0, 3).forEach(row => {
+    console.log(`  node tools/solve.js ${row.gameCode} ${row.targetId}  # ${row.statesExplored} states`);
+  });
+
+  return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,241 @@
+#!/usr/bin/env node
+/**
+ * 命令行求解工具
+ * 从磁盘加载小棋盘，按游戏编码创建局面，输出终点的最优解
+ *
+ * 用法：
+ *   node tools/solve.js <游戏编码> [终点ID | x,y] [选项]
+ *
+ *   不指定终点时求解所有可用终点
+ *   游戏编码可以是12位编码（可带「库名:」前缀）或扩展编码（从重放已完成轮次后的局面求解）
+ *
+ * 选项：
+ *   --json               以JSON格式输出
+ *   --algorithm <名称>   搜索算法：bfs（默认）或 idastar
+ *   --robot <颜色>       指定移动到终点的棋子（可重复；默认为终点接受的棋子）
+ *   --rules <预设>       规则集：prism（默认）或 classic，扩展编码中带有规则时以编码为准
+ *   --data <目录>        小棋盘数据目录（默认为编码中记录的小棋盘库，见 board-sets.json）
+ *   --help               显示帮助
+ *
+ * 退出码：0 全部有解；1 存在无解的终点；2 参数或编码错误
+ */
+
+import { Game } from '../src/core/Game.js';
+import { RuleSet } from '../src/core/RuleSet.js';
+import { PathFinder } from '../src/algorithm/PathFinder.js';
+import { Encoder } from '../src/utils/Encoder.js';
+import CONSTANTS from '../src/utils/Constants.js';
+import { NodeBoardLoader } from './NodeBoardLoader.js';
+
+const USAGE = `Usage: node tools/solve.js <gameCode> [targetId | x,y] [options]
+
+Options:
+  --json               print JSON instead of text
+  --algorithm <name>   bfs (default) or idastar
+  --robot <color>      robot allowed to reach the target (repeatable)
+  --rules <preset>     prism (default) or classic; rules stored in an extended code win
+  --data <dir>         directory with manifest.json or board-N.json files
+                       (default: the board set named in the game code)
+  --help               show this help`;
+
+const DIRECTION_ARROWS = { up: '↑', down: '↓', left: '←', right: '→' };
+
+/**
+ * 解析命令行参数
+ * @param {Array<string>} argv
+ * @returns {Object}
+ */
+function parseArgs(argv) {
+  const options = {
+    gameCode: null,
+    target: null,
+    json: false,
+    algorithm: 'bfs',
+    robots: [],
+    rules: 'prism',
+    dataDir: null,
+    help: false
+  };
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+      return argv[++i];
+    };
+
+    switch (arg) {
+      case '--json':
+        options.json = true;
+        break;
+      case '--algorithm':
+        options.algorithm = value();
+        break;
+      case '--robot':
+        options.robots.push(value());
+        break;
+      case '--rules':
+        options.rules = value();
+        break;
+      case '--data':
+        options.dataDir = value();
+        break;
+      case '--help':
+      case '-h':
+        options.help = true;
+        break;
+      default:
+        if (arg.startsWith('--')) throw new Error(`Unknown option: ${arg}`);
+        positional.push(arg);
+    }
+  }
+
+  if (positional.length > 2) {
+    throw new Error(`Unexpected argument: ${positional[2]}`);
+  }
+  [options.gameCode = null, options.target = null] = positional;
+
+  if (!['bfs', 'idastar'].includes(options.algorithm)) {
+    throw new Error(`Unknown algorithm: ${options.algorithm}`);
+  }
+  options.robots.forEach(color => {
+    if (!CONSTANTS.COLOR_ORDER.includes(color)) throw new Error(`Unknown robot color: ${color}`);
+  });
+
+  return options;
+}
+
+/**
+ * 解析终点参数：终点ID或 "x,y" 坐标
+ * 坐标上没有终点时返回只有位置的对象（需配合 --robot 或由所有棋子尝试）
+ * @param {Game} game
+ * @param {string} spec
+ * @returns {{target: Target|null, position: {x, y}}}
+ */
+function resolveTarget(game, spec) {
+  const coords = /^(\d+),(\d+)$/.exec(spec);
+  if (coords) {
+    const x = Number(coords[1]);
+    const y = Number(coords[2]);
+    if (!game.board.isValidPosition(x, y)) {
+      throw new Error(`Invalid position: ${spec}`);
+    }
+    const cell = game.board.getCell(x, y);
+    return { target: cell.hasTarget() ? cell.target : null, position: { x, y } };
+  }
+
+  const target = game.board.getTargetById(spec);
+  if (!target) {
+    throw new Error(`Target not found: ${spec}`);
+  }
+  return { target, position: { x: target.x, y: target.y } };
+}
+
+/**
+ * 求解一个终点
+ * @param {Game} game
+ * @param {Object} entry - {target, position}
+ * @param {Object} options
+ * @returns {Object} 输出记录
+ */
+function solveEntry(game, { target, position }, options) {
+  const robotColors = options.robots.length > 0
+    ? options.robots
+    : game.robots.filter(r => !target || target.canAccept(r.color)).map(r => r.color);
+
+  const result = new PathFinder(game.board, game.robots, game.ruleSet)
+    .findBestPath(robotColors, position, { algorithm: options.algorithm });
+
+  return {
+    target: target
+      ? { id: target.id, x: target.x, y: target.y, color: target.color, shape: target.shape }
+      : { id: null, ...position },
+    robotColors,
+    success: result.success,
+    message: result.success ? undefined : result.message,
+    robotColor: result.robotColor,
+    steps: result.steps,
+    moves: result.success
+      ? result.path.map(({ robotColor, direction, from, to }) => ({ robotColor, direction, from, to }))
+      : [],
+    statesExplored: result.statesExplored,
+    time: Math.round(result.time || 0)
+  };
+}
+
+/**
+ * 格式化为文本
+ * @param {Object} record
+ * @returns {string}
+ */
+function formatText(record) {
+  const { target } = record;
+  const name = target.id
+    ? `${target.id} ${target.color} ${target.shape} (${target.x},${target.y})`
+    : `(${target.x},${target.y})`;
+
+  if (!record.success) {
+    return `${name}: no solution (${record.message})`;
+  }
+
+  const lines = [
+    `${name}: ${record.steps} moves, ${record.robotColor} robot ` +
+    `[${record.moves.map(m => `${m.robotColor[0].toUpperCase()}${DIRECTION_ARROWS[m.direction]}`).join(' ')}] ` +
+    `(${record.statesExplored} states, ${record.time}ms)`
+  ];
+  record.moves.forEach((move, i) => {
+    lines.push(`  ${i + 1}. ${move.robotColor} ${move.direction}: (${move.from.x},${move.from.y}) -> (${move.to.x},${move.to.y})`);
+  });
+  return lines.join('\n');
+}
+
+function main(argv) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (options.help || !options.gameCode) {
+    console.log(USAGE);
+    return options.help ? 0 : 2;
+  }
+
+  let game;
+  let entries;
+  try {
+    // 默认加载编码中记录的小棋盘库
+    const smallBoards = options.dataDir
+      ? NodeBoardLoader.loadAll(options.dataDir)
+      : NodeBoardLoader.loadSet(Encoder.getBoardSet(options.gameCode) || Encoder.DEFAULT_BOARD_SET);
+    game = Game.fromCode(options.gameCode, smallBoards, RuleSet.fromPreset(options.rules));
+
+    entries = options.target
+      ? [resolveTarget(game, options.target)]
+      : game.getAvailableTargets().map(({ target, position }) => ({ target, position }));
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return 2;
+  }
+
+  const records = entries.map(entry => solveEntry(game, entry, options));
+
+  if (options.json) {
+    console.log(JSON.stringify({
+      gameCode: game.gameCode,
+      rules: game.ruleSet.name,
+      robots: game.robots.map(r => ({ color: r.color, x: r.x, y: r.y })),
+      results: records
+    }, null, 2));
+  } else {
+    console.log(`Game ${game.gameCode} (${game.ruleSet.name} rules)`);
+    records.forEach(record => console.log(formatText(record)));
+  }
+
+  return records.every(record => record.success) ? 0 : 1;
+}
+
+process.exitCode = main(process.argv.slice(2));